@@ -0,0 +1,23 @@
+import { Evaluator } from "../src/index.js";
+
+const EXPRESSION = "user.age >= 18 && ['US', 'CA'].includes(user.country) ? items.filter(i => i.price > 10).length : 0";
+const ITERATIONS = 20000;
+
+const contexts = Array.from({ length: 100 }, (_, i) => ({
+	user: { age: 10 + (i % 20), country: i % 3 ? "US" : "FR" },
+	items: [{ price: i }, { price: 5 }, { price: 20 }],
+}));
+
+function bench(name, run) {
+	const start = performance.now();
+	for (let i = 0; i < ITERATIONS; i++) {
+		run(contexts[i % contexts.length]);
+	}
+	const duration = performance.now() - start;
+	console.log(`${name.padEnd(20)} ${duration.toFixed(1)}ms (${Math.round((ITERATIONS / duration) * 1000)} ops/sec)`);
+}
+
+const compiled = Evaluator.compile(EXPRESSION);
+
+bench("Evaluator.evaluate", (context) => Evaluator.evaluate(EXPRESSION, context));
+bench("Evaluator.compile", (context) => compiled(context));
@@ -0,0 +1,573 @@
+import { parseDecimalLiteral } from "./decimal.js";
+import { locateError } from "./errors.js";
+import { BINARY_OPERATION_MAP } from "./operators.js";
+
+/**
+ * @typedef {import('./Evaluator.js').Evaluator} Evaluator
+ * @typedef {(evaluator: Evaluator) => *} CompiledNode
+ */
+
+/** Nodes whose compiled closure does not raise errors of its own, see `Compiler.compile` */
+const TRANSPARENT_NODES = new Set(["Literal", "ExpressionStatement", "ChainExpression", "SpreadElement"]);
+
+/**
+ * Compiles an acorn AST into a tree of closures.
+ *
+ * Operators, static property names and literal values are resolved once at compile time,
+ * the closures only receive the evaluator holding the runtime scopes. Every sandbox check
+ * is delegated to the evaluator, and node types without a dedicated compiled form fall back
+ * to `Evaluator.visit`, so a compiled expression behaves exactly like an evaluated one.
+ *
+ * @example
+ * const program = new Compiler().compileProgram(acorn.parse('a + 1', { ecmaVersion: 'latest' }).body);
+ * program(new Evaluator({ a: 1 })) // returns 2
+ */
+export class Compiler {
+	/**
+	 * @param {Object} [options] - The evaluator options the closures are compiled for
+	 */
+	constructor(options = {}) {
+		// Every compiled node counts a step when an execution budget is configured
+		this.limited = options.maxSteps !== undefined || options.timeoutMs !== undefined;
+		// Numeric literals keep their exact value in decimal arithmetic
+		this.decimal = options.arithmetic === "decimal";
+		// Operators are applied by the evaluator when overloads or decimal arithmetic are configured
+		this.overloaded = Boolean(options.operators?.length) || this.decimal;
+		// Built values are checked against the allocation limits when any of them is configured
+		this.allocationLimited =
+			options.maxStringLength !== undefined || options.maxArrayLength !== undefined || options.maxObjectKeys !== undefined;
+	}
+
+	/**
+	 * Compiles the body of a program, the result is the value of the last statement.
+	 * @param {Array} body - Array of AST nodes to compile
+	 * @returns {CompiledNode}
+	 */
+	compileProgram(body) {
+		const statements = body.map((node) => this.compile(node));
+
+		if (statements.length === 1) {
+			return statements[0];
+		}
+
+		return (evaluator) => {
+			let result;
+			for (const statement of statements) {
+				result = statement(evaluator);
+			}
+			return result;
+		};
+	}
+
+	/**
+	 * Compiles an AST node into a closure.
+	 * @param {import('acorn').Node} node - The AST node to compile
+	 * @returns {CompiledNode}
+	 */
+	compile(node) {
+		const compiled = this.compileNode(node);
+
+		if (this.limited) {
+			return (evaluator) => {
+				try {
+					evaluator.step();
+					return compiled(evaluator);
+				} catch (error) {
+					throw locateError(error, node, evaluator.source);
+				}
+			};
+		}
+
+		// Literals cannot fail, and the nodes wrapping a single child leave the error to its location
+		if (TRANSPARENT_NODES.has(node.type)) {
+			return compiled;
+		}
+
+		return (evaluator) => {
+			try {
+				return compiled(evaluator);
+			} catch (error) {
+				// The innermost node raising an error is its location
+				throw locateError(error, node, evaluator.source);
+			}
+		};
+	}
+
+	/**
+	 * @param {import('acorn').Node} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileNode(node) {
+		switch (node.type) {
+			case "ExpressionStatement": {
+				return this.compile(node.expression);
+			}
+			case "BinaryExpression": {
+				return this.compileBinaryExpression(node);
+			}
+			case "LogicalExpression": {
+				return this.compileLogicalExpression(node);
+			}
+			case "UnaryExpression": {
+				return this.compileUnaryExpression(node);
+			}
+			case "Identifier": {
+				return (evaluator) => evaluator.handleIdentifier(node);
+			}
+			case "Literal": {
+				return this.compileLiteral(node);
+			}
+			case "MemberExpression": {
+				return this.compileMemberExpression(node);
+			}
+			case "ArrayExpression": {
+				return this.compileArrayExpression(node);
+			}
+			case "SpreadElement": {
+				return this.compile(node.argument);
+			}
+			case "ObjectExpression": {
+				return this.compileObjectExpression(node);
+			}
+			case "ArrowFunctionExpression": {
+				return this.compileArrowFunctionExpression(node);
+			}
+			case "CallExpression": {
+				return this.compileCallExpression(node);
+			}
+			case "ConditionalExpression": {
+				const test = this.compile(node.test);
+				const consequent = this.compile(node.consequent);
+				const alternate = this.compile(node.alternate);
+				return (evaluator) => (test(evaluator) ? consequent(evaluator) : alternate(evaluator));
+			}
+			case "NewExpression": {
+				return this.compileNewExpression(node);
+			}
+			case "ChainExpression": {
+				return this.compile(node.expression);
+			}
+			case "TemplateLiteral": {
+				return this.compileTemplateLiteral(node);
+			}
+			case "TaggedTemplateExpression": {
+				return this.compileTaggedTemplateExpression(node);
+			}
+			case "SequenceExpression": {
+				const expressions = node.expressions.map((expression) => this.compile(expression));
+				return (evaluator) => {
+					let result;
+					for (const expression of expressions) {
+						result = expression(evaluator);
+					}
+					return result;
+				};
+			}
+			default: {
+				// Unsupported or rejected syntax, let the interpreter raise the same error when reached
+				return (evaluator) => evaluator.visit(node);
+			}
+		}
+	}
+
+	/**
+	 * @param {import('acorn').Literal} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileLiteral(node) {
+		if (node.regex) {
+			// RegExp objects are stateful (lastIndex), every evaluation gets its own instance
+			return (evaluator) => evaluator.getRegExp(node);
+		}
+
+		const value = this.decimal && typeof node.value === "number" ? parseDecimalLiteral(node.raw) : node.value;
+		return () => value;
+	}
+
+	/**
+	 * @param {import('acorn').BinaryExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileBinaryExpression(node) {
+		if (!BINARY_OPERATION_MAP.hasOwnProperty(node.operator)) {
+			return (evaluator) => evaluator.visit(node);
+		}
+
+		const operation = BINARY_OPERATION_MAP[node.operator];
+		const left = this.compile(node.left);
+		const right = this.compile(node.right);
+
+		if (this.overloaded) {
+			const op = node.operator;
+			return (evaluator) => evaluator.applyBinaryOperator(op, left(evaluator), right(evaluator));
+		}
+
+		if (this.allocationLimited && node.operator === "+") {
+			return (evaluator) => evaluator.checkSize(operation(left(evaluator), right(evaluator)));
+		}
+
+		return (evaluator) => operation(left(evaluator), right(evaluator));
+	}
+
+	/**
+	 * @param {import('acorn').LogicalExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileLogicalExpression(node) {
+		const left = this.compile(node.left);
+		const right = this.compile(node.right);
+
+		switch (node.operator) {
+			case "&&": {
+				return (evaluator) => {
+					const value = left(evaluator);
+					return value ? right(evaluator) : value;
+				};
+			}
+			case "||": {
+				return (evaluator) => {
+					const value = left(evaluator);
+					return value ? value : right(evaluator);
+				};
+			}
+			case "??": {
+				return (evaluator) => {
+					const value = left(evaluator);
+					return value !== null && value !== undefined ? value : right(evaluator);
+				};
+			}
+			default: {
+				return (evaluator) => evaluator.visit(node);
+			}
+		}
+	}
+
+	/**
+	 * @param {import('acorn').UnaryExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileUnaryExpression(node) {
+		const argument = this.compile(node.argument);
+
+		if (this.overloaded && node.operator !== "delete") {
+			return (evaluator) => evaluator.applyUnaryOperator(node, argument(evaluator));
+		}
+
+		switch (node.operator) {
+			case "-": {
+				return (evaluator) => -argument(evaluator);
+			}
+			case "+": {
+				return (evaluator) => +argument(evaluator);
+			}
+			case "!": {
+				return (evaluator) => !argument(evaluator);
+			}
+			case "~": {
+				return (evaluator) => ~argument(evaluator);
+			}
+			case "typeof": {
+				return (evaluator) => typeof argument(evaluator);
+			}
+			case "void": {
+				return (evaluator) => void argument(evaluator);
+			}
+			default: {
+				return (evaluator) => evaluator.visit(node);
+			}
+		}
+	}
+
+	/**
+	 * Compiles the property of a member expression, static names are resolved ahead of time.
+	 * @param {import('acorn').MemberExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileProperty(node) {
+		if (node.property.type === "Identifier" && !node.computed) {
+			const name = node.property.name;
+			return () => name;
+		}
+
+		return this.compile(node.property);
+	}
+
+	/**
+	 * @param {import('acorn').MemberExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileMemberExpression(node) {
+		const object = this.compile(node.object);
+		const property = this.compileProperty(node);
+
+		return (evaluator) => {
+			const target = object(evaluator);
+			return evaluator.getProperty(target, property(evaluator), node);
+		};
+	}
+
+	/**
+	 * Compiles a list of elements or arguments, expanding spread elements.
+	 * @param {Array} nodes
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileElements(nodes) {
+		const elements = nodes.map((node) => this.compile(node));
+
+		if (nodes.every((node) => node.type !== "SpreadElement")) {
+			return (evaluator) => elements.map((element) => element(evaluator));
+		}
+
+		const spreads = nodes.map((node) => node.type === "SpreadElement");
+
+		return (evaluator) => {
+			const result = [];
+
+			for (let i = 0; i < elements.length; i++) {
+				const value = elements[i](evaluator);
+
+				if (spreads[i]) {
+					result.push(...value);
+				} else {
+					result.push(value);
+				}
+			}
+
+			return result;
+		};
+	}
+
+	/**
+	 * @param {import('acorn').ArrayExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileArrayExpression(node) {
+		const elements = this.compileElements(node.elements);
+
+		if (!this.allocationLimited) {
+			return elements;
+		}
+
+		return (evaluator) => evaluator.checkSize(elements(evaluator));
+	}
+
+	/**
+	 * @param {import('acorn').ObjectExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileObjectExpression(node) {
+		const properties = node.properties.map((prop) => {
+			if (prop.type === "SpreadElement") {
+				return { spread: true, value: this.compile(prop.argument) };
+			}
+
+			if (prop.method || prop.kind !== "init") {
+				// Methods and accessors are created by the evaluator, which rejects generators
+				return { spread: false, node: prop, key: this.compilePropertyKey(prop), value: (evaluator) => evaluator.createMethod(prop) };
+			}
+
+			return { spread: false, node: prop, key: this.compilePropertyKey(prop), value: this.compile(prop.value) };
+		});
+		const limited = this.allocationLimited;
+
+		return (evaluator) => {
+			const obj = evaluator.createObject();
+			for (const prop of properties) {
+				if (prop.spread) {
+					evaluator.copyDataProperties(obj, prop.value(evaluator));
+				} else {
+					const key = prop.key(evaluator);
+					evaluator.defineObjectProperty(obj, prop.node, key, prop.value(evaluator));
+				}
+			}
+			if (limited) evaluator.checkObjectKeys(obj);
+			return obj;
+		};
+	}
+
+	/**
+	 * Compiles the key of an object literal property, non-computed keys are resolved ahead of time.
+	 * @param {import('acorn').Property} prop
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compilePropertyKey(prop) {
+		if (prop.computed) {
+			return this.compile(prop.key);
+		}
+
+		const key = prop.key.type === "Identifier" ? prop.key.name : prop.key.value;
+		return () => key;
+	}
+
+	/**
+	 * @param {import('acorn').ArrowFunctionExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileArrowFunctionExpression(node) {
+		if (node.async) {
+			// The body of async arrow functions is evaluated by `Evaluator.visitAsync`
+			return (evaluator) => evaluator.visit(node);
+		}
+
+		const params = node.params;
+		// Plain identifier parameters are bound directly, patterns are bound by the evaluator
+		const names = params.every((param) => param.type === "Identifier") ? params.map((param) => param.name) : null;
+		// Block bodies are executed by the evaluator
+		const body = node.body.type === "BlockStatement" ? (evaluator) => evaluator.executeFunctionBody(node.body) : this.compile(node.body);
+
+		return (evaluator) => {
+			const scopes = evaluator.scopes;
+
+			const fn = (...args) => {
+				if (!evaluator.running) {
+					return evaluator.runWithBudget(() => fn(...args));
+				}
+
+				if (evaluator.limited) evaluator.step();
+
+				const newScope = {};
+				const previous = evaluator.scopes;
+				evaluator.scopes = [newScope, ...scopes];
+				try {
+					if (names) {
+						for (let i = 0; i < names.length; i++) {
+							newScope[names[i]] = args[i];
+						}
+					} else {
+						evaluator.bindParameters(params, args, newScope);
+					}
+
+					return body(evaluator);
+				} finally {
+					evaluator.scopes = previous;
+				}
+			};
+
+			return evaluator.registerFunction(fn);
+		};
+	}
+
+	/**
+	 * @param {import('acorn').CallExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileCallExpression(node) {
+		const callee = node.callee;
+		const isOptional = node.optional || callee.optional;
+		const args = node.arguments.length ? this.compileElements(node.arguments) : () => [];
+
+		if (callee.type === "MemberExpression") {
+			const object = this.compile(callee.object);
+			const property = this.compileProperty(callee);
+
+			return (evaluator) => {
+				const target = object(evaluator);
+				const func = evaluator.getMethod(target, property(evaluator), callee);
+
+				if ((func === undefined || func === null) && isOptional) {
+					return void 0;
+				}
+
+				return evaluator.callFunction(func, target, args(evaluator), node);
+			};
+		}
+
+		const func = this.compile(callee);
+
+		return (evaluator) => {
+			const value = func(evaluator);
+
+			if ((value === undefined || value === null) && isOptional) {
+				return void 0;
+			}
+
+			return evaluator.callFunction(value, null, args(evaluator), node);
+		};
+	}
+
+	/**
+	 * @param {import('acorn').NewExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileNewExpression(node) {
+		if (node.callee.type === "Identifier" && node.callee.name === "Function") {
+			// Rejected by the interpreter
+			return (evaluator) => evaluator.visit(node);
+		}
+
+		const callee = this.compile(node.callee);
+		const args = node.arguments.length ? this.compileElements(node.arguments) : () => [];
+
+		return (evaluator) => {
+			const Constructor = callee(evaluator);
+			return evaluator.construct(Constructor, args(evaluator));
+		};
+	}
+
+	/**
+	 * @param {import('acorn').TemplateLiteral} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileTemplateLiteral(node) {
+		const quasis = node.quasis.map((quasi) => quasi.value.cooked);
+		const expressions = node.expressions.map((expression) => this.compile(expression));
+		const limited = this.allocationLimited;
+
+		return (evaluator) => {
+			let result = "";
+
+			for (let i = 0; i < quasis.length; i++) {
+				result += quasis[i];
+				if (i < expressions.length) {
+					result += expressions[i](evaluator);
+				}
+			}
+
+			if (limited) evaluator.checkStringLength(result.length);
+
+			return result;
+		};
+	}
+
+	/**
+	 * @param {import('acorn').TaggedTemplateExpression} node
+	 * @returns {CompiledNode}
+	 * @private
+	 */
+	compileTaggedTemplateExpression(node) {
+		const values = node.quasi.expressions.length ? this.compileElements(node.quasi.expressions) : () => [];
+
+		if (node.tag.type === "MemberExpression") {
+			const object = this.compile(node.tag.object);
+			const property = this.compileProperty(node.tag);
+
+			return (evaluator) => {
+				const target = object(evaluator);
+				const tag = evaluator.getMethod(target, property(evaluator), node.tag);
+				return evaluator.callFunction(tag, target, [evaluator.getTemplateObject(node.quasi), ...values(evaluator)], node);
+			};
+		}
+
+		const tag = this.compile(node.tag);
+
+		return (evaluator) => {
+			const value = tag(evaluator);
+			return evaluator.callFunction(value, null, [evaluator.getTemplateObject(node.quasi), ...values(evaluator)], node);
+		};
+	}
+}
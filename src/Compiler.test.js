@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+
+describe("Evaluator.compile", () => {
+	test("should evaluate the same expression with different contexts", () => {
+		const fn = Evaluator.compile("a + b * c");
+		assert.equal(fn({ a: 1, b: 2, c: 3 }), 7);
+		assert.equal(fn({ a: 10, b: 0, c: 3 }), 10);
+	});
+
+	test("should work without context", () => {
+		const fn = Evaluator.compile("Math.max(1, 2, 3)");
+		assert.equal(fn(), 3);
+	});
+
+	test("should produce the same results as evaluate", () => {
+		const context = { a: 5, b: 10, str: "  Hello World  ", obj: { x: { y: 1 } }, arr: [1, 2, 3], nil: null };
+		const expressions = [
+			"a > 3 && b < 20",
+			"a ?? b",
+			"nil ?? 'default'",
+			"!a || typeof b",
+			"-a + +b - ~a",
+			"void a",
+			"str.trim().toLowerCase()",
+			"obj.x.y",
+			"obj['x']['y']",
+			"nil?.foo",
+			"nil?.foo()",
+			"arr.map(x => x * 2).filter(x => x > 2)",
+			"[...arr, ...'ab']",
+			"Math.max(...arr)",
+			"({ a, b: b * 2, ...obj })",
+			"a > 3 ? 'yes' : 'no'",
+			"`a=${a}, b=${b}`",
+			"new Date(0).getTime()",
+			"new Set([...arr, 1]).size",
+			"'x' in obj",
+			"arr instanceof Array",
+			"((x, y) => x + y)(a, b)",
+			"[1, 2, 3].reduce((sum, v) => sum + v, 0)",
+			"Object.entries(obj).map(([k, { y = 0 } = {}]) => k + y)",
+			"((first, ...rest) => rest)(...arr)",
+			"(({ x: { y }, z = a }) => y + z)(obj)",
+			"arr.map(v => { let t = v * a; if (t > 10) { t -= b; } return t; })",
+			"({ [str.trim()]: a, 0: b, a, m(x) { return x * b; } }).m(2)",
+			"JSON.stringify({ [a]: 1, get g() { return b; } })",
+			"`line\\n${a}`",
+			"String.raw`line\\n${a}`",
+			"(a, b, a + b)",
+		];
+
+		for (const expression of expressions) {
+			assert.deepEqual(Evaluator.compile(expression)(context), new Evaluator(context).evaluate(expression), expression);
+		}
+	});
+
+	test("should short-circuit logical expressions", () => {
+		const fn = Evaluator.compile("ok && foo.bar");
+		assert.equal(fn({ ok: false }), false);
+		assert.throws(() => fn({ ok: true }), { message: "foo is not defined" });
+	});
+
+	test("should create a new RegExp for every evaluation", () => {
+		const fn = Evaluator.compile("/a/g");
+		assert.notEqual(fn(), fn());
+		assert.equal(Evaluator.compile("/a/g.test(s)")({ s: "a" }), true);
+	});
+
+	test("should evaluate RegExp literals as the interpreter", () => {
+		const context = { words: ["a", "a", "b"] };
+		const expressions = [
+			"words.map((word) => /a/g.test(word))",
+			"(() => { const match = () => /a/y; return match() === match(); })()",
+		];
+		for (const expression of expressions) {
+			assert.deepEqual(Evaluator.compile(expression)(context), new Evaluator(context).evaluate(expression), expression);
+		}
+		assert.deepEqual(Evaluator.compile(expressions[0])(context), [true, false, false]);
+	});
+
+	test("should resolve the options once", () => {
+		let checks = 0;
+		const purity = new Map([[Math.max, "pure"]]);
+		purity[Symbol.iterator] = function () {
+			checks++;
+			return Map.prototype[Symbol.iterator].call(this);
+		};
+		const fn = Evaluator.compile("max(a, 1)", { purity, globals: { max: Math.max } });
+		assert.equal(checks, 1);
+		assert.equal(fn({ a: 2 }), 2);
+		assert.equal(fn({ a: 0 }), 1);
+		assert.equal(checks, 1);
+		assert.throws(() => Evaluator.compile("a", { arithmetic: "exact" }), { code: "E_INVALID_OPTION" });
+	});
+
+	test("should bind the context of each evaluation", () => {
+		// The host function evaluates the expression again while its caller is running
+		const sum = Evaluator.compile("n > 0 ? total(n - 1) + n : 0", { globals: { total: (n) => sum({ n }) } });
+		assert.equal(sum({ n: 3 }), 6);
+		assert.equal(sum({ n: 4 }), 10);
+	});
+
+	test("should restore scopes when an arrow function throws", () => {
+		const fn = Evaluator.compile("[1].map(x => x.a.b)");
+		assert.throws(() => fn(), { message: "Cannot read property 'b' of undefined" });
+		assert.deepEqual(Evaluator.compile("[1].map(x => x)")({ x: 0 }), [1]);
+	});
+
+	describe("Security", () => {
+		test("should block mutable methods", () => {
+			assert.throws(() => Evaluator.compile("[1, 2].push(3)")(), { message: "Mutable method is not allowed" });
+			assert.throws(() => Evaluator.compile("Array.prototype.splice.call(arr, 1, 1)", { allowMembers: ["prototype"] })({ arr: [1, 2, 3] }), {
+				message: "Mutable method is not allowed",
+			});
+			assert.throws(() => Evaluator.compile("Object.assign({a:1}, {b:2})")(), { message: "Mutable method is not allowed" });
+		});
+
+		test("should block the Function constructor", () => {
+			assert.throws(() => Evaluator.compile('Function("return 1")')(), { message: "Function constructor is not allowed" });
+			assert.throws(() => Evaluator.compile('new Function("return 1")')(), { message: "Cannot use new with Function constructor" });
+		});
+
+		test("should block rejected syntax when reached", () => {
+			assert.throws(() => Evaluator.compile("this")(), { message: "'this' keyword is not allowed" });
+			assert.throws(() => Evaluator.compile("delete obj.a")({ obj: { a: 1 } }), { message: "Delete operator is not allowed" });
+			assert.throws(() => Evaluator.compile("eval('1')")(), { message: "eval is not defined" });
+		});
+
+		test("should report calls to non-functions", () => {
+			assert.throws(() => Evaluator.compile("foo.bar()")({ foo: {} }), { message: "foo.bar is not a function" });
+		});
+
+		test("should throw syntax errors at compile time", () => {
+			assert.throws(() => Evaluator.compile("5 +"), /Unexpected token/);
+		});
+	});
+});
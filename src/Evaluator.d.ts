@@ -1,11 +1,301 @@
 import { Node } from "acorn";
+import type { DecimalOptions } from "./decimal.js";
+import type { ErrorCode } from "./errors.js";
+import type { OperatorOverload } from "./operators.js";
+import type { EvaluatorPlugin, FunctionPolicy } from "./plugins.js";
+
+export interface EvaluatorOptions {
+	/**
+	 * 自定义全局变量，只读且不能被上下文中的同名变量覆盖
+	 */
+	globals?: Record<string, unknown>;
+	/**
+	 * 仅暴露这些内置全局变量
+	 */
+	allowGlobals?: string[];
+	/**
+	 * 隐藏这些内置全局变量
+	 */
+	denyGlobals?: string[];
+	/**
+	 * 允许读取这些默认被禁止的成员，例如 `prototype`
+	 */
+	allowMembers?: string[];
+	/**
+	 * 额外禁止读取的成员
+	 */
+	denyMembers?: string[];
+	/**
+	 * 除默认的内置构造函数外，允许 `new` 实例化的构造函数
+	 */
+	allowConstructors?: Function[];
+	/**
+	 * 禁止实例化的默认内置构造函数
+	 */
+	denyConstructors?: Function[];
+	/**
+	 * 求值过程中创建的对象（对象字面量与剩余元素）不带原型
+	 */
+	nullPrototype?: boolean;
+	/**
+	 * 将上下文变量包装在深层只读代理中，求值后上下文保证不变
+	 */
+	readonlyContext?: boolean;
+	/**
+	 * 插件，提供辅助函数与全局变量，优先级低于上下文中的变量
+	 */
+	plugins?: EvaluatorPlugin[];
+	/**
+	 * 宿主函数的策略，优先于函数或类上的 `PURITY` 标注
+	 */
+	purity?: Map<Function, FunctionPolicy>;
+	/**
+	 * 严格模式，调用没有策略的宿主函数（非内置、非表达式中创建的函数）时抛出错误
+	 */
+	strictPurity?: boolean;
+	/**
+	 * 运算符重载，按顺序匹配，第一个 `test` 通过的重载生效
+	 */
+	operators?: OperatorOverload[];
+	/**
+	 * 算术模式，`decimal` 时数字的 `+ - * / %` 与比较运算使用精确的十进制计算，默认为 `float`
+	 */
+	arithmetic?: "float" | "decimal";
+	/**
+	 * 十进制算术的精度、舍入方式与输出格式
+	 */
+	decimal?: DecimalOptions;
+	/**
+	 * 每次求值允许访问的节点与函数调用次数上限，超出时抛出 `EvaluationLimitError`
+	 */
+	maxSteps?: number;
+	/**
+	 * 每次求值允许的最长时间（毫秒），超出时抛出 `EvaluationLimitError`
+	 */
+	timeoutMs?: number;
+	/**
+	 * 求值过程中构建的字符串的最大长度，超出时抛出 `EvaluationLimitError`
+	 */
+	maxStringLength?: number;
+	/**
+	 * 求值过程中构建的数组的最大长度，超出时抛出 `EvaluationLimitError`
+	 */
+	maxArrayLength?: number;
+	/**
+	 * 对象字面量的最大键数量，超出时抛出 `EvaluationLimitError`
+	 */
+	maxObjectKeys?: number;
+	/**
+	 * 错误信息的语言，内置 `en`（默认）和 `zh-CN`，其他语言使用英文信息
+	 */
+	locale?: string;
+	/**
+	 * 自定义的错误信息，以错误码为键，同一错误码的不同情况用 `错误码.变体` 为键，如 `E_UNSUPPORTED_SYNTAX.this`，
+	 * `{name}` 占位符会被替换为参数，优先于语言的内置信息
+	 */
+	messages?: Record<string, string>;
+	/**
+	 * 记录求值过程，为 `true` 时求值返回 `{ value, trace }`，`trace` 为访问过的节点树，见 `TracedResult`
+	 */
+	trace?: boolean;
+	/**
+	 * 每次求值结束（包括失败）后接收求值过程的节点树
+	 */
+	onTrace?: (trace: TraceNode) => void;
+}
+
+export interface TraceNode {
+	/**
+	 * 节点类型，根节点为 `Program`
+	 */
+	type: string;
+	/**
+	 * 节点的源码
+	 */
+	source: string;
+	/**
+	 * 节点在表达式中的起始偏移量
+	 */
+	start: number;
+	/**
+	 * 节点在表达式中的结束偏移量（不包含）
+	 */
+	end: number;
+	/**
+	 * 节点在树中的深度，根节点为 0
+	 */
+	depth: number;
+	/**
+	 * 节点求得的值
+	 */
+	value: unknown;
+	/**
+	 * 节点抛出的错误
+	 */
+	error?: unknown;
+	/**
+	 * 箭头函数调用的参数，箭头函数的每次调用记录为一个带参数的 `ArrowFunctionExpression` 节点
+	 */
+	arguments?: unknown[];
+	/**
+	 * 求值该节点时访问的节点，按求值顺序排列
+	 */
+	children: TraceNode[];
+}
+
+/**
+ * 启用 `trace` 选项时求值的返回值
+ */
+export interface TracedResult<T = unknown> {
+	value: T;
+	trace: TraceNode;
+}
+
+export interface ExplanationNode {
+	/**
+	 * 节点的逻辑角色：`&&`、`||`、`??`、`!`、三元条件、比较，其他节点均为 `value`
+	 */
+	type: "and" | "or" | "nullish" | "not" | "condition" | "comparison" | "value";
+	/**
+	 * 节点的源码
+	 */
+	source: string;
+	/**
+	 * 逻辑表达式与比较的运算符
+	 */
+	operator?: string;
+	/**
+	 * 节点是否被求值，被逻辑表达式短路时为 `false`
+	 */
+	evaluated: boolean;
+	/**
+	 * 节点的值，未求值时为 `undefined`
+	 */
+	value: unknown;
+	/**
+	 * 值是否为真值，未求值时不存在
+	 */
+	passed?: boolean;
+	/**
+	 * 比较的左操作数的值
+	 */
+	left?: unknown;
+	/**
+	 * 比较的右操作数的值
+	 */
+	right?: unknown;
+	/**
+	 * 逻辑表达式与三元条件的操作数
+	 */
+	children: ExplanationNode[];
+}
+
+export interface Explanation<T = unknown> {
+	/**
+	 * 求值结果
+	 */
+	value: T;
+	/**
+	 * 最后一条语句的解释树，值可序列化时可直接转为 JSON
+	 */
+	explanation: ExplanationNode;
+	/**
+	 * 以文本呈现的解释，`✓` 表示真值，`✗` 表示假值，`-` 表示未求值
+	 */
+	text: string;
+}
+
+export interface EvaluateAsyncOptions {
+	/**
+	 * 用于取消求值，中止后正在等待的 `await` 会以 signal 的原因 reject
+	 */
+	signal?: AbortSignal;
+}
+
+export interface ExpressionDependencies {
+	/**
+	 * 从上下文读取的自由变量
+	 */
+	variables: string[];
+	/**
+	 * 从上下文变量读取的静态成员路径，例如 `user.address.city`，调用方法时路径不包含方法名
+	 */
+	paths: string[];
+	/**
+	 * 之后使用计算属性读取成员的路径，例如 `items[i]` 对应 `items`
+	 */
+	dynamic: string[];
+	/**
+	 * 由沙箱作用域（内置对象、自定义全局变量与插件）提供的自由变量
+	 */
+	globals: string[];
+}
+
+export interface ValidateOptions extends EvaluatorOptions {
+	/**
+	 * 上下文变量的名称，其他未定义的标识符会被报告为错误；不传时只对被选项隐藏的内置对象给出警告
+	 */
+	variables?: string[];
+	/**
+	 * 表达式是否使用 `evaluateAsync` 求值，为 `true` 时允许使用 `await`
+	 */
+	async?: boolean;
+}
+
+export interface PartialEvaluateOptions extends EvaluatorOptions {
+	/**
+	 * 剩余表达式是否使用 `evaluateAsync` 求值，为 `true` 时允许使用 `await`
+	 */
+	async?: boolean;
+}
+
+export interface Diagnostic {
+	/**
+	 * 求值时会抛出的错误信息
+	 */
+	message: string;
+	/**
+	 * 该错误的错误码
+	 */
+	code: ErrorCode;
+	/**
+	 * 问题节点在表达式中的起始偏移量
+	 */
+	start: number;
+	/**
+	 * 问题节点在表达式中的结束偏移量（不包含）
+	 */
+	end: number;
+	/**
+	 * 严重程度，`warning` 表示问题取决于上下文，例如被隐藏但可能由上下文提供的内置对象
+	 */
+	severity: "error" | "warning";
+}
 
 export declare class Evaluator {
-	constructor(variables: unknown);
+	constructor(variables?: unknown, options?: EvaluatorOptions);
+
+	static evaluate<T = unknown>(expression: string, variables?: unknown, options?: EvaluatorOptions): T;
 
-	static evaluate<T = unknown>(expression: string, variables: unknown): T;
+	static evaluateAsync<T = unknown>(
+		expression: string,
+		variables?: unknown,
+		options?: EvaluatorOptions & EvaluateAsyncOptions
+	): Promise<T>;
+
+	static compile<T = unknown>(expression: string, options?: EvaluatorOptions): (context?: unknown) => T;
+
+	static getDependencies(expression: string, options?: EvaluatorOptions): ExpressionDependencies;
+
+	static validate(expression: string, options?: ValidateOptions): Diagnostic[];
+
+	static explain<T = unknown>(expression: string, variables?: unknown, options?: EvaluatorOptions): Explanation<T>;
+
+	static partialEvaluate(expression: string, knownContext?: object, options?: PartialEvaluateOptions): string;
 
 	evaluate<T = unknown>(expression: string): T;
+
+	evaluateAsync<T = unknown>(expression: string, options?: EvaluateAsyncOptions): Promise<T>;
 }
 
 export declare function getNodeString(node: Node): string;
@@ -1,51 +1,169 @@
 import * as acorn from "acorn";
 import globals from "globals";
+import { allowedConstructors } from "./allowedConstructors.js";
+import { Compiler } from "./Compiler.js";
+import {
+	checkDecimalArguments,
+	createDecimalArithmetic,
+	getDecimalHolder,
+	isDecimalOperand,
+	isExactDecimalMethod,
+	parseDecimalLiteral,
+	toNumbers,
+} from "./decimal.js";
+import { collectDependencies } from "./dependencies.js";
+import {
+	ERROR_CODES,
+	EvaluationLimitError,
+	EvaluatorError,
+	EvaluatorRangeError,
+	EvaluatorReferenceError,
+	EvaluatorSyntaxError,
+	EvaluatorTypeError,
+	locateError,
+} from "./errors.js";
+import { explainNode, renderExplanation } from "./explain.js";
+import { createReadonlyMembrane } from "./membrane.js";
+import { createMessageFormatter } from "./messages.js";
 import { mutableMethods } from "./mutableMethods.js";
+import { BINARY_OPERATION_MAP, getOperatorOverloads } from "./operators.js";
+import { PartialEvaluator } from "./PartialEvaluator.js";
+import { getPluginScope } from "./plugins.js";
+import { checkPolicy, createPolicyResolver, isBuiltinFunction } from "./purity.js";
+import { Validator } from "./Validator.js";
 
-// Error message constants for better maintainability
-const ERROR_MESSAGES = {
-	DELETE_NOT_SUPPORTED: "Delete operator is not allow",
-	MUTABLE_METHOD: "Mutable method is not allowed",
-	NEW_FUNCTION_NOT_ALLOWED: "Cannot use new with Function constructor",
-	NOT_A_FUNCTION: "is not a function",
-	PROPERTY_READ_ERROR: "Cannot read property",
-	VARIABLE_NOT_DEFINED: "is not defined",
-	FUNCTION_CONSTRUCTOR_NOT_ALLOWED: "Function constructor is not allowed",
-	THIS_NOT_ALLOWED: "'this' keyword is not allowed",
-	NOT_A_VALID_SYNTAX: "is not a valid syntax",
-};
-
-const BINARY_OPERATION_MAP = {
-	"+": (a, b) => a + b,
-	"-": (a, b) => a - b,
-	"*": (a, b) => a * b,
-	"**": (a, b) => a ** b,
-	"==": (a, b) => a == b,
-	"===": (a, b) => a === b,
-	"!=": (a, b) => a != b,
-	"!==": (a, b) => a !== b,
-	">": (a, b) => a > b,
-	">=": (a, b) => a >= b,
-	"<": (a, b) => a < b,
-	"<=": (a, b) => a <= b,
-	"%": (a, b) => a % b,
-	"/": (a, b) => a / b,
-	"|": (a, b) => a | b,
-	"&": (a, b) => a & b,
-	"^": (a, b) => a ^ b,
-	"<<": (a, b) => a << b,
-	">>": (a, b) => a >> b,
-	">>>": (a, b) => a >>> b,
-	in: (a, b) => a in b,
-	instanceof: (a, b) => a instanceof b,
-};
-
-function createGlobalScope() {
+/**
+ * The record of a node visited by a traced evaluation.
+ * @typedef {Object} TraceNode
+ * @property {string} type - The type of the node, `Program` for the root
+ * @property {string} source - The source of the node
+ * @property {number} start - The start offset of the node in the expression
+ * @property {number} end - The end offset of the node in the expression
+ * @property {number} depth - The depth of the node in the trace, 0 for the root
+ * @property {*} value - The value produced by the node
+ * @property {*} [error] - The error thrown by the node
+ * @property {Array} [arguments] - The arguments of an arrow function call
+ * @property {TraceNode[]} children - The nodes visited while evaluating this one, in evaluation order
+ */
+
+/**
+ * The state of a running evaluation. Async evaluations of an evaluator may overlap, so each one restores
+ * its state when it resumes after an `await`.
+ * @typedef {Object} EvaluationState
+ * @property {string | undefined} source - The evaluated expression
+ * @property {AbortSignal | undefined} signal - The signal cancelling the evaluation
+ * @property {boolean} running - Whether the evaluation is running, otherwise the evaluator is idle
+ * @property {{ steps: number, deadline: number | undefined }} budget - The execution budget, shared by the
+ * functions the evaluation calls
+ */
+
+/** Marks `let`/`const` bindings that are declared but not yet initialized (temporal dead zone) */
+const UNINITIALIZED = Symbol("uninitialized");
+
+/**
+ * Scopes created for the blocks of arrow function bodies, they are the only scopes whose bindings can be reassigned.
+ * @type {WeakSet<Object>}
+ */
+const BLOCK_SCOPES = new WeakSet();
+
+/**
+ * Arrow functions and methods created by expressions, they are not host functions for `strictPurity`.
+ * @type {WeakSet<Function>}
+ */
+const EXPRESSION_FUNCTIONS = new WeakSet();
+
+/** Built-ins whose result changes from one call to the next, partial evaluation does not fold their calls */
+const NONDETERMINISTIC_FUNCTIONS = new Set([Math.random, Date.now, Date]);
+
+/** Thrown by the calls partial evaluation cannot fold, the node is then left in the residual expression */
+const IMPURE_CALL = Symbol("impure call");
+
+/**
+ * Checks whether a logical assignment (`&&=`, `||=`, `??=`) keeps the current value without evaluating its right side.
+ * @param {string} operator - The assignment operator
+ * @param {*} value - The current value of the target
+ * @returns {boolean}
+ */
+function isShortCircuited(operator, value) {
+	switch (operator) {
+		case "&&=": {
+			return !value;
+		}
+		case "||=": {
+			return Boolean(value);
+		}
+		case "??=": {
+			return value !== null && value !== undefined;
+		}
+		default: {
+			return false;
+		}
+	}
+}
+
+/**
+ * Template objects of tagged templates, like in JavaScript every site passes the same frozen strings array to its tag.
+ * @type {WeakMap<Object, ReadonlyArray<string | undefined>>}
+ */
+const TEMPLATE_OBJECTS = new WeakMap();
+
+/**
+ * Gets the key of a non-computed property, an identifier name or a string or numeric literal.
+ * @param {import('acorn').Expression} key - The key node
+ * @returns {PropertyKey}
+ */
+function getStaticKey(key) {
+	return key.type === "Identifier" ? key.name : key.value;
+}
+
+/**
+ * Collects the names bound by a pattern.
+ * @param {import('acorn').Pattern} pattern
+ * @param {string[]} [names=[]]
+ * @returns {string[]}
+ */
+function getPatternNames(pattern, names = []) {
+	switch (pattern.type) {
+		case "Identifier": {
+			names.push(pattern.name);
+			break;
+		}
+		case "AssignmentPattern": {
+			getPatternNames(pattern.left, names);
+			break;
+		}
+		case "RestElement": {
+			getPatternNames(pattern.argument, names);
+			break;
+		}
+		case "ArrayPattern": {
+			for (const element of pattern.elements) {
+				if (element) getPatternNames(element, names);
+			}
+			break;
+		}
+		case "ObjectPattern": {
+			for (const prop of pattern.properties) {
+				getPatternNames(prop.type === "RestElement" ? prop : prop.value, names);
+			}
+			break;
+		}
+	}
+
+	return names;
+}
+
+/**
+ * @param {string[]} [allowGlobals] - Names of the only built-ins to expose
+ * @param {string[]} [denyGlobals] - Names of built-ins to hide
+ */
+function createGlobalScope(allowGlobals, denyGlobals) {
 	const scope = Object.create(null);
 	const { builtin } = globals;
+	const isExposed = (key) => (!allowGlobals || allowGlobals.includes(key)) && !denyGlobals?.includes(key);
 
 	Object.keys(builtin).forEach((key) => {
-		if (key in globalThis && key !== "eval" && key !== "globalThis") {
+		if (key in globalThis && key !== "eval" && key !== "globalThis" && isExposed(key)) {
 			const isWritable = builtin[key];
 
 			Object.defineProperty(scope, key, {
@@ -57,42 +175,328 @@ function createGlobalScope() {
 		}
 	});
 
-	Object.defineProperty(scope, "globalThis", {
-		value: scope,
-		writable: false,
-		enumerable: false,
-		configurable: false,
-	});
+	if (isExposed("globalThis")) {
+		Object.defineProperty(scope, "globalThis", {
+			value: scope,
+			writable: false,
+			enumerable: false,
+			configurable: false,
+		});
+	}
+
+	return scope;
+}
+
+/**
+ * The global scope only exposes read-only built-ins, so a single frozen instance
+ * can be shared by every evaluator instead of being rebuilt per instance.
+ * Scopes restricted by `allowGlobals` or `denyGlobals` are cached by their configuration.
+ * @type {(allowGlobals?: string[], denyGlobals?: string[]) => object}
+ */
+const getGlobalScope = (() => {
+	let GLOBAL_SCOPE = null;
+	/** @type {Map<string, object>} */
+	const RESTRICTED_SCOPES = new Map();
+
+	return (allowGlobals, denyGlobals) => {
+		if (!allowGlobals && !denyGlobals) {
+			if (GLOBAL_SCOPE) return GLOBAL_SCOPE;
+
+			GLOBAL_SCOPE = Object.freeze(createGlobalScope());
+			return GLOBAL_SCOPE;
+		}
+
+		const key = JSON.stringify([allowGlobals ?? null, denyGlobals ?? null]);
+		let scope = RESTRICTED_SCOPES.get(key);
+
+		if (!scope) {
+			scope = Object.freeze(createGlobalScope(allowGlobals, denyGlobals));
+			RESTRICTED_SCOPES.set(key, scope);
+		}
+
+		return scope;
+	};
+})();
+
+/** Constructors compiling source code: `Function` and the constructors of async, generator and async generator functions */
+const FUNCTION_CONSTRUCTORS = new Set([
+	Function,
+	Object.getPrototypeOf(async () => {}).constructor,
+	Object.getPrototypeOf(function* () {}).constructor,
+	Object.getPrototypeOf(async function* () {}).constructor,
+]);
+
+const { call, apply, bind } = Function.prototype;
+
+/**
+ * Built-ins invoking another function. Calls to them are unwrapped so that the sandbox checks apply to the
+ * invoked function, and they cannot be handed to native code, which would invoke them without the checks.
+ */
+const INVOKERS = new Set([call, apply, bind, Reflect.apply, Reflect.construct]);
+
+/** Built-ins reading a member given as their second argument, they follow the member access policy */
+const MEMBER_READERS = new Set([Reflect.get, Reflect.getOwnPropertyDescriptor, Object.getOwnPropertyDescriptor]);
+
+/**
+ * Built-ins whose calls are checked against the member access policy, the member readers and `getOwnPropertyDescriptors`.
+ * Like the invokers, they cannot be handed to native code or bound, their calls would skip the checks.
+ */
+const CHECKED_READERS = new Set([...MEMBER_READERS, Object.getOwnPropertyDescriptors]);
+
+/**
+ * Built-ins creating objects with the keys the expression gives, their results are created objects whose `PURITY`
+ * annotations are ignored. They cannot be handed to native code or bound either, their results would not be seen.
+ */
+const OBJECT_CREATORS = new Set([Object.fromEntries, Object.create]);
+
+/** Above this length, an argument list is rejected instead of being copied, engines overflow the stack anyway */
+const MAX_ARGUMENTS = 65536;
+
+/**
+ * Copies the argument list given to `apply` or `Reflect.apply`. The copy is what gets invoked,
+ * so an array-like with getters cannot return other values after the checks.
+ * @param {Evaluator} evaluator
+ * @param {*} arrayLike
+ * @returns {Array}
+ */
+function toArgumentList(evaluator, arrayLike) {
+	if (arrayLike === null || (typeof arrayLike !== "object" && typeof arrayLike !== "function")) {
+		throw evaluator.createError(EvaluatorTypeError, "E_INVALID_ARGUMENTS");
+	}
+
+	const length = Math.max(0, Math.trunc(Number(arrayLike.length)) || 0);
+	if (length > MAX_ARGUMENTS) {
+		throw evaluator.createError(EvaluatorRangeError, "E_INVALID_ARGUMENTS.length");
+	}
+
+	return Array.from({ length }, (_, i) => arrayLike[i]);
+}
+
+/** Members leading to prototypes, constructors or legacy accessors, denied on every value by default */
+const DENIED_MEMBERS = [
+	"__proto__",
+	"constructor",
+	"prototype",
+	"__defineGetter__",
+	"__defineSetter__",
+	"__lookupGetter__",
+	"__lookupSetter__",
+	"caller",
+	"callee",
+	"arguments",
+];
+
+/**
+ * Returns the names of the members that cannot be read, the default policy extended by `denyMembers`
+ * and relaxed by `allowMembers`. Policies are cached by their configuration.
+ * @type {(allowMembers?: string[], denyMembers?: string[]) => Set<string>}
+ */
+const getDeniedMembers = (() => {
+	/** @type {Map<string, Set<string>>} */
+	const POLICIES = new Map();
+
+	return (allowMembers, denyMembers) => {
+		const key = JSON.stringify([allowMembers ?? null, denyMembers ?? null]);
+		let denied = POLICIES.get(key);
+
+		if (!denied) {
+			denied = new Set([...DENIED_MEMBERS, ...(denyMembers ?? [])].filter((name) => !allowMembers?.includes(name)));
+			POLICIES.set(key, denied);
+		}
+
+		return denied;
+	};
+})();
+
+/**
+ * Defines an own enumerable data property like `CreateDataProperty` in the spec. Unlike an assignment,
+ * it never invokes a setter, such as an accessor defined earlier in the literal or the inherited `__proto__`.
+ * @param {Object} obj
+ * @param {PropertyKey} key
+ * @param {*} value
+ */
+function createDataProperty(obj, key, value) {
+	Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Whether an object literal property is a `__proto__: value` prototype setter. Computed and shorthand
+ * `__proto__` properties are regular data properties.
+ * @param {import('acorn').Property} prop
+ * @returns {boolean}
+ */
+function isPrototypeSetter(prop) {
+	return prop.kind === "init" && !prop.computed && !prop.shorthand && !prop.method && getStaticKey(prop.key) === "__proto__";
+}
+
+/** @type {WeakMap<Object, object>} */
+const CUSTOM_GLOBAL_SCOPES = new WeakMap();
+
+/**
+ * Creates the scope of the custom globals of an evaluator, its bindings are read-only.
+ * The scope is cached per globals object, so the object is read when it is first used.
+ * @param {Object} customGlobals - The `globals` option
+ * @returns {object}
+ */
+function getCustomGlobalScope(customGlobals) {
+	let scope = CUSTOM_GLOBAL_SCOPES.get(customGlobals);
+
+	if (!scope) {
+		scope = Object.create(null);
+		for (const key of Object.keys(customGlobals)) {
+			Object.defineProperty(scope, key, {
+				value: customGlobals[key],
+				writable: false,
+				enumerable: true,
+				configurable: false,
+			});
+		}
+		Object.freeze(scope);
+		CUSTOM_GLOBAL_SCOPES.set(customGlobals, scope);
+	}
 
 	return scope;
 }
 
+/**
+ * Resolves paths of built-ins such as `Array.prototype.push` to the functions they name,
+ * paths missing from the current runtime are skipped.
+ * @param {string[]} paths
+ * @returns {Set<Function>}
+ */
+function resolveBuiltins(paths) {
+	const set = new Set();
+	for (const path of paths) {
+		const [object, ...properties] = path.split(".");
+		let current = globalThis[object];
+		for (const prop of properties) {
+			if (current && Object.hasOwn(current, prop)) {
+				current = current[prop];
+			} else {
+				current = null;
+				break;
+			}
+		}
+		if (typeof current === "function") set.add(current);
+	}
+	return set;
+}
+
 /** @type {() => Set<Function>} */
 const getMutableMethods = (() => {
 	let MUTABLE_METHODS = null;
 
 	return () => {
-		if (MUTABLE_METHODS) return MUTABLE_METHODS;
-
-		const set = new Set();
-		for (const path of mutableMethods) {
-			const [object, ...properties] = path.split(".");
-			let current = globalThis[object];
-			for (const prop of properties) {
-				if (current && Object.hasOwn(current, prop)) {
-					current = current[prop];
-				} else {
-					current = null;
-					break;
-				}
-			}
-			if (typeof current === "function") set.add(current);
-		}
-		MUTABLE_METHODS = set;
+		MUTABLE_METHODS ??= resolveBuiltins(mutableMethods);
 		return MUTABLE_METHODS;
 	};
 })();
 
+/**
+ * The built-in constructors that `new` and `Reflect.construct` can instantiate by default.
+ * @type {() => Set<Function>}
+ */
+const getAllowedConstructors = (() => {
+	let ALLOWED_CONSTRUCTORS = null;
+
+	return () => {
+		ALLOWED_CONSTRUCTORS ??= resolveBuiltins(allowedConstructors);
+		return ALLOWED_CONSTRUCTORS;
+	};
+})();
+
+/**
+ * Guards of built-ins whose result size is known from their arguments, they run before the
+ * built-in so that an oversized string or array is rejected before it is allocated.
+ * @type {() => Map<Function, (evaluator: Evaluator, target: *, args: Array) => void>}
+ */
+const getAllocationGuards = (() => {
+	let ALLOCATION_GUARDS = null;
+
+	return () => {
+		if (ALLOCATION_GUARDS) return ALLOCATION_GUARDS;
+
+		const checkLength = (evaluator, length) => {
+			if (typeof length === "number") evaluator.checkArrayLength(length);
+		};
+
+		ALLOCATION_GUARDS = new Map([
+			[String.prototype.repeat, (evaluator, target, [count]) => evaluator.checkStringLength(String(target).length * Number(count))],
+			[String.prototype.padStart, (evaluator, target, [length]) => evaluator.checkStringLength(Number(length))],
+			[String.prototype.padEnd, (evaluator, target, [length]) => evaluator.checkStringLength(Number(length))],
+			[Array, (evaluator, target, args) => checkLength(evaluator, args.length === 1 ? args[0] : args.length)],
+			[Array.from, (evaluator, target, [items]) => checkLength(evaluator, items?.length)],
+			[ArrayBuffer, (evaluator, target, [length]) => checkLength(evaluator, length)],
+		]);
+
+		for (const TypedArray of [
+			Int8Array,
+			Uint8Array,
+			Uint8ClampedArray,
+			Int16Array,
+			Uint16Array,
+			Int32Array,
+			Uint32Array,
+			Float32Array,
+			Float64Array,
+			BigInt64Array,
+			BigUint64Array,
+		]) {
+			ALLOCATION_GUARDS.set(TypedArray, (evaluator, target, [length]) => checkLength(evaluator, length));
+		}
+
+		return ALLOCATION_GUARDS;
+	};
+})();
+
+/**
+ * Parses an expression, a syntax error is thrown as an `EvaluatorSyntaxError` located where the parser failed.
+ * @param {string} expression
+ * @param {import('./messages.js').MessageFormatter} formatMessage - The formatter of the error message
+ * @param {boolean} [allowAwait=false] - Whether `await` is allowed outside of async functions
+ * @returns {import('acorn').Program}
+ */
+function parse(expression, formatMessage, allowAwait = false) {
+	try {
+		return acorn.parse(expression, { ecmaVersion: "latest", allowAwaitOutsideFunction: allowAwait });
+	} catch (error) {
+		if (!(error instanceof SyntaxError)) throw error;
+
+		const location = { start: error.pos, end: error.raisedAt ?? error.pos };
+		const message = formatMessage("E_SYNTAX", { message: error.message });
+		throw locateError(new EvaluatorSyntaxError(message, ERROR_CODES.SYNTAX), location, expression);
+	}
+}
+
+/** @type {WeakMap<Object, boolean>} */
+const AWAIT_CACHE = new WeakMap();
+
+/**
+ * Checks whether a node contains an `await` expression that belongs to the current function,
+ * awaits inside nested arrow functions are evaluated when those functions are called.
+ * @param {Object} node - The AST node to check
+ * @returns {boolean}
+ */
+function containsAwait(node) {
+	if (AWAIT_CACHE.has(node)) return AWAIT_CACHE.get(node);
+
+	let result = node.type === "AwaitExpression";
+
+	if (!result && node.type !== "ArrowFunctionExpression") {
+		for (const key of Object.keys(node)) {
+			const value = node[key];
+			const children = Array.isArray(value) ? value : [value];
+
+			result = children.some((child) => child !== null && typeof child === "object" && typeof child.type === "string" && containsAwait(child));
+
+			if (result) break;
+		}
+	}
+
+	AWAIT_CACHE.set(node, result);
+	return result;
+}
+
 /**
  * A JavaScript expression evaluator that safely evaluates expressions within a sandboxed environment.
  * Supports various JavaScript features including arithmetic, logical operations, functions, and more.
@@ -101,6 +505,8 @@ const getMutableMethods = (() => {
  * - Blocks mutable methods to prevent side effects
  * - No access to eval() or Function() constructor
  * - Sandboxed scope with limited global objects
+ * - Optional execution budget (step limit and timeout)
+ * - Optional allocation limits (string length, array length and object keys)
  *
  * @example
  * const evaluator = new Evaluator({ x: 10, y: 20 });
@@ -109,25 +515,285 @@ const getMutableMethods = (() => {
 export class Evaluator {
 	/**
 	 * Creates a new Evaluator instance with a custom variable context.
-	 * The scope hierarchy is: user variables -> global scope
+	 * The scope hierarchy is: custom globals -> user variables -> plugins -> global scope
 	 * @param {Object} [variables={}] - An optional object containing variables to make available in the evaluation context
+	 * @param {Object} [options={}] - Evaluation options
+	 * @param {Object} [options.globals] - Custom read-only globals, they cannot be shadowed by the variables
+	 * @param {string[]} [options.allowGlobals] - Names of the only built-in globals to expose
+	 * @param {string[]} [options.denyGlobals] - Names of built-in globals to hide
+	 * @param {string[]} [options.allowMembers] - Names of denied members (e.g. `prototype`) that can be read anyway
+	 * @param {string[]} [options.denyMembers] - Names of additional members that cannot be read
+	 * @param {Function[]} [options.allowConstructors] - Constructors that can be instantiated besides the default built-ins
+	 * @param {Function[]} [options.denyConstructors] - Default built-in constructors that cannot be instantiated
+	 * @param {boolean} [options.nullPrototype] - Whether the objects built by the evaluation have a null prototype
+	 * @param {boolean} [options.readonlyContext] - Whether the variables are wrapped in a deep read-only membrane
+	 * @param {import('./plugins.js').EvaluatorPlugin[]} [options.plugins] - Plugins providing helper functions and globals
+	 * @param {Map<Function, import('./plugins.js').FunctionPolicy>} [options.purity] - The policy of host functions, before their `PURITY` annotations
+	 * @param {boolean} [options.strictPurity] - Whether host functions without policy are rejected
+	 * @param {import('./operators.js').OperatorOverload[]} [options.operators] - Operator implementations for custom types
+	 * @param {"float" | "decimal"} [options.arithmetic="float"] - Whether numbers use exact decimal arithmetic
+	 * @param {import('./decimal.js').DecimalOptions} [options.decimal] - Precision, rounding and output of the decimal arithmetic
+	 * @param {number} [options.maxSteps] - Maximum number of visited nodes and function invocations per evaluation
+	 * @param {number} [options.timeoutMs] - Maximum duration of an evaluation in milliseconds
+	 * @param {number} [options.maxStringLength] - Maximum length of strings built by the evaluation
+	 * @param {number} [options.maxArrayLength] - Maximum length of arrays built by the evaluation
+	 * @param {number} [options.maxObjectKeys] - Maximum number of keys of object literals
+	 * @param {string} [options.locale="en"] - The locale of the error messages, `en` or `zh-CN`
+	 * @param {import('./messages.js').MessageCatalog} [options.messages] - Custom error messages keyed by error code, they take precedence over the locale
+	 * @param {boolean} [options.trace] - Whether evaluations return `{ value, trace }`, the trace being the tree of the visited nodes
+	 * @param {(trace: TraceNode) => void} [options.onTrace] - Receives the trace of every evaluation, including failed ones
 	 */
-	constructor(variables = {}) {
-		this.scopes = [variables, createGlobalScope()];
+	constructor(variables = {}, options = {}) {
+		// Messages of the errors, in the configured locale
+		this.formatMessage = createMessageFormatter(options.locale, options.messages);
+
+		// Read-only view of the variables and of every value read from them or returned by a call
+		this.membrane = options.readonlyContext
+			? createReadonlyMembrane(
+					(func) => this.isMutating(func),
+					(func, target) => this.isDeclaredPure(func, target),
+					this.formatMessage("E_READONLY_CONTEXT"),
+				)
+			: undefined;
+
+		this.scopes = [this.membrane ? this.membrane.wrap(variables) : variables, getGlobalScope(options.allowGlobals, options.denyGlobals)];
+		this.options = options;
+
+		// Policy of the host functions, functions marked as mutating cannot be called
+		this.purity = undefined;
+
+		// Objects created by the expression, the `PURITY` annotations they hold are ignored
+		this.createdObjects = new WeakSet();
+
+		// Policies declared with `PURITY` by the functions and objects of the host
+		this.resolvePolicy = createPolicyResolver(
+			(object) => !this.createdObjects.has(this.membrane ? this.membrane.unwrap(object) : object),
+			this.formatMessage,
+		);
+
+		if (options.plugins?.length) {
+			const { scope, purity } = getPluginScope(options.plugins, this.formatMessage);
+			this.scopes.splice(1, 0, scope);
+			this.purity = purity;
+		}
+
+		if (options.purity) {
+			for (const [func, policy] of options.purity) checkPolicy(policy, func.name, this.formatMessage);
+		}
+
+		// Host functions (neither built-in nor created by the expression) must have a policy to be called
+		this.strictPurity = Boolean(options.strictPurity);
+
+		// Set by partial evaluation, which only calls the pure functions while folding known values
+		this.pureCallsOnly = false;
+
+		/**
+		 * Set by partial evaluation, the values of the folded nodes, so that folding a node does not evaluate its operands again
+		 * @type {Map<import('acorn').Node, *> | undefined}
+		 */
+		this.foldedValues = undefined;
+
+		if (options.globals) {
+			this.scopes.unshift(getCustomGlobalScope(options.globals));
+		}
+
+		// Member access policy, `constructor`, `__proto__` and the like cannot be read on any value
+		this.deniedMembers = getDeniedMembers(options.allowMembers, options.denyMembers);
+
+		// Operator overloads, checked before the native operators
+		this.overloads = options.operators?.length ? getOperatorOverloads(options.operators, this.formatMessage) : undefined;
+
+		if (options.arithmetic !== undefined && options.arithmetic !== "float" && options.arithmetic !== "decimal") {
+			throw new EvaluatorTypeError(this.formatMessage("E_INVALID_OPTION.arithmetic"), ERROR_CODES.INVALID_OPTION);
+		}
+
+		// Exact decimal operators for numbers, applied after the overloads
+		this.decimal = options.arithmetic === "decimal" ? createDecimalArithmetic(options.decimal, this.formatMessage) : undefined;
+
 		this.source = undefined;
+		this.signal = undefined;
+
+		/**
+		 * RegExp literals of compiled expressions, one instance per literal and evaluation as when interpreted
+		 * @type {WeakMap<import('acorn').Literal, RegExp>}
+		 */
+		this.regExps = new WeakMap();
+
+		// Trace of the running evaluation, new traces are appended to the children of `traceNode`
+		this.tracing = Boolean(options.trace || options.onTrace);
+		this.traceNode = undefined;
+
+		// Execution budget of the running evaluation
+		this.limited = options.maxSteps !== undefined || options.timeoutMs !== undefined;
+		this.maxSteps = options.maxSteps ?? Infinity;
+		this.budget = { steps: 0, deadline: undefined };
+		this.running = false;
+
+		// Allocation limits, only checked when at least one of them is configured
+		this.allocationLimited =
+			options.maxStringLength !== undefined || options.maxArrayLength !== undefined || options.maxObjectKeys !== undefined;
+		this.maxStringLength = options.maxStringLength ?? Infinity;
+		this.maxArrayLength = options.maxArrayLength ?? Infinity;
+		this.maxObjectKeys = options.maxObjectKeys ?? Infinity;
 	}
 
 	/**
 	 * Evaluates a JavaScript expression with an optional context.
 	 * @param {string} expression
 	 * @param {unknown} [context]
+	 * @param {Object} [options] - Evaluation options, see the constructor
 	 * @returns
 	 */
-	static evaluate(expression, context) {
-		const evaluator = new Evaluator(context);
+	static evaluate(expression, context, options) {
+		const evaluator = new Evaluator(context, options);
 		return evaluator.evaluate(expression);
 	}
 
+	/**
+	 * Evaluates a JavaScript expression that may use `await`, with an optional context.
+	 * @param {string} expression
+	 * @param {unknown} [context]
+	 * @param {{ signal?: AbortSignal }} [options] - Evaluation options, see the constructor
+	 * @returns {Promise<*>}
+	 */
+	static evaluateAsync(expression, context, options) {
+		const evaluator = new Evaluator(context, options);
+		return evaluator.evaluateAsync(expression, options);
+	}
+
+	/**
+	 * Parses an expression once and returns a reusable function that evaluates it against a context.
+	 * The AST is turned into a tree of closures, so repeated evaluations skip parsing and node dispatch.
+	 * @param {string} expression - The JavaScript expression to compile
+	 * @param {Object} [options] - Evaluation options applied to every evaluation, see the constructor
+	 * @returns {(context?: unknown) => *} A function evaluating the expression with the given context
+	 * @throws {SyntaxError} If the expression has invalid syntax
+	 * @example
+	 * const isAdult = Evaluator.compile('age >= 18');
+	 * isAdult({ age: 20 }) // returns true
+	 */
+	static compile(expression, options = {}) {
+		// The state derived from the options is resolved once, each evaluation only binds its context
+		const prototype = new Evaluator({}, options);
+		const ast = parse(expression, prototype.formatMessage);
+		// Compiled closures skip `visit`, traced evaluations are interpreted
+		const program =
+			options.trace || options.onTrace ? (evaluator) => evaluator.execute(ast.body) : new Compiler(options).compileProgram(ast.body);
+
+		return (context) => {
+			const evaluator = prototype.bindContext(context);
+			evaluator.source = expression;
+			return evaluator.runEvaluation(() => evaluator.runWithBudget(() => program(evaluator)));
+		};
+	}
+
+	/**
+	 * Statically analyzes an expression, without evaluating it, and returns the context variables and the
+	 * member paths it reads. Identifiers provided by the sandbox scope configured by the options (built-ins,
+	 * `globals` and plugins) are listed as globals.
+	 * @param {string} expression - The JavaScript expression to analyze, it may use `await`
+	 * @param {Object} [options] - Evaluation options, see the constructor
+	 * @returns {import('./dependencies.js').ExpressionDependencies}
+	 * @throws {SyntaxError} If the expression has invalid syntax
+	 * @example
+	 * Evaluator.getDependencies('items.map(item => item.price * rate[currency])')
+	 * // returns { variables: ['items', 'currency', 'rate'], paths: ['items', 'currency', 'rate'], dynamic: ['rate'], globals: [] }
+	 */
+	static getDependencies(expression, options = {}) {
+		const formatMessage = createMessageFormatter(options.locale, options.messages);
+		const ast = parse(expression, formatMessage, true);
+		const globalScope = getGlobalScope(options.allowGlobals, options.denyGlobals);
+		const pluginScope = options.plugins?.length ? getPluginScope(options.plugins, formatMessage).scope : undefined;
+
+		return collectDependencies(
+			ast,
+			(name) =>
+				(options.globals !== undefined && Object.hasOwn(options.globals, name)) ||
+				(pluginScope !== undefined && name in pluginScope) ||
+				name in globalScope,
+		);
+	}
+
+	/**
+	 * Statically checks an expression, without evaluating it, against the rules of the evaluator configured
+	 * by the options. The whole AST is walked, including branches and functions an evaluation may not reach.
+	 * @param {string} expression - The JavaScript expression to check
+	 * @param {Object} [options] - Evaluation options, see the constructor, and:
+	 * @param {string[]} [options.variables] - The names of the context variables, other identifiers are reported as not defined
+	 * @param {boolean} [options.async] - Whether the expression is evaluated with `evaluateAsync`, it may use `await`
+	 * @returns {import('./Validator.js').Diagnostic[]} The diagnostics, an empty array for a valid expression
+	 * @example
+	 * Evaluator.validate('[3, 1].sort()[0] + x', { variables: ['items'] })
+	 * // returns [
+	 * //   { message: 'Mutable method is not allowed', code: 'E_MUTABLE_METHOD', start: 7, end: 11, severity: 'error' },
+	 * //   { message: 'x is not defined', code: 'E_UNDEFINED_VARIABLE', start: 19, end: 20, severity: 'error' },
+	 * // ]
+	 */
+	static validate(expression, options = {}) {
+		let ast;
+		try {
+			ast = parse(expression, createMessageFormatter(options.locale, options.messages), Boolean(options.async));
+		} catch (error) {
+			if (!(error instanceof EvaluatorSyntaxError)) throw error;
+			return [{ message: error.message, code: error.code, start: error.start, end: error.end, severity: "error" }];
+		}
+
+		const evaluator = new Evaluator({}, options);
+		evaluator.source = expression;
+		return new Validator(evaluator, options.variables).validateProgram(ast.body);
+	}
+
+	/**
+	 * Evaluates an expression, typically a boolean rule, and explains its result: which operands of `&&`,
+	 * `||`, `??` and `!` were truthy or falsy, which were short-circuited, and the values compared by each
+	 * comparison. The explanation covers the last statement of the expression.
+	 * @param {string} expression - The JavaScript expression to evaluate
+	 * @param {unknown} [context]
+	 * @param {Object} [options] - Evaluation options, see the constructor, `locale` and `messages` also apply to the text
+	 * @returns {{ value: *, explanation: import('./explain.js').ExplanationNode, text: string }} The result, its explanation
+	 * tree, which is serializable when the values are, and the explanation rendered as text
+	 * @example
+	 * Evaluator.explain('age >= 18 && country === "US"', { age: 20, country: 'FR' }).text
+	 * // ✗ age >= 18 && country === "US" → false
+	 * //   ✓ age >= 18 → true (20 >= 18)
+	 * //   ✗ country === "US" → false ("FR" === "US")
+	 */
+	static explain(expression, context, options = {}) {
+		const evaluator = new Evaluator(context, { ...options, trace: true });
+		const { value, trace } = evaluator.evaluate(expression);
+
+		const statement = parse(expression, evaluator.formatMessage).body.at(-1);
+		const explanation =
+			statement?.type === "ExpressionStatement"
+				? explainNode(statement.expression, trace.children.at(-1), expression)
+				: explainNode(trace, trace, expression);
+
+		return { value, explanation, text: renderExplanation(explanation, evaluator.formatMessage) };
+	}
+
+	/**
+	 * Partially evaluates an expression with the part of its context known in advance, without evaluating it.
+	 * Known variables and constants are folded, the branches of conditions and logical expressions decided
+	 * by known values are pruned, and the residual expression only reads the variables that are still unknown.
+	 * Only the calls to pure functions are folded, see `PartialEvaluator`.
+	 * @param {string} expression - The JavaScript expression to specialize
+	 * @param {Object} [knownContext] - The variables known in advance
+	 * @param {Object} [options] - Evaluation options, see the constructor, and `options.async` to allow `await`
+	 * @returns {string} The residual expression, to evaluate with the rest of the context
+	 * @example
+	 * Evaluator.partialEvaluate('tier === "gold" ? price * discount : price', { tier: 'gold', discount: 0.8 })
+	 * // returns 'price * 0.8'
+	 */
+	static partialEvaluate(expression, knownContext = {}, options = {}) {
+		const evaluator = new Evaluator(knownContext, { ...options, trace: false, onTrace: undefined });
+		const ast = parse(expression, evaluator.formatMessage, Boolean(options.async));
+
+		evaluator.source = expression;
+		evaluator.pureCallsOnly = true;
+		evaluator.foldedValues = new Map();
+		return new PartialEvaluator(evaluator).evaluateProgram(ast.body);
+	}
+
 	/**
 	 * Parses and evaluates a JavaScript expression using acorn parser.
 	 * @param {string} expression - The JavaScript expression to evaluate
@@ -139,235 +805,1543 @@ export class Evaluator {
 	evaluate(expression) {
 		this.source = expression;
 
-		const ast = acorn.parse(expression, { ecmaVersion: "latest" });
+		const ast = parse(expression, this.formatMessage);
 
 		// Start recursive evaluation from the root node
 		try {
-			return this.execute(ast.body);
+			return this.runEvaluation(() => this.runWithBudget(() => this.execute(ast.body)));
 		} finally {
 			this.source = undefined;
 		}
 	}
 
 	/**
-	 * Executes an array of AST body nodes sequentially.
-	 * @private
-	 * @param {Array} body - Array of AST nodes to execute
-	 * @returns {*} The result of the last executed node
+	 * Parses and evaluates a JavaScript expression that may use top-level `await` and async arrow functions.
+	 * When a signal is given, the pending `await` is rejected with the signal's reason as soon as it aborts.
+	 * @param {string} expression - The JavaScript expression to evaluate
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - A signal to cancel the evaluation
+	 * @returns {Promise<*>} The result of the evaluation
+	 * @throws {SyntaxError} If the expression has invalid syntax
 	 */
-	execute(body) {
-		let result;
-		for (const node of body) {
-			result = this.visit(node);
+	async evaluateAsync(expression, options = {}) {
+		const { signal } = options;
+
+		signal?.throwIfAborted();
+
+		const ast = parse(expression, this.formatMessage, true);
+		const scopes = this.scopes;
+		const caller = this.captureState();
+		this.source = expression;
+		this.signal = signal;
+
+		if (!this.running) {
+			this.startBudget();
+			this.running = true;
 		}
-		return result;
+
+		const state = this.captureState();
+
+		let evaluation;
+		try {
+			evaluation = this.runEvaluation(async () => {
+				const trace = this.traceNode;
+				try {
+					let result;
+					for (const node of ast.body) {
+						result = (await this.visitAsync(node)).value;
+						this.scopes = scopes;
+						this.traceNode = trace;
+						this.restoreState(state);
+					}
+					return result;
+				} finally {
+					this.scopes = scopes;
+					this.releaseState();
+				}
+			}, true);
+		} finally {
+			// The evaluation is pending, its caller continues with its own state
+			this.scopes = scopes;
+			this.restoreState(caller);
+		}
+
+		return evaluation;
 	}
 
 	/**
-	 * Visits an AST node and delegates to the appropriate handler based on node type.
+	 * Creates an evaluator of another context sharing the state this one derives from its options: the messages,
+	 * policies, sandbox scopes, overloads and arithmetic. It has its own evaluation state.
 	 * @private
-	 * @param {Object} node - The AST node to visit
-	 * @returns {*} The result of visiting the node
+	 * @param {Object} [variables={}]
+	 * @returns {Evaluator}
 	 */
-	visit(node) {
-		switch (node.type) {
-			case "ExpressionStatement": {
-				return this.visit(node.expression);
-			}
+	bindContext(variables = {}) {
+		const evaluator = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+		// The variables follow the custom globals, see the constructor
+		evaluator.scopes = [...this.scopes];
+		evaluator.scopes[this.options.globals ? 1 : 0] = this.membrane ? this.membrane.wrap(variables) : variables;
+
+		evaluator.source = undefined;
+		evaluator.signal = undefined;
+		evaluator.regExps = new WeakMap();
+		evaluator.traceNode = undefined;
+		evaluator.budget = { steps: 0, deadline: undefined };
+		evaluator.running = false;
+		return evaluator;
+	}
+
+	/**
+	 * Captures the state of the running evaluation, see `EvaluationState`.
+	 * @private
+	 * @returns {EvaluationState}
+	 */
+	captureState() {
+		return { source: this.source, signal: this.signal, running: this.running, budget: this.budget };
+	}
+
+	/**
+	 * Restores the state of an evaluation resuming after an `await`, or of the caller of an async evaluation.
+	 * @private
+	 * @param {EvaluationState} state
+	 */
+	restoreState(state) {
+		this.source = state.source;
+		this.signal = state.signal;
+		this.running = state.running;
+		this.budget = state.budget;
+	}
+
+	/**
+	 * Leaves the evaluator idle while an async evaluation awaits a pending value, so other evaluations
+	 * do not run with its state.
+	 * @private
+	 */
+	releaseState() {
+		this.source = undefined;
+		this.signal = undefined;
+		this.running = false;
+	}
+
+	/**
+	 * Runs an evaluation and converts its result, see `toResult`. When tracing, the evaluation is recorded
+	 * under a `Program` trace, given to `onTrace` once settled and returned with the result for `trace`.
+	 * @private
+	 * @param {() => *} run - Evaluates the expression
+	 * @param {boolean} [async=false] - Whether `run` returns a promise of the result
+	 * @returns {*}
+	 */
+	runEvaluation(run, async = false) {
+		if (!this.tracing) {
+			return async ? run().then((value) => this.toResult(value)) : this.toResult(run());
+		}
+
+		/** @type {TraceNode} */
+		const trace = { type: "Program", source: this.source, start: 0, end: this.source.length, depth: 0, value: undefined, children: [] };
+		const complete = (value) => {
+			trace.value = this.toResult(value);
+			this.options.onTrace?.(trace);
+			return this.options.trace ? { value: trace.value, trace } : trace.value;
+		};
+		const fail = (error) => {
+			trace.error = error;
+			this.options.onTrace?.(trace);
+			throw error;
+		};
+
+		this.traceNode = trace;
+		try {
+			return async ? run().then(complete, fail) : complete(run());
+		} catch (error) {
+			return fail(error);
+		} finally {
+			this.traceNode = undefined;
+		}
+	}
+
+	/**
+	 * Converts the result of an evaluation for the caller, decimals become numbers or strings in decimal mode.
+	 * @private
+	 * @param {*} value
+	 * @returns {*}
+	 */
+	toResult(value) {
+		return this.decimal ? this.decimal.output(value) : value;
+	}
+
+	/**
+	 * Runs a callback within the execution budget of the running evaluation,
+	 * or with a fresh budget when called outside of any evaluation (e.g. a returned arrow function).
+	 * @private
+	 * @template T
+	 * @param {() => T} callback
+	 * @returns {T}
+	 */
+	runWithBudget(callback) {
+		if (this.running) {
+			return callback();
+		}
+
+		this.startBudget();
+		this.running = true;
+		try {
+			return callback();
+		} finally {
+			this.running = false;
+		}
+	}
+
+	/**
+	 * Starts the step counter and the deadline of a new evaluation, pending async evaluations keep their own.
+	 * @private
+	 */
+	startBudget() {
+		const { timeoutMs } = this.options;
+		this.budget = { steps: 0, deadline: timeoutMs === undefined ? undefined : Date.now() + timeoutMs };
+	}
+
+	/**
+	 * Counts an evaluation step (a visited node or a function invocation) and enforces the budget.
+	 * @private
+	 * @throws {EvaluationLimitError} If the step limit or the timeout is exceeded
+	 */
+	step() {
+		const { budget } = this;
+		if (++budget.steps > this.maxSteps) {
+			throw this.createLimitError("maxSteps", this.maxSteps);
+		}
+
+		if (budget.deadline !== undefined && Date.now() > budget.deadline) {
+			throw this.createTimeoutError();
+		}
+	}
+
+	/**
+	 * Creates an error whose message is looked up in the message catalog.
+	 * @private
+	 * @template {new (message: string, code: string) => Error} T
+	 * @param {T} ErrorClass
+	 * @param {string} key - The error code, possibly followed by a variant, e.g. `E_UNSUPPORTED_SYNTAX.this`
+	 * @param {Record<string, unknown>} [params] - The values of the placeholders of the message
+	 * @returns {InstanceType<T>}
+	 */
+	createError(ErrorClass, key, params) {
+		return /** @type {InstanceType<T>} */ (new ErrorClass(this.formatMessage(key, params), key.split(".")[0]));
+	}
+
+	/**
+	 * @private
+	 * @param {string} limit - The name of the exceeded option
+	 * @param {number} value - Its value
+	 * @returns {EvaluationLimitError}
+	 */
+	createLimitError(limit, value) {
+		return new EvaluationLimitError(this.formatMessage(`E_LIMIT_EXCEEDED.${limit}`, { limit: value }), limit);
+	}
+
+	/**
+	 * @private
+	 * @returns {EvaluationLimitError}
+	 */
+	createTimeoutError() {
+		return this.createLimitError("timeoutMs", this.options.timeoutMs);
+	}
+
+	/**
+	 * @private
+	 * @param {number} length - The length of a string about to be or just built
+	 * @throws {EvaluationLimitError} If the length exceeds `maxStringLength`
+	 */
+	checkStringLength(length) {
+		if (length > this.maxStringLength) {
+			throw this.createLimitError("maxStringLength", this.maxStringLength);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} length - The length of an array about to be or just built
+	 * @throws {EvaluationLimitError} If the length exceeds `maxArrayLength`
+	 */
+	checkArrayLength(length) {
+		if (length > this.maxArrayLength) {
+			throw this.createLimitError("maxArrayLength", this.maxArrayLength);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} obj - An object built by an object literal
+	 * @throws {EvaluationLimitError} If the number of keys exceeds `maxObjectKeys`
+	 */
+	checkObjectKeys(obj) {
+		if (Reflect.ownKeys(obj).length > this.maxObjectKeys) {
+			throw this.createLimitError("maxObjectKeys", this.maxObjectKeys);
+		}
+	}
+
+	/**
+	 * Enforces the allocation limits on a value returned by a function call.
+	 * @private
+	 * @template T
+	 * @param {T} value
+	 * @returns {T}
+	 */
+	checkSize(value) {
+		if (typeof value === "string") {
+			this.checkStringLength(value.length);
+		} else if (Array.isArray(value)) {
+			this.checkArrayLength(value.length);
+		}
+
+		return value;
+	}
+
+	/**
+	 * Executes an array of AST body nodes sequentially.
+	 * @private
+	 * @param {Array} body - Array of AST nodes to execute
+	 * @returns {*} The result of the last executed node
+	 */
+	execute(body) {
+		let result;
+		for (const node of body) {
+			result = this.visit(node);
+		}
+		return result;
+	}
+
+	/**
+	 * Visits an AST node, recording it in the trace of the evaluation when tracing.
+	 * @private
+	 * @param {Object} node - The AST node to visit
+	 * @returns {*} The result of visiting the node
+	 */
+	visit(node) {
+		if (this.foldedValues?.has(node)) {
+			return this.foldedValues.get(node);
+		}
+
+		// Expression statements have the value of their expression, the trace only lists the expression
+		if (this.traceNode !== undefined && node.type !== "ExpressionStatement") {
+			return this.traceVisit(node, () => this.visitNode(node));
+		}
+
+		return this.visitNode(node);
+	}
+
+	/**
+	 * Visits an AST node and delegates to the appropriate handler based on node type.
+	 * @private
+	 * @param {Object} node - The AST node to visit
+	 * @returns {*} The result of visiting the node
+	 */
+	visitNode(node) {
+		try {
+			if (this.limited) this.step();
+
+			switch (node.type) {
+				case "ExpressionStatement": {
+					return this.visit(node.expression);
+				}
+				case "BinaryExpression": {
+					return this.handleBinaryExpression(node);
+				}
+				case "LogicalExpression": {
+					return this.handleLogicalExpression(node);
+				}
+				case "UnaryExpression": {
+					return this.handleUnaryExpression(node);
+				}
+				case "Identifier": {
+					return this.handleIdentifier(node);
+				}
+				case "Literal": {
+					return this.decimal && typeof node.value === "number" ? parseDecimalLiteral(node.raw) : node.value;
+				}
+				case "MemberExpression": {
+					return this.handleMemberExpression(node);
+				}
+				case "ArrayExpression": {
+					return this.handleArrayExpression(node);
+				}
+				case "SpreadElement": {
+					return this.handleSpreadElement(node);
+				}
+				case "ObjectExpression": {
+					return this.handleObjectExpression(node);
+				}
+				case "ArrowFunctionExpression": {
+					return this.handleArrowFunctionExpression(node);
+				}
+				case "CallExpression": {
+					return this.handleCallExpression(node);
+				}
+				case "ConditionalExpression": {
+					return this.visit(node.test) ? this.visit(node.consequent) : this.visit(node.alternate);
+				}
+				case "NewExpression": {
+					if (node.callee.type === "Identifier" && node.callee.name === "Function") {
+						throw this.createError(EvaluatorError, "E_FUNCTION_CONSTRUCTOR.new");
+					}
+
+					const Constructor = this.visit(node.callee);
+
+					// 仅在存在参数时构建数组
+					const args = node.arguments.length ? this.evaluateArguments(node.arguments) : [];
+
+					return this.construct(Constructor, args);
+				}
+				case "ChainExpression": {
+					return this.visit(node.expression);
+				}
+				case "TemplateLiteral": {
+					return this.handleTemplateLiteral(node);
+				}
+				case "TaggedTemplateExpression": {
+					return this.handleTaggedTemplateExpression(node);
+				}
+				case "SequenceExpression": {
+					let result;
+					for (const expression of node.expressions) {
+						result = this.visit(expression);
+					}
+					return result;
+				}
+				case "AssignmentExpression": {
+					return this.handleAssignmentExpression(node);
+				}
+				case "ThisExpression": {
+					throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.this");
+				}
+				default: {
+					throw this.invalidSyntax(node);
+				}
+			}
+		} catch (error) {
+			// The innermost node raising an error is its location
+			throw locateError(error, node, this.source);
+		}
+	}
+
+	/**
+	 * Records a node in the trace of the evaluation, the nodes visited meanwhile are its children.
+	 * @private
+	 * @param {Object} node - The AST node, or the arrow function being called
+	 * @param {() => *} visit - Evaluates the node
+	 * @param {Array} [args] - The arguments of an arrow function call
+	 * @returns {*} The result of `visit`
+	 */
+	traceVisit(node, visit, args) {
+		const parent = this.traceNode;
+		const trace = this.createTraceNode(node, parent);
+		if (args) trace.arguments = args;
+
+		this.traceNode = trace;
+		try {
+			const value = visit();
+			trace.value = this.toResult(value);
+			return value;
+		} catch (error) {
+			trace.error = error;
+			throw error;
+		} finally {
+			this.traceNode = parent;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} node
+	 * @param {TraceNode} parent
+	 * @returns {TraceNode} The trace of the node, appended to the children of its parent
+	 */
+	createTraceNode(node, parent) {
+		const trace = {
+			type: node.type,
+			source: this.source.slice(node.start, node.end),
+			start: node.start,
+			end: node.end,
+			depth: parent.depth + 1,
+			value: undefined,
+			children: [],
+		};
+		parent.children.push(trace);
+		return trace;
+	}
+
+	/**
+	 * Creates the error of a node whose syntax is not supported.
+	 * @private
+	 * @param {import('acorn').Node} node
+	 * @returns {Error}
+	 */
+	invalidSyntax(node) {
+		// Arrow functions called after their evaluation has finished no longer have the source at hand
+		let content = this.source === undefined ? node.type : this.source.slice(node.start, node.end);
+
+		if (content.length > 20) {
+			content = content.slice(0, 17) + "...";
+		}
+
+		return this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX", { syntax: content });
+	}
+
+	/**
+	 * Visits an AST node that may contain `await` expressions.
+	 * Subtrees without `await` are delegated to the synchronous `visit`. Other evaluations may run while
+	 * an `await` is pending, so the scopes of this node are restored right after every `await`.
+	 * The result is wrapped in a `{ value }` record, otherwise a promise produced by the expression
+	 * would be awaited implicitly.
+	 * @private
+	 * @param {Object} node - The AST node to visit
+	 * @returns {Promise<{ value: * }>} The result of visiting the node
+	 */
+	async visitAsync(node) {
+		if (!containsAwait(node)) {
+			return { value: this.visit(node) };
+		}
+
+		const parent = this.traceNode;
+		const trace = parent !== undefined && node.type !== "ExpressionStatement" ? this.createTraceNode(node, parent) : undefined;
+		if (trace) this.traceNode = trace;
+		const { source } = this;
+
+		try {
+			const record = await this.visitAwaitingNode(node);
+			if (trace) trace.value = this.toResult(record.value);
+			return record;
+		} catch (error) {
+			if (trace) trace.error = error;
+			throw locateError(error, node, source);
+		} finally {
+			this.traceNode = parent;
+			// The node is settled after an `await`, the awaiting node restores its own state
+			this.releaseState();
+		}
+	}
+
+	/**
+	 * Visits an AST node containing an `await` expression, see `visitAsync`.
+	 * @private
+	 * @param {Object} node - The AST node to visit
+	 * @returns {Promise<{ value: * }>} The result of visiting the node
+	 */
+	async visitAwaitingNode(node) {
+		const scopes = this.scopes;
+		const traceNode = this.traceNode;
+		const state = this.captureState();
+		const resume = (record) => {
+			this.scopes = scopes;
+			this.traceNode = traceNode;
+			this.restoreState(state);
+			return record.value;
+		};
+		const visit = (child) => this.visitAsync(child);
+
+		switch (node.type) {
+			case "ExpressionStatement":
+			case "ChainExpression": {
+				return visit(node.expression);
+			}
+			case "SpreadElement": {
+				return visit(node.argument);
+			}
+			case "AwaitExpression": {
+				const argument = resume(await visit(node.argument));
+				const pending = this.awaitValue(argument);
+				this.releaseState();
+				return { value: resume({ value: await pending }) };
+			}
 			case "BinaryExpression": {
-				return this.handleBinaryExpression(node);
+				const left = resume(await visit(node.left));
+				const right = resume(await visit(node.right));
+				return { value: this.applyBinaryOperator(node.operator, left, right) };
 			}
 			case "LogicalExpression": {
-				return this.handleLogicalExpression(node);
+				const left = resume(await visit(node.left));
+				switch (node.operator) {
+					case "&&": {
+						return left ? visit(node.right) : { value: left };
+					}
+					case "||": {
+						return left ? { value: left } : visit(node.right);
+					}
+					case "??": {
+						return left !== null && left !== undefined ? { value: left } : visit(node.right);
+					}
+					default: {
+						throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.operator", { operator: node.operator });
+					}
+				}
 			}
 			case "UnaryExpression": {
-				return this.handleUnaryExpression(node);
-			}
-			case "Identifier": {
-				return this.handleIdentifier(node);
+				if (node.operator === "delete") {
+					throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.delete");
+				}
+				return { value: this.applyUnaryOperator(node, resume(await visit(node.argument))) };
 			}
-			case "Literal": {
-				return node.value;
+			case "ConditionalExpression": {
+				return resume(await visit(node.test)) ? visit(node.consequent) : visit(node.alternate);
 			}
 			case "MemberExpression": {
-				return this.handleMemberExpression(node);
+				const object = resume(await visit(node.object));
+				const isStaticProperty = node.property.type === "Identifier" && !node.computed;
+				const property = isStaticProperty ? node.property.name : resume(await visit(node.property));
+				return { value: this.getProperty(object, property, node) };
 			}
-			case "ArrayExpression": {
-				return this.handleArrayExpression(node);
+			case "CallExpression": {
+				return this.handleCallExpressionAsync(node, resume);
 			}
-			case "SpreadElement": {
-				return this.handleSpreadElement(node);
+			case "AssignmentExpression": {
+				const scope = this.getAssignableScope(node.left);
+				if (isShortCircuited(node.operator, scope[node.left.name])) {
+					return { value: scope[node.left.name] };
+				}
+				const right = resume(await visit(node.right));
+				return { value: this.assign(node, scope, right) };
 			}
-			case "ObjectExpression": {
-				return this.handleObjectExpression(node);
+			case "NewExpression": {
+				if (node.callee.type === "Identifier" && node.callee.name === "Function") {
+					// Rejected before any argument is evaluated
+					return { value: this.visit(node) };
+				}
+				const Constructor = resume(await visit(node.callee));
+				const args = resume(await this.evaluateArgumentsAsync(node.arguments, resume));
+				return { value: this.construct(Constructor, args) };
 			}
-			case "ArrowFunctionExpression": {
-				return this.handleArrowFunctionExpression(node);
+			case "ArrayExpression": {
+				const elements = resume(await this.evaluateArgumentsAsync(node.elements, resume));
+				if (this.allocationLimited) this.checkArrayLength(elements.length);
+				return { value: elements };
 			}
-			case "CallExpression": {
-				return this.handleCallExpression(node);
+			case "ObjectExpression": {
+				const obj = this.createObject();
+				for (const prop of node.properties) {
+					if (prop.type === "SpreadElement") {
+						this.copyDataProperties(obj, resume(await visit(prop.argument)));
+						continue;
+					}
+					const key = prop.computed ? resume(await visit(prop.key)) : getStaticKey(prop.key);
+					const value = prop.method || prop.kind !== "init" ? this.createMethod(prop) : resume(await visit(prop.value));
+					this.defineObjectProperty(obj, prop, key, value);
+				}
+				if (this.allocationLimited) this.checkObjectKeys(obj);
+				return { value: obj };
 			}
-			case "ConditionalExpression": {
-				return this.visit(node.test) ? this.visit(node.consequent) : this.visit(node.alternate);
+			case "TemplateLiteral": {
+				let result = "";
+				for (let i = 0; i < node.quasis.length; i++) {
+					result += node.quasis[i].value.cooked;
+					if (i < node.expressions.length) {
+						result += resume(await visit(node.expressions[i]));
+					}
+				}
+				if (this.allocationLimited) this.checkStringLength(result.length);
+				return { value: result };
 			}
-			case "NewExpression": {
-				if (node.callee.type !== "Identifier") {
-					throw new Error(`Unsupported callee type '${node.callee.type}' in new expression`);
+			case "TaggedTemplateExpression": {
+				let tag;
+				let target = null;
+				if (node.tag.type === "MemberExpression") {
+					target = resume(await visit(node.tag.object));
+					const isStaticProperty = node.tag.property.type === "Identifier" && !node.tag.computed;
+					const property = isStaticProperty ? node.tag.property.name : resume(await visit(node.tag.property));
+					tag = this.getMethod(target, property, node.tag);
+				} else {
+					tag = resume(await visit(node.tag));
 				}
-
-				if (node.callee.name === "Function") {
-					throw new Error(ERROR_MESSAGES.NEW_FUNCTION_NOT_ALLOWED);
+				const values = resume(await this.evaluateArgumentsAsync(node.quasi.expressions, resume));
+				return { value: this.callFunction(tag, target, [this.getTemplateObject(node.quasi), ...values], node) };
+			}
+			case "SequenceExpression": {
+				let result;
+				for (const expression of node.expressions) {
+					result = resume(await visit(expression));
 				}
+				return { value: result };
+			}
+			default: {
+				return { value: this.visit(node) };
+			}
+		}
+	}
+
+	/**
+	 * Awaits a value, rejecting as soon as the signal of the current evaluation aborts or its timeout expires.
+	 * @private
+	 * @param {*} value - The awaited value
+	 * @returns {Promise<*>}
+	 */
+	awaitValue(value) {
+		const { signal } = this;
+		const { deadline } = this.budget;
+
+		if (!signal && deadline === undefined) {
+			return Promise.resolve(value);
+		}
+
+		signal?.throwIfAborted();
 
-				const Constructor = this.visit(node.callee);
+		return new Promise((resolve, reject) => {
+			const onAbort = () => settle(reject, signal.reason);
+			const timer = deadline === undefined ? undefined : setTimeout(() => settle(reject, this.createTimeoutError()), deadline - Date.now());
+			const settle = (callback, result) => {
+				clearTimeout(timer);
+				signal?.removeEventListener("abort", onAbort);
+				callback(result);
+			};
+
+			signal?.addEventListener("abort", onAbort, { once: true });
+			Promise.resolve(value).then(
+				(result) => settle(resolve, result),
+				(error) => settle(reject, error)
+			);
+		});
+	}
+
+	/**
+	 * Handles binary expressions (arithmetic and comparison operations).
+	 * @param {import('acorn').BinaryExpression} node
+	 * @private
+	 */
+	handleBinaryExpression(node) {
+		const left = this.visit(node.left);
+		const right = this.visit(node.right);
 
-				// 仅在存在参数时构建数组
-				const args = node.arguments.length ? node.arguments.map((arg) => this.visit(arg)) : [];
+		return this.applyBinaryOperator(node.operator, left, right);
+	}
+
+	/**
+	 * Applies a binary operator to already evaluated operands.
+	 * The first operator overload whose `test` accepts one of the operands takes precedence over the native operator.
+	 * In decimal arithmetic, operators on two numbers are then applied to their exact decimal values.
+	 * @param {string} op - The operator, e.g. `+`
+	 * @param {*} left
+	 * @param {*} right
+	 * @private
+	 */
+	applyBinaryOperator(op, left, right) {
+		if (this.overloads) {
+			for (const overload of this.overloads) {
+				const operation = overload.binary[op];
+
+				if (operation && (overload.test(left) || overload.test(right))) {
+					return operation(left, right);
+				}
+			}
+		}
+
+		if (this.decimal?.binary[op] && isDecimalOperand(left) && isDecimalOperand(right)) {
+			return this.decimal.binary[op](left, right);
+		}
+
+		if (BINARY_OPERATION_MAP.hasOwnProperty(op)) {
+			const result = BINARY_OPERATION_MAP[op](left, right);
+
+			if (this.allocationLimited && typeof result === "string") {
+				this.checkStringLength(result.length);
+			}
+
+			return result;
+		}
+
+		throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.operator", { operator: op });
+	}
+
+	/**
+	 * Handles logical expressions (&&, ||, ??).
+	 * Implements proper short-circuit evaluation for performance.
+	 * @private
+	 */
+	handleLogicalExpression(node) {
+		switch (node.operator) {
+			case "&&": {
+				const left = this.visit(node.left);
+				return left ? this.visit(node.right) : left;
+			}
+			case "||": {
+				const left = this.visit(node.left);
+				return left ? left : this.visit(node.right);
+			}
+			case "??": {
+				const left = this.visit(node.left);
+				return left !== null && left !== undefined ? left : this.visit(node.right);
+			}
+			default: {
+				throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.operator", { operator: node.operator });
+			}
+		}
+	}
+
+	/**
+	 * Handles unary expressions (-, +, !, ~, typeof, void).
+	 * @private
+	 */
+	handleUnaryExpression(node) {
+		if (node.operator === "delete") {
+			throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.delete");
+		}
+
+		return this.applyUnaryOperator(node, this.visit(node.argument));
+	}
+
+	/**
+	 * Applies the operator of a unary expression to an already evaluated argument.
+	 * The first operator overload whose `test` accepts the argument takes precedence over the native operator.
+	 * In decimal arithmetic, `-`, `+` and `typeof` keep decimals as numbers.
+	 * @param {import('acorn').UnaryExpression} node
+	 * @param {*} value
+	 * @private
+	 */
+	applyUnaryOperator(node, value) {
+		if (this.overloads) {
+			for (const overload of this.overloads) {
+				const operation = overload.unary[node.operator];
+
+				if (operation && overload.test(value)) {
+					return operation(value);
+				}
+			}
+		}
+
+		if (this.decimal?.unary[node.operator] && isDecimalOperand(value)) {
+			return this.decimal.unary[node.operator](value);
+		}
+
+		switch (node.operator) {
+			case "-": {
+				return -value;
+			}
+			case "+": {
+				return +value;
+			}
+			case "!": {
+				return !value;
+			}
+			case "~": {
+				return ~value;
+			}
+			case "typeof": {
+				return typeof value;
+			}
+			case "void": {
+				return void value;
+			}
+			default: {
+				throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.operator", { operator: node.operator });
+			}
+		}
+	}
+
+	/**
+	 * Handles identifier (variable) lookups in the scope chain.
+	 * @private
+	 */
+	handleIdentifier(node) {
+		const name = node.name;
+		for (const scope of this.scopes) {
+			if (Object.hasOwn(scope, name)) {
+				const value = scope[name];
+
+				if (value === UNINITIALIZED) {
+					throw this.createError(EvaluatorReferenceError, "E_UNINITIALIZED_VARIABLE", { name });
+				}
+
+				if (typeof value === "function" && FUNCTION_CONSTRUCTORS.has(value)) {
+					throw this.createError(EvaluatorError, "E_FUNCTION_CONSTRUCTOR");
+				}
+
+				return value;
+			}
+		}
+
+		throw this.createError(EvaluatorReferenceError, "E_UNDEFINED_VARIABLE", { name });
+	}
+
+	/**
+	 * Handles member expressions (property access like obj.prop or obj[prop]).
+	 * @private
+	 */
+	handleMemberExpression(node) {
+		const object = this.visit(node.object);
+
+		// Determine property name: either identifier name or computed value
+		const isStaticProperty = node.property.type === "Identifier" && !node.computed;
+		const property = isStaticProperty ? node.property.name : this.visit(node.property);
+
+		return this.getProperty(object, property, node);
+	}
+
+	/**
+	 * Reads a property of an already evaluated object, honoring optional chaining and the member access policy.
+	 * @private
+	 * @param {*} object - The object to read from
+	 * @param {PropertyKey} property - The property to read
+	 * @param {import('acorn').MemberExpression | import('acorn').Property} node - The member expression being evaluated,
+	 * or the property of a destructuring pattern
+	 * @throws {EvaluatorError} If the property is a denied member
+	 */
+	getProperty(object, property, node) {
+		if (object === null || object === undefined) {
+			// optional chaining
+			if (node.optional) {
+				return void 0;
+			}
+			throw this.createError(EvaluatorTypeError, "E_PROPERTY_READ", { key: property, object });
+		}
+
+		let key;
+		try {
+			key = this.toMemberKey(property);
+		} catch (error) {
+			throw locateError(error, node.property ?? node, this.source);
+		}
+
+		const value = (this.decimal ? getDecimalHolder(object, key) : object)[key];
+
+		if (typeof value === "function" && FUNCTION_CONSTRUCTORS.has(value)) {
+			throw this.createError(EvaluatorError, "E_FUNCTION_CONSTRUCTOR");
+		}
+
+		// Properties of wrapped objects are already wrapped, those of functions are not
+		return this.membrane ? this.membrane.wrap(value) : value;
+	}
+
+	/**
+	 * Converts a property to a key and checks it against the member access policy.
+	 * The key is converted once, so that an object key cannot return an allowed name to the check and a denied one to the access.
+	 * @private
+	 * @param {*} property
+	 * @returns {PropertyKey}
+	 * @throws {Error} If the property is a denied member
+	 */
+	toMemberKey(property) {
+		// Decimal keys are those of their number, as with float arithmetic, e.g. `o[1 / 3]`
+		if (this.decimal) property = toNumbers(property);
+
+		const key = typeof property === "number" || typeof property === "symbol" ? property : String(property);
+
+		if (this.deniedMembers.has(key)) {
+			throw this.createError(EvaluatorError, "E_MEMBER_NOT_ALLOWED", { key });
+		}
+
+		return key;
+	}
+
+	/**
+	 * Handles array literal expressions.
+	 * @private
+	 */
+	handleArrayExpression(node) {
+		const result = [];
+
+		for (let i = 0; i < node.elements.length; i++) {
+			const element = node.elements.at(i);
+			const value = this.visit(element);
+
+			if (element.type === "SpreadElement") {
+				result.push(...value);
+				if (this.allocationLimited) this.checkArrayLength(result.length);
+			} else {
+				result.push(value);
+			}
+		}
+
+		if (this.allocationLimited) this.checkArrayLength(result.length);
+
+		return result;
+	}
+
+	/**
+	 * Handles object literal expressions, including computed keys, shorthand properties, methods, getters and setters.
+	 * @returns
+	 */
+	handleObjectExpression(node) {
+		const obj = this.createObject();
+		for (const prop of node.properties) {
+			if (prop.type === "SpreadElement") {
+				this.copyDataProperties(obj, this.visit(prop.argument));
+				continue;
+			}
+			const key = prop.computed ? this.visit(prop.key) : getStaticKey(prop.key);
+			const value = prop.method || prop.kind !== "init" ? this.createMethod(prop) : this.visit(prop.value);
+			this.defineObjectProperty(obj, prop, key, value);
+		}
+
+		if (this.allocationLimited) this.checkObjectKeys(obj);
+
+		return obj;
+	}
+
+	/**
+	 * Creates the function of a method, getter or setter property.
+	 * It behaves like an arrow function, `this` is not available in its body.
+	 * @private
+	 * @param {import('acorn').Property} prop
+	 * @returns {Function}
+	 */
+	createMethod(prop) {
+		if (prop.value.generator) {
+			throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.generator");
+		}
+
+		return this.handleArrowFunctionExpression(prop.value);
+	}
+
+	/**
+	 * Creates an object built by the evaluation (object literal or rest element),
+	 * without prototype when the `nullPrototype` option is set.
+	 * @private
+	 * @returns {Object}
+	 */
+	createObject() {
+		const obj = this.options.nullPrototype ? Object.create(null) : {};
+		this.createdObjects.add(obj);
+		return obj;
+	}
+
+	/**
+	 * Adds an evaluated property to an object literal, getters and setters are defined as accessors.
+	 * A `__proto__: value` property sets the prototype like in JavaScript, unless `__proto__` is a denied member.
+	 * @private
+	 * @param {Object} obj - The object being built
+	 * @param {import('acorn').Property} prop - The property node
+	 * @param {PropertyKey} key - The evaluated key
+	 * @param {*} value - The evaluated value, or the accessor function
+	 * @throws {Error} If the property sets the prototype and `__proto__` is a denied member
+	 */
+	defineObjectProperty(obj, prop, key, value) {
+		if (this.decimal) key = /** @type {PropertyKey} */ (toNumbers(key));
+
+		if (prop.kind === "get" || prop.kind === "set") {
+			Object.defineProperty(obj, key, { [prop.kind]: value, enumerable: true, configurable: true });
+		} else if (isPrototypeSetter(prop)) {
+			this.toMemberKey(key);
+			if (value === null || typeof value === "object" || typeof value === "function") {
+				Object.setPrototypeOf(obj, value);
+			}
+		} else {
+			createDataProperty(obj, key, value);
+		}
+	}
+
+	/**
+	 * Copies the own enumerable properties of a spread source as data properties, without invoking setters.
+	 * @private
+	 * @param {Object} obj - The object being built
+	 * @param {*} source - The spread value, `null` and `undefined` are ignored
+	 */
+	copyDataProperties(obj, source) {
+		if (source === null || source === undefined) return;
+
+		const from = Object(source);
+		for (const key of Reflect.ownKeys(from)) {
+			if (Object.prototype.propertyIsEnumerable.call(from, key)) {
+				createDataProperty(obj, key, from[key]);
+			}
+		}
+	}
+
+	handleSpreadElement(node) {
+		return this.visit(node.argument);
+	}
+
+	/**
+	 * Handles arrow function expressions.
+	 * Creates a closure that captures the current scope chain and executes the function body
+	 * with parameters bound to a new scope. Async arrow functions evaluate their body with `visitAsync`.
+	 * Parameters may use default values, rest elements and (nested) destructuring patterns.
+	 * @private
+	 */
+	handleArrowFunctionExpression(node) {
+		// Capture the scope chain lexically, the function may be called after the current scopes changed
+		const scopes = this.scopes;
+
+		const fn = (...args) => {
+			if (!this.running) {
+				return this.runWithBudget(() => fn(...args));
+			}
+
+			// Calls are traced as their arrow function with the arguments, the nodes of the body are their children
+			return this.traceNode === undefined ? invoke(args) : this.traceVisit(node, () => invoke(args), args);
+		};
+
+		/** @param {Array} args */
+		const invoke = (args) => {
+			if (this.limited) this.step();
+
+			// Enter the function scope, bind the parameters, evaluate body, then restore the caller scopes.
+			// Default values are evaluated in the function scope, so they can refer to earlier parameters
+			const newScope = {};
+			const previous = this.scopes;
+			// The body of an async function may be pending, its caller continues with its own state
+			const caller = node.async ? this.captureState() : undefined;
+			this.scopes = [newScope, ...scopes];
+			try {
+				this.bindParameters(node.params, args, newScope);
+
+				if (node.body.type === "BlockStatement") {
+					return node.async ? this.executeFunctionBodyAsync(node.body) : this.executeFunctionBody(node.body);
+				}
+
+				return node.async ? this.visitAsync(node.body).then((record) => record.value) : this.visit(node.body);
+			} finally {
+				this.scopes = previous;
+				if (caller) this.restoreState(caller);
+			}
+		};
+
+		return this.registerFunction(fn);
+	}
+
+	/**
+	 * Marks a function as created by the expression, so `strictPurity` and partial evaluation do not reject its calls,
+	 * and decimal arithmetic passes it exact decimals.
+	 * @private
+	 * @template {Function} T
+	 * @param {T} fn
+	 * @returns {T}
+	 */
+	registerFunction(fn) {
+		if (this.strictPurity || this.pureCallsOnly || this.decimal) EXPRESSION_FUNCTIONS.add(fn);
+		return fn;
+	}
+
+	/**
+	 * Executes the block body of an arrow function.
+	 * @private
+	 * @param {import('acorn').BlockStatement} body
+	 * @returns {*} The returned value, `undefined` without a `return` statement
+	 */
+	executeFunctionBody(body) {
+		return this.executeStatement(body)?.value;
+	}
+
+	/**
+	 * Executes the block body of an async arrow function.
+	 * @private
+	 * @param {import('acorn').BlockStatement} body
+	 * @returns {Promise<*>} The returned value, `undefined` without a `return` statement
+	 */
+	async executeFunctionBodyAsync(body) {
+		try {
+			return (await this.executeStatementAsync(body))?.value;
+		} finally {
+			this.releaseState();
+		}
+	}
+
+	/**
+	 * Executes a statement of an arrow function body. Only blocks, `const`/`let` declarations,
+	 * `if`/`else`, `return` and expression statements are supported.
+	 * @private
+	 * @param {Object} node - The statement node
+	 * @returns {{ value: * } | undefined} A completion record once a `return` statement is reached
+	 */
+	executeStatement(node) {
+		if (this.limited) this.step();
+
+		switch (node.type) {
+			case "BlockStatement": {
+				const previous = this.scopes;
+				this.scopes = [this.createBlockScope(node), ...previous];
+				try {
+					for (const statement of node.body) {
+						const completion = this.executeStatement(statement);
+						if (completion) return completion;
+					}
+					return undefined;
+				} finally {
+					this.scopes = previous;
+				}
+			}
+			case "VariableDeclaration": {
+				for (const declarator of node.declarations) {
+					this.declare(node, declarator.id, declarator.init ? this.visit(declarator.init) : undefined);
+				}
+				return undefined;
+			}
+			case "IfStatement": {
+				if (this.visit(node.test)) {
+					return this.executeStatement(node.consequent);
+				}
+				return node.alternate ? this.executeStatement(node.alternate) : undefined;
+			}
+			case "ReturnStatement": {
+				return { value: node.argument ? this.visit(node.argument) : undefined };
+			}
+			case "ExpressionStatement": {
+				this.visit(node.expression);
+				return undefined;
+			}
+			case "EmptyStatement": {
+				return undefined;
+			}
+			default: {
+				// Throws the syntax error of unsupported nodes
+				return this.visit(node);
+			}
+		}
+	}
+
+	/**
+	 * Executes a statement of an async arrow function body, see `executeStatement`.
+	 * Like `visitAsync`, the scopes of the statement are restored right after every `await`.
+	 * @private
+	 * @param {Object} node - The statement node
+	 * @returns {Promise<{ value: * } | undefined>} A completion record once a `return` statement is reached
+	 */
+	async executeStatementAsync(node) {
+		if (!containsAwait(node)) {
+			return this.executeStatement(node);
+		}
+
+		if (this.limited) this.step();
+
+		const scopes = this.scopes;
+		const traceNode = this.traceNode;
+		const state = this.captureState();
+		const resume = (record) => {
+			this.scopes = scopes;
+			this.traceNode = traceNode;
+			this.restoreState(state);
+			return record.value;
+		};
+
+		switch (node.type) {
+			case "BlockStatement": {
+				const blockScopes = [this.createBlockScope(node), ...scopes];
+				this.scopes = blockScopes;
+				try {
+					for (const statement of node.body) {
+						const completion = await this.executeStatementAsync(statement);
+						this.scopes = blockScopes;
+						this.traceNode = traceNode;
+						this.restoreState(state);
+						if (completion) return completion;
+					}
+					return undefined;
+				} finally {
+					this.scopes = scopes;
+				}
+			}
+			case "VariableDeclaration": {
+				for (const declarator of node.declarations) {
+					this.declare(node, declarator.id, declarator.init ? resume(await this.visitAsync(declarator.init)) : undefined);
+				}
+				return undefined;
+			}
+			case "IfStatement": {
+				if (resume(await this.visitAsync(node.test))) {
+					return this.executeStatementAsync(node.consequent);
+				}
+				return node.alternate ? this.executeStatementAsync(node.alternate) : undefined;
+			}
+			case "ReturnStatement": {
+				return { value: resume(await this.visitAsync(node.argument)) };
+			}
+			case "ExpressionStatement": {
+				resume(await this.visitAsync(node.expression));
+				return undefined;
+			}
+			default: {
+				return this.executeStatement(node);
+			}
+		}
+	}
+
+	/**
+	 * Creates the scope of a block, its `const`/`let` bindings are declared up front
+	 * and stay uninitialized until their declaration is executed.
+	 * @private
+	 * @param {import('acorn').BlockStatement} node
+	 * @returns {Object}
+	 */
+	createBlockScope(node) {
+		const scope = {};
+
+		for (const statement of node.body) {
+			if (statement.type !== "VariableDeclaration" || (statement.kind !== "const" && statement.kind !== "let")) {
+				continue;
+			}
+
+			for (const declarator of statement.declarations) {
+				for (const name of getPatternNames(declarator.id)) {
+					Object.defineProperty(scope, name, { value: UNINITIALIZED, writable: true, enumerable: true, configurable: true });
+				}
+			}
+		}
+
+		BLOCK_SCOPES.add(scope);
+		return scope;
+	}
+
+	/**
+	 * Initializes the bindings of a variable declaration in the current block scope.
+	 * @private
+	 * @param {import('acorn').VariableDeclaration} node - The declaration
+	 * @param {import('acorn').Pattern} pattern - The declared pattern
+	 * @param {*} value - The evaluated initializer
+	 */
+	declare(node, pattern, value) {
+		if (node.kind !== "const" && node.kind !== "let") {
+			throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.declaration", { kind: node.kind });
+		}
+
+		const scope = this.scopes[0];
+		this.bindPattern(pattern, value, scope);
+
+		if (node.kind === "const") {
+			for (const name of getPatternNames(pattern)) {
+				Object.defineProperty(scope, name, { writable: false });
+			}
+		}
+	}
+
+	/**
+	 * Handles assignment expressions, only `let` variables declared in the blocks of
+	 * the current arrow function can be assigned.
+	 * @private
+	 * @param {import('acorn').AssignmentExpression} node
+	 */
+	handleAssignmentExpression(node) {
+		const scope = this.getAssignableScope(node.left);
+
+		if (isShortCircuited(node.operator, scope[node.left.name])) {
+			return scope[node.left.name];
+		}
+
+		return this.assign(node, scope, this.visit(node.right));
+	}
+
+	/**
+	 * Finds the block scope holding the assignment target, blocks of outer functions,
+	 * parameters, context variables and globals cannot be assigned.
+	 * @private
+	 * @param {import('acorn').Pattern} target - The left side of the assignment
+	 * @returns {Object} The scope holding the binding
+	 */
+	getAssignableScope(target) {
+		if (target.type !== "Identifier") {
+			throw this.createError(EvaluatorError, "E_ASSIGNMENT_NOT_ALLOWED", { target: getNodeString(target) ?? target.type });
+		}
+
+		const name = target.name;
+
+		for (const scope of this.scopes) {
+			const isBlockScope = BLOCK_SCOPES.has(scope);
+
+			if (Object.hasOwn(scope, name)) {
+				if (!isBlockScope) break;
 
-				return new Constructor(...args);
-			}
-			case "ChainExpression": {
-				return this.visit(node.expression);
-			}
-			case "TemplateLiteral": {
-				return this.handleTemplateLiteral(node);
-			}
-			case "ThisExpression": {
-				throw new Error(ERROR_MESSAGES.THIS_NOT_ALLOWED);
-			}
-			default: {
-				let content = this.source.slice(node.start, node.end);
+				if (scope[name] === UNINITIALIZED) {
+					throw this.createError(EvaluatorReferenceError, "E_UNINITIALIZED_VARIABLE", { name });
+				}
 
-				if (content.length > 20) {
-					content = content.slice(0, 17) + "...";
+				if (!Object.getOwnPropertyDescriptor(scope, name).writable) {
+					throw this.createError(EvaluatorTypeError, "E_CONSTANT_ASSIGNMENT");
 				}
 
-				throw new Error(`'${content}'` + " " + ERROR_MESSAGES.NOT_A_VALID_SYNTAX);
+				return scope;
 			}
+
+			// Reached the parameters of the current function, the remaining scopes are outer scopes
+			if (!isBlockScope) break;
 		}
+
+		throw this.createError(EvaluatorError, "E_ASSIGNMENT_NOT_ALLOWED", { target: name });
 	}
 
 	/**
-	 * Handles binary expressions (arithmetic and comparison operations).
-	 * @param {import('acorn').BinaryExpression} node
+	 * Stores the result of an assignment in the binding of its target.
 	 * @private
+	 * @param {import('acorn').AssignmentExpression} node
+	 * @param {Object} scope - The scope holding the target binding
+	 * @param {*} right - The evaluated right side
+	 * @returns {*} The assigned value
 	 */
-	handleBinaryExpression(node) {
-		const op = node.operator;
-		const left = this.visit(node.left);
-		const right = this.visit(node.right);
-
-		if (BINARY_OPERATION_MAP.hasOwnProperty(op)) {
-			return BINARY_OPERATION_MAP[op](left, right);
-		}
+	assign(node, scope, right) {
+		const { operator } = node;
+		const name = node.left.name;
+		const isPlainAssignment = operator === "=" || operator === "&&=" || operator === "||=" || operator === "??=";
+		const value = isPlainAssignment ? right : this.applyBinaryOperator(operator.slice(0, -1), scope[name], right);
 
-		throw new Error(`Unsupported operator: ${node.operator}`);
+		scope[name] = value;
+		return value;
 	}
 
 	/**
-	 * Handles logical expressions (&&, ||, ??).
-	 * Implements proper short-circuit evaluation for performance.
+	 * Binds the parameters of an arrow function to the call arguments.
 	 * @private
+	 * @param {Array} params - The parameter patterns
+	 * @param {Array} args - The call arguments
+	 * @param {Object} scope - The function scope receiving the bindings
 	 */
-	handleLogicalExpression(node) {
-		switch (node.operator) {
-			case "&&": {
-				const left = this.visit(node.left);
-				return left ? this.visit(node.right) : left;
-			}
-			case "||": {
-				const left = this.visit(node.left);
-				return left ? left : this.visit(node.right);
-			}
-			case "??": {
-				const left = this.visit(node.left);
-				return left !== null && left !== undefined ? left : this.visit(node.right);
-			}
-			default: {
-				throw new Error(`Unsupported logical operator: ${node.operator}`);
+	bindParameters(params, args, scope) {
+		for (let i = 0; i < params.length; i++) {
+			const param = params[i];
+
+			if (param.type === "RestElement") {
+				this.bindPattern(param.argument, args.slice(i), scope);
+			} else {
+				this.bindPattern(param, args[i], scope);
 			}
 		}
 	}
 
 	/**
-	 * Handles unary expressions (-, +, !, ~, typeof, void).
+	 * Binds a pattern (identifier, default value or destructuring) to a value.
+	 * Default values are only evaluated when the bound value is `undefined`.
 	 * @private
+	 * @param {import('acorn').Pattern} pattern - The pattern to bind
+	 * @param {*} value - The value to destructure
+	 * @param {Object} scope - The scope receiving the bindings
 	 */
-	handleUnaryExpression(node) {
-		switch (node.operator) {
-			case "-": {
-				return -this.visit(node.argument);
-			}
-			case "+": {
-				return +this.visit(node.argument);
-			}
-			case "!": {
-				return !this.visit(node.argument);
-			}
-			case "~": {
-				return ~this.visit(node.argument);
+	bindPattern(pattern, value, scope) {
+		switch (pattern.type) {
+			case "Identifier": {
+				scope[pattern.name] = value;
+				return;
 			}
-			case "typeof": {
-				return typeof this.visit(node.argument);
+			case "AssignmentPattern": {
+				this.bindPattern(pattern.left, value === undefined ? this.visit(pattern.right) : value, scope);
+				return;
 			}
-			case "void": {
-				return void this.visit(node.argument);
+			case "ArrayPattern": {
+				this.bindArrayPattern(pattern, value, scope);
+				return;
 			}
-			case "delete": {
-				throw new Error(ERROR_MESSAGES.DELETE_NOT_SUPPORTED);
+			case "ObjectPattern": {
+				this.bindObjectPattern(pattern, value, scope);
+				return;
 			}
 			default: {
-				throw new Error(`Unsupported unary operator: ${node.operator}`);
+				throw this.createError(EvaluatorError, "E_UNSUPPORTED_SYNTAX.pattern", { type: pattern.type });
 			}
 		}
 	}
 
 	/**
-	 * Handles identifier (variable) lookups in the scope chain.
+	 * Binds an array pattern by stepping through the iterator of the value.
 	 * @private
+	 * @param {import('acorn').ArrayPattern} pattern
+	 * @param {*} value
+	 * @param {Object} scope
 	 */
-	handleIdentifier(node) {
-		const name = node.name;
-		for (const scope of this.scopes) {
-			if (Object.hasOwn(scope, name)) {
-				return scope[name];
-			}
+	bindArrayPattern(pattern, value, scope) {
+		if (value === null || value === undefined || typeof value[Symbol.iterator] !== "function") {
+			throw this.createError(EvaluatorTypeError, "E_NOT_ITERABLE", { type: typeof value === "object" ? String(value) : typeof value });
 		}
 
-		throw new ReferenceError(`${name} ${ERROR_MESSAGES.VARIABLE_NOT_DEFINED}`);
+		const iterator = value[Symbol.iterator]();
+		let done = false;
+
+		const next = () => {
+			if (done) return undefined;
+			const result = iterator.next();
+			done = Boolean(result.done);
+			return done ? undefined : result.value;
+		};
+
+		try {
+			for (const element of pattern.elements) {
+				if (element && element.type === "RestElement") {
+					const rest = [];
+					while (!done) {
+						const item = next();
+						if (!done) rest.push(item);
+					}
+					if (this.allocationLimited) this.checkArrayLength(rest.length);
+					this.bindPattern(element.argument, rest, scope);
+					continue;
+				}
+
+				const item = next();
+
+				// Holes (`[, b]`) skip an element
+				if (element) {
+					this.bindPattern(element, item, scope);
+				}
+			}
+		} finally {
+			if (!done) iterator.return?.();
+		}
 	}
 
 	/**
-	 * Handles member expressions (property access like obj.prop or obj[prop]).
+	 * Binds an object pattern, property reads go through the same checks as member expressions.
 	 * @private
+	 * @param {import('acorn').ObjectPattern} pattern
+	 * @param {*} value
+	 * @param {Object} scope
 	 */
-	handleMemberExpression(node) {
-		const object = this.visit(node.object);
+	bindObjectPattern(pattern, value, scope) {
+		if (value === null || value === undefined) {
+			throw this.createError(EvaluatorTypeError, "E_NOT_DESTRUCTURABLE", { value });
+		}
 
-		// Determine property name: either identifier name or computed value
-		const isStaticProperty = node.property.type === "Identifier" && !node.computed;
-		const property = isStaticProperty ? node.property.name : this.visit(node.property);
+		const usedKeys = [];
 
-		if (object === null || object === undefined) {
-			// optional chaining
-			if (node.optional) {
-				return void 0;
+		for (const prop of pattern.properties) {
+			if (prop.type === "RestElement") {
+				const rest = this.createObject();
+				for (const key of Reflect.ownKeys(value)) {
+					if (!usedKeys.includes(key) && Object.prototype.propertyIsEnumerable.call(value, key)) {
+						// Own enumerable properties are copied like a spread, `__proto__` can only be an own data property here
+						createDataProperty(rest, key, value[key]);
+					}
+				}
+				this.bindPattern(prop.argument, rest, scope);
+				continue;
 			}
-			throw new TypeError(`${ERROR_MESSAGES.PROPERTY_READ_ERROR} '${property}' of ${object}`);
+
+			const key = prop.computed ? this.visit(prop.key) : getStaticKey(prop.key);
+			usedKeys.push(typeof key === "symbol" ? key : String(this.decimal ? toNumbers(key) : key));
+			this.bindPattern(prop.value, this.getProperty(value, key, prop), scope);
+		}
+	}
+
+	/**
+	 * Handles function call expressions, including optional chaining.
+	 * @private
+	 */
+	handleCallExpression(node) {
+		const callee = node.callee;
+
+		let func;
+		let target = null;
+
+		if (callee.type === "MemberExpression") {
+			// Evaluate the object only once, it is both the method holder and the `this` value
+			target = this.visit(callee.object);
+			const isStaticProperty = callee.property.type === "Identifier" && !callee.computed;
+			const property = isStaticProperty ? callee.property.name : this.visit(callee.property);
+			func = this.getMethod(target, property, callee);
+		} else {
+			func = this.visit(callee);
+		}
+
+		if ((func === undefined || func === null) && (node.optional || callee.optional)) {
+			return void 0;
 		}
 
-		return object[property];
+		const args = node.arguments.length ? this.evaluateArguments(node.arguments) : [];
+
+		return this.callFunction(func, target, args, node);
 	}
 
 	/**
-	 * Handles array literal expressions.
+	 * Evaluates call arguments, expanding spread elements.
 	 * @private
+	 * @param {Array} nodes - The argument nodes
+	 * @returns {Array} The evaluated arguments
 	 */
-	handleArrayExpression(node) {
+	evaluateArguments(nodes) {
 		const result = [];
 
-		for (let i = 0; i < node.elements.length; i++) {
-			const element = node.elements.at(i);
+		for (let i = 0; i < nodes.length; i++) {
+			const element = nodes[i];
 			const value = this.visit(element);
 
 			if (element.type === "SpreadElement") {
@@ -381,112 +2355,343 @@ export class Evaluator {
 	}
 
 	/**
-	 * Handles object literal expressions.
-	 * @returns
+	 * Handles function call expressions whose callee or arguments contain `await`.
+	 * @private
+	 * @param {import('acorn').CallExpression} node
+	 * @param {(record: { value: * }) => *} resume - Restores the scopes of the awaiting node and unwraps a result
+	 * @returns {Promise<{ value: * }>}
 	 */
-	handleObjectExpression(node) {
-		const obj = {};
-		for (const prop of node.properties) {
-			if (prop.type === "SpreadElement") {
-				Object.assign(obj, this.visit(prop.argument));
-				continue;
+	async handleCallExpressionAsync(node, resume) {
+		const callee = node.callee;
+
+		let func;
+		let target = null;
+
+		if (callee.type === "MemberExpression") {
+			target = resume(await this.visitAsync(callee.object));
+			const isStaticProperty = callee.property.type === "Identifier" && !callee.computed;
+			const property = isStaticProperty ? callee.property.name : resume(await this.visitAsync(callee.property));
+			func = this.getMethod(target, property, callee);
+		} else {
+			func = resume(await this.visitAsync(callee));
+		}
+
+		if ((func === undefined || func === null) && (node.optional || callee.optional)) {
+			return { value: void 0 };
+		}
+
+		const args = resume(await this.evaluateArgumentsAsync(node.arguments, resume));
+
+		return { value: this.callFunction(func, target, args, node) };
+	}
+
+	/**
+	 * Evaluates call arguments or array elements that may contain `await`, expanding spread elements.
+	 * @private
+	 * @param {Array} nodes - The argument nodes
+	 * @param {(record: { value: * }) => *} resume - Restores the scopes of the awaiting node and unwraps a result
+	 * @returns {Promise<{ value: Array }>} The evaluated arguments
+	 */
+	async evaluateArgumentsAsync(nodes, resume) {
+		const result = [];
+
+		for (const element of nodes) {
+			const value = resume(await this.visitAsync(element));
+
+			if (element.type === "SpreadElement") {
+				result.push(...value);
+			} else {
+				result.push(value);
 			}
-			const key = prop.key.name || prop.key.value;
-			const value = this.visit(prop.value);
-			obj[key] = value;
 		}
-		return obj;
+
+		return { value: result };
 	}
 
-	handleSpreadElement(node) {
-		return this.visit(node.argument);
+	/**
+	 * Reads a method from its holder, rejecting calls through mutable methods
+	 * such as `Array.prototype.splice.call(...)`.
+	 * @private
+	 * @param {*} target - The object holding the method
+	 * @param {PropertyKey} property - The method name
+	 * @param {import('acorn').MemberExpression} node - The callee member expression
+	 */
+	getMethod(target, property, node) {
+		if (this.isMutating(target)) {
+			throw this.createError(EvaluatorError, "E_MUTABLE_METHOD");
+		}
+
+		return this.getProperty(target, property, node);
 	}
 
 	/**
-	 * Handles arrow function expressions.
-	 * Creates a closure that captures the current scope and executes the function body
-	 * with parameters bound to a new scope.
+	 * Checks whether a value is a mutable built-in method or a function whose policy is `mutating`.
 	 * @private
+	 * @param {*} func
+	 * @param {*} [target] - The `this` value of the call, its class may annotate the function
+	 * @returns {boolean}
 	 */
-	handleArrowFunctionExpression(node) {
-		return (...args) => {
-			// Create new scope with parameters bound to arguments
-			const newScope = {};
-			const paramCount = node.params.length;
-			for (let i = 0; i < paramCount; i++) {
-				newScope[node.params[i].name] = args[i];
-			}
+	isMutating(func, target) {
+		return getMutableMethods().has(func) || (typeof func === "function" && this.getPolicy(func, target) === "mutating");
+	}
 
-			// Push new scope, evaluate body, then pop scope
-			this.scopes.unshift(newScope);
-			const result = this.visit(node.body);
-			this.scopes.shift();
-			return result;
-		};
+	/**
+	 * Returns the policy of a function, from the `purity` option, the plugins or its `PURITY` annotation.
+	 * @private
+	 * @param {Function} func
+	 * @param {*} [target] - The `this` value of the call
+	 * @returns {import('./plugins.js').FunctionPolicy | undefined}
+	 */
+	getPolicy(func, target) {
+		return this.options.purity?.get(func) ?? this.purity?.get(func) ?? this.resolvePolicy(func, target)?.policy;
 	}
 
 	/**
-	 * Handles function call expressions, including optional chaining.
+	 * Checks whether a method or getter is pure by the `purity` option, a plugin or the annotations of its class,
+	 * the sources the read-only membrane trusts to run it on the original object. The annotations of a plain object
+	 * are not enough, a wrong one would let the method change the context.
 	 * @private
+	 * @param {Function} func
+	 * @param {*} target - The object holding the method or getter
+	 * @returns {boolean}
 	 */
-	handleCallExpression(node) {
-		// 移除对 callee.object 的冗余检查，避免重复求值与错误集合匹配
-		if (node.callee.type === "MemberExpression") {
-			const object = this.visit(node.callee.object);
-			if (getMutableMethods().has(object)) {
-				throw new Error(ERROR_MESSAGES.MUTABLE_METHOD);
+	isDeclaredPure(func, target) {
+		const policy = this.options.purity?.get(func) ?? this.purity?.get(func);
+		if (policy !== undefined) return policy === "pure";
+
+		const declared = this.resolvePolicy(func, target);
+		return declared?.policy === "pure" && declared.source === "class";
+	}
+
+	/**
+	 * Checks whether calls to a function can be folded by partial evaluation: functions whose policy is `pure`,
+	 * deterministic built-ins and functions created by the expression, whose own calls are checked in turn.
+	 * Bound functions and proxies from the context are not built-ins, so they are only folded with a `pure` policy.
+	 * @private
+	 * @param {Function} func
+	 * @param {*} [target] - The `this` value of the call
+	 * @returns {boolean}
+	 */
+	isPure(func, target) {
+		const policy = this.getPolicy(func, target);
+		if (policy !== undefined) return policy === "pure";
+
+		return EXPRESSION_FUNCTIONS.has(func) || (isBuiltinFunction(func) && !NONDETERMINISTIC_FUNCTIONS.has(func));
+	}
+
+	/**
+	 * Invokes an evaluated callee after the sandbox checks. Indirect invocations through `call`, `apply`,
+	 * `Reflect.apply` and `Reflect.construct` are unwrapped first, so the checks apply to the invoked function.
+	 * @private
+	 * @param {*} func - The value being called
+	 * @param {*} target - The `this` value of the call
+	 * @param {Array} args - The evaluated arguments
+	 * @param {import('acorn').CallExpression | import('acorn').TaggedTemplateExpression} node - The call expression being evaluated
+	 */
+	callFunction(func, target, args, node) {
+		// `f.call(...)`, `f.apply(...)` and `Reflect.apply(f, ...)` are checked and invoked as direct calls of `f`
+		while (func === call || func === apply || func === Reflect.apply) {
+			if (func === call) {
+				[func, target, args] = [target, args[0], args.slice(1)];
+			} else if (func === apply) {
+				[func, target, args] = [target, args[0], args[1] === null || args[1] === undefined ? [] : toArgumentList(this, args[1])];
+			} else {
+				[func, target, args] = [args[0], args[1], toArgumentList(this, args[2])];
 			}
 		}
 
-		const calledString = getNodeString(node.callee);
+		if (typeof func !== "function") {
+			throw this.createError(EvaluatorTypeError, "E_NOT_A_FUNCTION", { callee: getNodeString(node.callee ?? node.tag) });
+		}
+
+		if (func === Reflect.construct) {
+			return this.construct(args[0], toArgumentList(this, args[1]), args.length > 2 ? args[2] : args[0]);
+		}
 
-		const func = this.visit(node.callee);
+		try {
+			this.checkCallable(func, target);
+		} catch (error) {
+			// A rejected method is located at its name rather than at the whole call
+			throw locateError(error, node.callee?.type === "MemberExpression" ? node.callee.property : node, this.source);
+		}
+		this.checkArguments(args);
 
-		if (typeof func !== "function") {
-			const isOptional = node.optional || node.callee.optional;
-			if ((func === undefined || func === null) && isOptional) {
-				return void 0;
-			}
-			throw new TypeError(`${calledString} ${ERROR_MESSAGES.NOT_A_FUNCTION}`);
+		if (func === bind) {
+			this.checkIndirectCall(target);
+			this.checkCallable(target, args[0]);
 		}
 
-		if (func === Function) {
-			throw new Error(ERROR_MESSAGES.FUNCTION_CONSTRUCTOR_NOT_ALLOWED);
+		// Host functions receive numbers, decimals stay exact in the functions of the expression and in
+		// the built-ins calling them back, such as `map`, which pass them the decimals of their target
+		if (
+			this.decimal &&
+			!EXPRESSION_FUNCTIONS.has(func) &&
+			!(isBuiltinFunction(func) && args.some((arg) => EXPRESSION_FUNCTIONS.has(arg)))
+		) {
+			if (isExactDecimalMethod(func)) checkDecimalArguments(func, args, this.formatMessage);
+			else target = toNumbers(target);
+			args = /** @type {Array} */ (toNumbers(args));
 		}
 
-		// 仅在存在参数时构建数组
-		const args = (() => {
-			if (node.arguments.length === 0) {
-				return [];
-			}
+		if (MEMBER_READERS.has(func)) {
+			args[1] = this.toMemberKey(args[1]);
+		}
 
-			let result = [];
+		if (this.allocationLimited) {
+			getAllocationGuards().get(func)?.(this, target, args);
+		}
 
-			for (let i = 0; i < node.arguments.length; i++) {
-				const element = node.arguments.at(i);
-				const value = this.visit(element);
+		const result = func.apply(target, args);
 
-				if (element.type === "SpreadElement") {
-					result.push(...value);
-				} else {
-					result.push(value);
-				}
+		if (func === Object.getOwnPropertyDescriptors) {
+			for (const key of this.deniedMembers) {
+				if (Object.hasOwn(result, key)) this.toMemberKey(key);
 			}
+		}
 
-			return result;
-		})();
+		if (typeof result === "function" && FUNCTION_CONSTRUCTORS.has(result)) {
+			throw this.createError(EvaluatorError, "E_FUNCTION_CONSTRUCTOR");
+		}
+
+		// The bound function was checked above, its calls are those of the function the expression bound
+		if (func === bind) this.registerFunction(result);
+
+		if (OBJECT_CREATORS.has(func)) this.createdObjects.add(result);
+
+		if (this.allocationLimited) this.checkSize(result);
+
+		return this.membrane ? this.membrane.wrap(result) : result;
+	}
+
+	/**
+	 * Rejects function constructors and mutating functions as the invoked function,
+	 * host functions without policy with `strictPurity`, and functions that are not pure during partial evaluation.
+	 * @private
+	 * @param {*} func
+	 * @param {*} [target] - The `this` value of the call
+	 */
+	checkCallable(func, target) {
+		if (FUNCTION_CONSTRUCTORS.has(func)) {
+			throw this.createError(EvaluatorError, "E_FUNCTION_CONSTRUCTOR");
+		}
+
+		if (this.isMutating(func, target)) {
+			throw this.createError(EvaluatorError, "E_MUTABLE_METHOD");
+		}
+
+		if (
+			this.strictPurity &&
+			typeof func === "function" &&
+			!EXPRESSION_FUNCTIONS.has(func) &&
+			!isBuiltinFunction(func) &&
+			this.getPolicy(func, target) === undefined
+		) {
+			throw this.createError(EvaluatorError, "E_UNANNOTATED_FUNCTION", { name: func.name || "anonymous" });
+		}
+
+		if (this.pureCallsOnly && typeof func === "function" && !this.isPure(func, target)) {
+			throw IMPURE_CALL;
+		}
+	}
+
+	/**
+	 * Rejects the arguments that native code could invoke without the sandbox checks,
+	 * e.g. `["return this"].map(Function)` or `arr.forEach(Array.prototype.push, other)`.
+	 * @private
+	 * @param {Array} args
+	 */
+	checkArguments(args) {
+		for (const arg of args) {
+			if (typeof arg !== "function") continue;
+
+			this.checkIndirectCall(arg);
+			this.checkCallable(arg);
+		}
+	}
+
+	/**
+	 * Rejects the functions whose calls must go through `callFunction`, as arguments or as the target of `bind`:
+	 * the invokers, the member readers and the object creators.
+	 * @private
+	 * @param {Function} func
+	 */
+	checkIndirectCall(func) {
+		if (INVOKERS.has(func)) {
+			throw this.createError(EvaluatorError, "E_INDIRECT_INVOCATION");
+		}
+
+		if (CHECKED_READERS.has(func)) {
+			throw this.createError(EvaluatorError, "E_INDIRECT_INVOCATION.reader", { name: func.name });
+		}
+
+		if (OBJECT_CREATORS.has(func)) {
+			throw this.createError(EvaluatorError, "E_INDIRECT_INVOCATION.creator", { name: func.name });
+		}
+	}
+
+	/**
+	 * Instantiates an evaluated constructor, enforcing the allocation limits of known allocating built-ins
+	 * such as `new Array(length)` or typed arrays. Only the default built-ins and the `allowConstructors`
+	 * option can be instantiated, function constructors are rejected however they were reached.
+	 * @private
+	 * @param {Function} Constructor - The evaluated callee of the new expression
+	 * @param {Array} args - The evaluated arguments
+	 * @param {Function} [newTarget] - The `newTarget` of `Reflect.construct`
+	 */
+	construct(Constructor, args, newTarget = Constructor) {
+		this.checkConstructor(Constructor, newTarget);
+		this.checkArguments(args);
+
+		// `new Date()` is the current date, other dates are deterministic
+		if (this.pureCallsOnly && (Constructor === Date ? args.length === 0 : !this.isPure(Constructor))) {
+			throw IMPURE_CALL;
+		}
+
+		if (this.decimal) args = /** @type {Array} */ (toNumbers(args));
+
+		if (this.allocationLimited) {
+			getAllocationGuards().get(Constructor)?.(this, undefined, args);
+		}
+
+		return newTarget === Constructor ? new Constructor(...args) : Reflect.construct(Constructor, args, newTarget);
+	}
+
+	/**
+	 * Rejects function constructors and the constructors denied by the constructor policy.
+	 * @private
+	 * @param {*} Constructor
+	 * @param {*} [newTarget]
+	 */
+	checkConstructor(Constructor, newTarget = Constructor) {
+		if (FUNCTION_CONSTRUCTORS.has(Constructor) || FUNCTION_CONSTRUCTORS.has(newTarget)) {
+			throw this.createError(EvaluatorError, "E_FUNCTION_CONSTRUCTOR.new");
+		}
 
-		if (getMutableMethods().has(func)) {
-			throw new Error(ERROR_MESSAGES.MUTABLE_METHOD);
+		// Non-constructors keep the native error
+		if (typeof Constructor === "function" && !this.isConstructorAllowed(Constructor)) {
+			throw this.createError(EvaluatorTypeError, "E_CONSTRUCTOR_NOT_ALLOWED", { name: Constructor.name || "anonymous" });
+		}
+	}
+
+	/**
+	 * Checks a constructor against the constructor policy: the default built-ins, extended
+	 * by the `allowConstructors` option and restricted by the `denyConstructors` option.
+	 * @private
+	 * @param {Function} Constructor
+	 * @returns {boolean}
+	 */
+	isConstructorAllowed(Constructor) {
+		if (this.options.denyConstructors?.includes(Constructor)) {
+			return false;
 		}
 
-		const target = node.callee.type === "MemberExpression" ? this.visit(node.callee.object) : null;
-		return func.apply(target, args);
+		return getAllowedConstructors().has(Constructor) || Boolean(this.options.allowConstructors?.includes(Constructor));
 	}
 
 	/**
 	 * Handles template literal expressions.
 	 * More efficient implementation that interleaves quasis and expressions without sorting.
+	 * Escape sequences are interpreted (cooked), like in JavaScript.
 	 * @private
 	 */
 	handleTemplateLiteral(node) {
@@ -494,14 +2699,79 @@ export class Evaluator {
 		const expressionCount = node.expressions.length;
 
 		for (let i = 0; i < node.quasis.length; i++) {
-			result += node.quasis[i].value.raw;
+			result += node.quasis[i].value.cooked;
 			if (i < expressionCount) {
 				result += this.visit(node.expressions[i]);
 			}
 		}
 
+		if (this.allocationLimited) this.checkStringLength(result.length);
+
 		return result;
 	}
+
+	/**
+	 * Handles tagged template expressions such as String.raw`...`.
+	 * The tag is called like a function (or a method when it is a member expression) with the
+	 * template object followed by the evaluated substitutions.
+	 * @private
+	 * @param {import('acorn').TaggedTemplateExpression} node
+	 */
+	handleTaggedTemplateExpression(node) {
+		let tag;
+		let target = null;
+
+		if (node.tag.type === "MemberExpression") {
+			target = this.visit(node.tag.object);
+			const isStaticProperty = node.tag.property.type === "Identifier" && !node.tag.computed;
+			const property = isStaticProperty ? node.tag.property.name : this.visit(node.tag.property);
+			tag = this.getMethod(target, property, node.tag);
+		} else {
+			tag = this.visit(node.tag);
+		}
+
+		const values = node.quasi.expressions.map((expression) => this.visit(expression));
+
+		return this.callFunction(tag, target, [this.getTemplateObject(node.quasi), ...values], node);
+	}
+
+	/**
+	 * Gets the frozen strings array passed to the tag of a template, with the raw strings in its `raw` property.
+	 * Invalid escape sequences, allowed in tagged templates, are `undefined` in the cooked strings.
+	 * @private
+	 * @param {import('acorn').TemplateLiteral} quasi
+	 * @returns {ReadonlyArray<string | undefined>}
+	 */
+	getTemplateObject(quasi) {
+		let strings = TEMPLATE_OBJECTS.get(quasi);
+
+		if (!strings) {
+			strings = quasi.quasis.map((element) => element.value.cooked ?? undefined);
+			Object.defineProperty(strings, "raw", { value: Object.freeze(quasi.quasis.map((element) => element.value.raw)) });
+			Object.freeze(strings);
+			TEMPLATE_OBJECTS.set(quasi, strings);
+		}
+
+		return strings;
+	}
+
+	/**
+	 * Gets the RegExp of a literal of a compiled expression. Interpreted literals are those of the parsed AST, so
+	 * every evaluation has its own instance, reused when the literal is evaluated again, e.g. in an arrow function.
+	 * @private
+	 * @param {import('acorn').Literal} node
+	 * @returns {RegExp}
+	 */
+	getRegExp(node) {
+		let regExp = this.regExps.get(node);
+
+		if (!regExp) {
+			regExp = new RegExp(node.regex.pattern, node.regex.flags);
+			this.regExps.set(node, regExp);
+		}
+
+		return regExp;
+	}
 }
 
 /**
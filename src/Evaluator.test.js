@@ -1,6 +1,7 @@
 import assert from "node:assert/strict";
 import { beforeEach, describe, test } from "node:test";
 
+import { EvaluationLimitError } from "./errors.js";
 import { Evaluator, getNodeString } from "./Evaluator.js";
 
 /**
@@ -281,9 +282,38 @@ describe("Data Types", () => {
 		});
 
 		test("should handle computed property names", () => {
-			const evaluator = new Evaluator({ key: "myKey" });
-			assert.deepEqual(evaluator.evaluate("({ [key]: 42 })"), { key: 42 });
+			const evaluator = new Evaluator({ key: "myKey", row: { id: 7, name: "seven" } });
+			assert.deepEqual(evaluator.evaluate("({ [key]: 42 })"), { myKey: 42 });
 			assert.deepEqual(evaluator.evaluate('({ ["computed"]: 123 })'), { computed: 123 });
+			assert.deepEqual(evaluator.evaluate("({ [row.id]: row.name })"), { 7: "seven" });
+			assert.equal(evaluator.evaluate("({ [Symbol.for('s')]: 1 })[Symbol.for('s')]"), 1);
+		});
+
+		test("should handle numeric and string literal keys", () => {
+			assert.deepEqual(evaluator.evaluate("({ 0: 'a', 1.5: 'b', 'c d': 'c' })"), { 0: "a", "1.5": "b", "c d": "c" });
+		});
+
+		test("should handle shorthand properties", () => {
+			const evaluator = new Evaluator({ x: 1, y: 2 });
+			assert.deepEqual(evaluator.evaluate("({ x, y, z: 3 })"), { x: 1, y: 2, z: 3 });
+		});
+
+		test("should handle methods", () => {
+			const evaluator = new Evaluator({ x: 3 });
+			assert.equal(evaluator.evaluate("({ add(a, b = 1) { return a + b + x; } }).add(1)"), 5);
+			assert.equal(evaluator.evaluate("({ ['get' + 'X']() { return x; } }).getX()"), 3);
+			assert.throws(() => evaluator.evaluate("({ *gen() {} })"), { message: "Generator methods are not supported" });
+			assert.throws(() => evaluator.evaluate("({ m() { return this; } }).m()"), { message: "'this' keyword is not allowed" });
+		});
+
+		test("should handle getters and setters", () => {
+			const evaluator = new Evaluator({ x: 3 });
+			const obj = evaluator.evaluate("({ get double() { return x * 2; }, set double(value) {} })");
+			const descriptor = Object.getOwnPropertyDescriptor(obj, "double");
+			assert.equal(typeof descriptor.get, "function");
+			assert.equal(typeof descriptor.set, "function");
+			assert.equal(obj.double, 6);
+			assert.equal(evaluator.evaluate("JSON.stringify({ get v() { return x; } })"), '{"v":3}');
 		});
 	});
 
@@ -467,6 +497,13 @@ describe("Expressions", () => {
 		test("should block Function constructor", () => {
 			assert.throws(() => evaluator.evaluate("new Function()"), { message: "Cannot use new with Function constructor" });
 		});
+
+		test("should handle member and parenthesized callees", async () => {
+			assert.equal(evaluator.evaluate("new Intl.NumberFormat('en-US').format(1234.5)"), "1,234.5");
+			assert.equal(Evaluator.compile("new Intl.PluralRules('en-US').select(1)")(), "one");
+			assert.equal(evaluator.evaluate("new (true ? Map : Set)([[1, 2]]).get(1)"), 2);
+			assert.equal(await Evaluator.evaluateAsync("new Intl.Locale(await tag).language", { tag: Promise.resolve("fr-CA") }), "fr");
+		});
 	});
 
 	describe("Spread Operator", () => {
@@ -543,6 +580,54 @@ describe("Expressions", () => {
 			assert.equal(evaluator.evaluate("`${1}${2}${3}`"), "123");
 			assert.equal(evaluator.evaluate("`nested: ${`inner: ${5}`}`"), "nested: inner: 5");
 		});
+
+		test("should interpret escape sequences", () => {
+			assert.equal(evaluator.evaluate("`a\\nb`"), "a\nb");
+			assert.equal(evaluator.evaluate("`tab\\t${1}\\u0041`"), "tab\t1A");
+		});
+
+		test("should support String.raw", () => {
+			assert.equal(evaluator.evaluate("String.raw`a\\nb${1 + 1}`"), "a\\nb2");
+		});
+
+		test("should call tags with the template object and substitutions", () => {
+			const sql = (strings, ...values) => ({ strings: [...strings], raw: strings.raw, values, frozen: Object.isFrozen(strings) });
+			const evaluator = new Evaluator({ sql, id: 7 });
+			assert.deepEqual(evaluator.evaluate("sql`select * from t where id = ${id}`"), {
+				strings: ["select * from t where id = ", ""],
+				raw: ["select * from t where id = ", ""],
+				values: [7],
+				frozen: true,
+			});
+		});
+
+		test("should pass the same template object for every evaluation of a site", () => {
+			const evaluator = new Evaluator({ tag: (strings) => strings });
+			assert.equal(evaluator.evaluate("[1, 2].map(() => tag`x`).reduce((a, b) => a === b)"), true);
+			assert.equal(evaluator.evaluate("tag`\\unicode`[0]"), undefined);
+			assert.equal(evaluator.evaluate("tag`\\unicode`.raw[0]"), "\\unicode");
+		});
+
+		test("should call member tags as methods", () => {
+			const evaluator = new Evaluator({ html: { prefix: "<", tag(strings, value) { return this.prefix + strings[0] + value; } } });
+			assert.equal(evaluator.evaluate("html.tag`b>${1}`"), "<b>1");
+		});
+
+		test("should apply the sandbox checks to tags", () => {
+			const evaluator = new Evaluator({ notTag: 1 });
+			assert.throws(() => evaluator.evaluate("Function`return 1`"), { message: "Function constructor is not allowed" });
+			assert.throws(() => evaluator.evaluate("notTag`x`"), { name: "TypeError", message: "notTag is not a function" });
+		});
+	});
+
+	describe("Sequence Expressions", () => {
+		test("should evaluate every expression and return the last one", () => {
+			const calls = [];
+			const evaluator = new Evaluator({ log: (value) => calls.push(value) });
+			assert.equal(evaluator.evaluate("(log(1), log(2), 3)"), 3);
+			assert.deepEqual(calls, [1, 2]);
+			assert.deepEqual(evaluator.evaluate("[1, 2].map(x => (x, x * 2))"), [2, 4]);
+		});
 	});
 });
 
@@ -552,11 +637,119 @@ describe("Functions", () => {
 			assert.equal(evaluator.evaluate("((a, b) => a + b)(2, 3)"), 5);
 		});
 
-		test("should not support rest parameters", () => {
-			assert.throws(() => evaluator.evaluate("((...args) => args.length)(1, 2, 3)"));
+		test("should support rest parameters", () => {
+			assert.equal(evaluator.evaluate("((...args) => args.length)(1, 2, 3)"), 3);
+			assert.deepEqual(evaluator.evaluate("((a, ...rest) => rest)(1, 2, 3)"), [2, 3]);
+			assert.deepEqual(evaluator.evaluate("((a, ...rest) => rest)()"), []);
 			assert.equal(evaluator.evaluate("((a, b, c) => [a, b, c].length)(1, 2, 3)"), 3);
 			assert.deepEqual(evaluator.evaluate("((a, b, c) => [a, b, c])(1, 2, 3)"), [1, 2, 3]);
 		});
+
+		test("should support default parameters", () => {
+			assert.equal(evaluator.evaluate("((x = 1) => x)()"), 1);
+			assert.equal(evaluator.evaluate("((x = 1) => x)(5)"), 5);
+			assert.equal(evaluator.evaluate("((x = 1) => x)(null)"), null);
+			assert.equal(evaluator.evaluate("((a, b = a * 2) => a + b)(3)"), 9);
+		});
+
+		test("should evaluate default values lazily", () => {
+			const evaluator = new Evaluator({ count: () => ++calls });
+			let calls = 0;
+			evaluator.evaluate("((x = count()) => x)(1)");
+			assert.equal(calls, 0);
+			evaluator.evaluate("((x = count()) => x)()");
+			assert.equal(calls, 1);
+		});
+
+		test("should support array destructuring", () => {
+			const evaluator = new Evaluator({ obj: { a: 1, b: 2 } });
+			assert.deepEqual(evaluator.evaluate("Object.entries(obj).map(([k, v]) => k + v)"), ["a1", "b2"]);
+			assert.equal(evaluator.evaluate("(([, second]) => second)([1, 2])"), 2);
+			assert.deepEqual(evaluator.evaluate("(([first, ...rest]) => rest)('abc')"), ["b", "c"]);
+			assert.equal(evaluator.evaluate("(([a = 5]) => a)([])"), 5);
+			assert.throws(() => evaluator.evaluate("(([a]) => a)(1)"), { name: "TypeError", message: "number is not iterable" });
+		});
+
+		test("should support object destructuring", () => {
+			assert.equal(evaluator.evaluate("(({ a, b }) => a + b)({ a: 1, b: 2 })"), 3);
+			assert.equal(evaluator.evaluate("(({ a: x, 'b': y }) => x + y)({ a: 1, b: 2 })"), 3);
+			assert.equal(evaluator.evaluate("(({ ['a' + 'b']: v }) => v)({ ab: 7 })"), 7);
+			assert.equal(evaluator.evaluate("(({ a = 10 }) => a)({})"), 10);
+			assert.deepEqual(evaluator.evaluate("(({ a, ...rest }) => rest)({ a: 1, b: 2, c: 3 })"), { b: 2, c: 3 });
+			assert.equal(evaluator.evaluate("(({ length }) => length)('abc')"), 3);
+			assert.throws(() => evaluator.evaluate("(({ a }) => a)()"), { name: "TypeError", message: "Cannot destructure 'undefined' as it is undefined." });
+		});
+
+		test("should support nested patterns", () => {
+			assert.equal(evaluator.evaluate("(({ a: [x, { y = 2 }] }) => x + y)({ a: [1, {}] })"), 3);
+			assert.equal(evaluator.evaluate("(({ a: { b } } = { a: { b: 4 } }) => b)()"), 4);
+			assert.deepEqual(evaluator.evaluate("[[1, [2, 3]]].map(([a, [b, c]]) => a + b + c)"), [6]);
+		});
+	});
+
+	describe("Block Bodies", () => {
+		test("should evaluate declarations and return statements", () => {
+			const evaluator = new Evaluator({ items: [{ qty: 2, price: 100 }, { qty: 1, price: 5 }] });
+			assert.deepEqual(evaluator.evaluate("items.map(i => { const t = i.qty * i.price; return t > 100 ? t * 0.9 : t; })"), [180, 5]);
+			assert.equal(evaluator.evaluate("(() => { const { a, b: [c] } = { a: 1, b: [2] }; return a + c; })()"), 3);
+			assert.equal(evaluator.evaluate("(() => {})()"), undefined);
+			assert.equal(evaluator.evaluate("(() => { return; })()"), undefined);
+		});
+
+		test("should support if/else statements", () => {
+			const fn = evaluator.evaluate("n => { if (n < 0) { return 'negative'; } else if (n === 0) return 'zero'; return 'positive'; }");
+			assert.equal(fn(-1), "negative");
+			assert.equal(fn(0), "zero");
+			assert.equal(fn(1), "positive");
+		});
+
+		test("should reassign local let variables", () => {
+			assert.equal(evaluator.evaluate("(x => { let s = x; if (s > 1) { s += 10; } s ??= 0; s = s * 2; return s; })(3)"), 26);
+		});
+
+		test("should scope declarations to their block", () => {
+			assert.equal(evaluator.evaluate("(() => { const a = 1; { const a = 2; } return a; })()"), 1);
+			assert.equal(evaluator.evaluate("(() => { const f = () => g(); const g = () => 7; return f(); })()"), 7);
+			assert.throws(() => evaluator.evaluate("(() => { return a; const a = 1; })()"), {
+				name: "ReferenceError",
+				message: "Cannot access 'a' before initialization",
+			});
+		});
+
+		test("should forbid assignments to constants and outer variables", () => {
+			const evaluator = new Evaluator({ y: 1, o: {} });
+			assert.throws(() => evaluator.evaluate("(() => { const a = 1; a = 2; })()"), { name: "TypeError", message: "Assignment to constant variable." });
+			assert.throws(() => evaluator.evaluate("(x => { x = 2; })()"), {
+				message: "Assignment to 'x' is not allowed, only local let variables can be assigned",
+			});
+			assert.throws(() => evaluator.evaluate("(() => { y = 2; })()"), {
+				message: "Assignment to 'y' is not allowed, only local let variables can be assigned",
+			});
+			assert.throws(() => evaluator.evaluate("(() => { let s = 1; [1].forEach(i => { s = 2; }); })()"), {
+				message: "Assignment to 's' is not allowed, only local let variables can be assigned",
+			});
+			assert.throws(() => evaluator.evaluate("(() => { o.a = 1; })()"), {
+				message: "Assignment to 'o.a' is not allowed, only local let variables can be assigned",
+			});
+			assert.throws(() => evaluator.evaluate("y = 2"), { message: "Assignment to 'y' is not allowed, only local let variables can be assigned" });
+			assert.equal(evaluator.evaluate("y"), 1);
+		});
+
+		test("should reject unsupported statements", () => {
+			assert.throws(() => evaluator.evaluate("(() => { var a = 1; })()"), { message: "'var' declarations are not supported, use const or let" });
+			assert.throws(() => evaluator.evaluate("(() => { for (;;) {} })()"), { message: "'for (;;) {}' is not a valid syntax" });
+			assert.throws(() => evaluator.evaluate("() => { while (true) {} }")(), { message: "'WhileStatement' is not a valid syntax" });
+		});
+	});
+
+	describe("Closures", () => {
+		test("should capture the scope of the enclosing arrow function", () => {
+			assert.equal(evaluator.evaluate("(x => y => x + y)(1)(2)"), 3);
+			assert.deepEqual(evaluator.evaluate("[1, 2].map(x => [10, 20].map(y => x + y))"), [
+				[11, 21],
+				[12, 22],
+			]);
+		});
 	});
 
 	describe("Method Calls", () => {
@@ -611,6 +804,466 @@ describe("Functions", () => {
 	});
 });
 
+describe("Async Evaluation", () => {
+	test("should evaluate top-level await", async () => {
+		const evaluator = new Evaluator({ getValue: async () => 42, value: Promise.resolve(1) });
+		assert.equal(await evaluator.evaluateAsync("await getValue()"), 42);
+		assert.equal(await evaluator.evaluateAsync("(await value) + (await getValue())"), 43);
+		assert.equal(await evaluator.evaluateAsync("1 + 2"), 3);
+	});
+
+	test("should await methods of context objects", async () => {
+		const user = {
+			id: 7,
+			async getPlan() {
+				return { name: "pro", id: this.id };
+			},
+		};
+		assert.deepEqual(await Evaluator.evaluateAsync("(await user.getPlan()).name + ':' + (await user.getPlan()).id", { user }), "pro:7");
+	});
+
+	test("should support await in nested expressions", async () => {
+		const evaluator = new Evaluator({ fetchScore: async (n) => n * 10, flag: Promise.resolve(false) });
+		assert.equal(await evaluator.evaluateAsync("(await flag) ? 'yes' : 'no'"), "no");
+		assert.equal(await evaluator.evaluateAsync("(await flag) && missing"), false);
+		assert.deepEqual(await evaluator.evaluateAsync("[await fetchScore(1), ...[await fetchScore(2)]]"), [10, 20]);
+		assert.deepEqual(await evaluator.evaluateAsync("({ score: await fetchScore(3) })"), { score: 30 });
+		assert.deepEqual(await evaluator.evaluateAsync("({ [await fetchScore(1)]: 1, get x() { return 2; } })"), { 10: 1, x: 2 });
+		assert.equal(await evaluator.evaluateAsync("(await fetchScore(1), String.raw`${await fetchScore(2)}\\n`)"), "20\\n");
+		assert.equal(await evaluator.evaluateAsync("`score: ${await fetchScore(4)}`"), "score: 40");
+		assert.equal(await evaluator.evaluateAsync("Math.max(await fetchScore(1), await fetchScore(2))"), 20);
+		assert.equal(await evaluator.evaluateAsync("await (async ({ n }, m = n) => (await fetchScore(n)) + m)({ n: 2 })"), 22);
+		assert.equal(
+			await evaluator.evaluateAsync("await (async n => { const a = await fetchScore(n); let b = a; if (await flag) b = 0; else { b += await fetchScore(2); } return b; })(1)"),
+			30
+		);
+		assert.equal(await evaluator.evaluateAsync("new Set([await fetchScore(1)]).size"), 1);
+		assert.equal(await evaluator.evaluateAsync("-(await fetchScore(1))"), -10);
+		assert.equal(await evaluator.evaluateAsync("(await fetchScore(1))?.toFixed(1)"), "10.0");
+	});
+
+	test("should not await promises implicitly", async () => {
+		const evaluator = new Evaluator({ a: Promise.resolve(1), p: Promise.resolve(2) });
+		assert.equal(await evaluator.evaluateAsync("[await a, p][1] instanceof Promise"), true);
+		assert.equal(await evaluator.evaluateAsync("(await a) && p") instanceof Promise, false);
+		assert.equal(await evaluator.evaluateAsync("((await a) && p) instanceof Promise"), true);
+	});
+
+	test("should support async arrow functions", async () => {
+		const evaluator = new Evaluator({ ids: [1, 2, 3], load: async (id) => ({ id, double: id * 2 }) });
+		assert.deepEqual(await evaluator.evaluateAsync("await Promise.all(ids.map(async id => (await load(id)).double))"), [2, 4, 6]);
+		assert.deepEqual(await evaluator.evaluateAsync("await Promise.all(ids.map(async (id) => id + (await load(id)).id))"), [2, 4, 6]);
+	});
+
+	test("should keep scopes isolated between concurrent async arrow functions", async () => {
+		const delay = (value, ms) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+		const evaluator = new Evaluator({ delay });
+		assert.deepEqual(
+			await evaluator.evaluateAsync("await Promise.all([30, 10, 20].map(async x => [x, await delay(x, x), x]))"),
+			[
+				[30, 30, 30],
+				[10, 10, 10],
+				[20, 20, 20],
+			]
+		);
+	});
+
+	test("should keep sandbox checks", async () => {
+		const evaluator = new Evaluator({ arr: Promise.resolve([1]) });
+		await assert.rejects(evaluator.evaluateAsync("(await arr).push(2)"), { message: "Mutable method is not allowed" });
+		await assert.rejects(evaluator.evaluateAsync("Function(await arr)"), { message: "Function constructor is not allowed" });
+		await assert.rejects(evaluator.evaluateAsync("delete (await arr)[0]"), { message: "Delete operator is not allowed" });
+		await assert.rejects(evaluator.evaluateAsync("await missing"), { message: "missing is not defined" });
+	});
+
+	test("should reject await in synchronous evaluation", () => {
+		assert.throws(() => evaluator.evaluate("await a"));
+	});
+
+	test("should cancel a pending evaluation with an AbortSignal", async () => {
+		const controller = new AbortController();
+		const evaluator = new Evaluator({ never: () => new Promise(() => {}) });
+		const promise = evaluator.evaluateAsync("await never()", { signal: controller.signal });
+		controller.abort(new Error("cancelled"));
+		await assert.rejects(promise, { message: "cancelled" });
+	});
+
+	test("should keep the signal of each overlapping evaluation", async () => {
+		const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+		const evaluator = new Evaluator({ tick, never: () => new Promise(() => {}) }, { maxSteps: 20 });
+		const controller = new AbortController();
+		const first = evaluator.evaluateAsync("(await tick(), await never())", { signal: controller.signal });
+		assert.equal(await evaluator.evaluateAsync("(await tick(), 1)"), 1);
+		await tick();
+		// The pending evaluation leaves the evaluator idle, with a fresh budget for the next ones
+		assert.equal(evaluator.evaluate("[1, 2, 3].map(x => x * 2).length"), 3);
+		controller.abort(new Error("cancelled"));
+		await assert.rejects(first, { message: "cancelled" });
+	});
+
+	test("should reject when the signal is already aborted", async () => {
+		const evaluator = new Evaluator({ called: () => assert.fail("should not be called") });
+		await assert.rejects(evaluator.evaluateAsync("await called()", { signal: AbortSignal.abort() }), { name: "AbortError" });
+	});
+});
+
+describe("Execution Budget", () => {
+	const FIBONACCI = "(fib => fib(fib, 30))((self, n) => n < 2 ? n : self(self, n - 1) + self(self, n - 2))";
+
+	test("should stop evaluations exceeding maxSteps", () => {
+		const evaluator = new Evaluator({}, { maxSteps: 1000 });
+		assert.throws(() => evaluator.evaluate(FIBONACCI), (error) => {
+			assert.ok(error instanceof EvaluationLimitError);
+			assert.equal(error.limit, "maxSteps");
+			assert.equal(error.message, "Evaluation exceeded the limit of 1000 steps");
+			return true;
+		});
+	});
+
+	test("should count callback invocations", () => {
+		const evaluator = new Evaluator({}, { maxSteps: 500 });
+		assert.throws(() => evaluator.evaluate("Array.from({ length: 1000 }, () => 0)"), EvaluationLimitError);
+		assert.equal(evaluator.evaluate("Array.from({ length: 100 }, () => 0).length"), 100);
+	});
+
+	test("should reset the budget for every evaluation", () => {
+		const evaluator = new Evaluator({}, { maxSteps: 50 });
+		for (let i = 0; i < 10; i++) {
+			assert.equal(evaluator.evaluate("[1, 2, 3].map(x => x * 2).length"), 3);
+		}
+	});
+
+	test("should stop evaluations exceeding timeoutMs", () => {
+		const evaluator = new Evaluator({}, { timeoutMs: 20 });
+		assert.throws(() => evaluator.evaluate(FIBONACCI), { name: "EvaluationLimitError", limit: "timeoutMs" });
+	});
+
+	test("should apply the budget to functions called after the evaluation", () => {
+		const evaluator = new Evaluator({}, { maxSteps: 1000 });
+		const fib = evaluator.evaluate("n => (fib => fib(fib, n))((self, n) => n < 2 ? n : self(self, n - 1) + self(self, n - 2))");
+		assert.equal(fib(5), 5);
+		assert.throws(() => fib(30), EvaluationLimitError);
+	});
+
+	test("should apply the budget to compiled expressions", () => {
+		const fn = Evaluator.compile("items.map(x => x * 2)", { maxSteps: 100 });
+		assert.equal(fn({ items: [1, 2, 3] }).length, 3);
+		assert.throws(() => fn({ items: Array.from({ length: 100 }) }), EvaluationLimitError);
+		assert.throws(() => Evaluator.compile(FIBONACCI, { timeoutMs: 20 })(), { limit: "timeoutMs" });
+	});
+
+	test("should time out pending awaits", async () => {
+		const evaluator = new Evaluator({ never: () => new Promise(() => {}) }, { timeoutMs: 20 });
+		await assert.rejects(evaluator.evaluateAsync("await never()"), { name: "EvaluationLimitError", limit: "timeoutMs" });
+	});
+});
+
+describe("Global Scope Options", () => {
+	test("should only expose allowed globals", () => {
+		const evaluator = new Evaluator({}, { allowGlobals: ["Math", "Number", "String"] });
+		assert.equal(evaluator.evaluate("Math.max(1, 2)"), 2);
+		assert.equal(evaluator.evaluate("String(Number('1'))"), "1");
+		assert.throws(() => evaluator.evaluate("Promise"), { name: "ReferenceError", message: "Promise is not defined" });
+		assert.throws(() => evaluator.evaluate("globalThis"), { name: "ReferenceError", message: "globalThis is not defined" });
+	});
+
+	test("should hide denied globals", () => {
+		const evaluator = new Evaluator({}, { denyGlobals: ["Promise", "WeakRef", "SharedArrayBuffer", "Atomics"] });
+		for (const name of ["Promise", "WeakRef", "SharedArrayBuffer", "Atomics"]) {
+			assert.throws(() => evaluator.evaluate(name), { message: `${name} is not defined` });
+			assert.equal(evaluator.evaluate(`'${name}' in globalThis`), false);
+		}
+		assert.equal(evaluator.evaluate("Math.abs(-1)"), 1);
+	});
+
+	test("should never expose eval", () => {
+		const evaluator = new Evaluator({}, { allowGlobals: ["eval"] });
+		assert.throws(() => evaluator.evaluate("eval('1')"), { message: "eval is not defined" });
+	});
+
+	test("should not change the default global scope", () => {
+		new Evaluator({}, { denyGlobals: ["Math"] });
+		assert.equal(new Evaluator().evaluate("Math.max(1, 2)"), 2);
+	});
+
+	test("should add custom globals that cannot be shadowed by the context", () => {
+		const globals = { formatPrice: (value) => `$${value.toFixed(2)}`, TAX: 0.2 };
+		const evaluator = new Evaluator({ TAX: 0.5, price: 10 }, { globals });
+		assert.equal(evaluator.evaluate("formatPrice(price * (1 + TAX))"), "$12.00");
+		assert.equal(evaluator.evaluate("(TAX => TAX)(1)"), 1);
+		assert.throws(() => evaluator.evaluate("(() => { TAX = 1; })()"), {
+			message: "Assignment to 'TAX' is not allowed, only local let variables can be assigned",
+		});
+	});
+
+	test("should apply the global options to compiled and async evaluations", async () => {
+		const options = { allowGlobals: ["Math"], globals: { double: (n) => n * 2 } };
+		assert.equal(Evaluator.compile("double(Math.abs(n))", options)({ n: -2 }), 4);
+		assert.throws(() => Evaluator.compile("JSON", options)(), { message: "JSON is not defined" });
+		assert.equal(await Evaluator.evaluateAsync("double(await n)", { n: Promise.resolve(3) }, options), 6);
+	});
+});
+
+describe("Operator Overloading", () => {
+	class Money {
+		constructor(cents) {
+			this.cents = cents;
+		}
+
+		toString() {
+			return `$${(this.cents / 100).toFixed(2)}`;
+		}
+	}
+
+	const toCents = (value) => (value instanceof Money ? value.cents : Math.round(value * 100));
+	const money = {
+		test: (value) => value instanceof Money,
+		binary: {
+			"+": (a, b) => new Money(toCents(a) + toCents(b)),
+			"-": (a, b) => new Money(toCents(a) - toCents(b)),
+			"*": (a, b) => new Money(Math.round(a instanceof Money ? a.cents * b : a * b.cents)),
+			"<": (a, b) => toCents(a) < toCents(b),
+			"===": (a, b) => toCents(a) === toCents(b),
+		},
+		unary: { "-": (a) => new Money(-a.cents) },
+	};
+	const options = { operators: [money] };
+
+	test("should apply binary overloads when an operand matches", () => {
+		const evaluator = new Evaluator({ price: new Money(1000), other: new Money(250) }, options);
+		assert.equal(String(evaluator.evaluate("price * 1.1")), "$11.00");
+		assert.equal(String(evaluator.evaluate("price + other")), "$12.50");
+		assert.equal(String(evaluator.evaluate("5 - other")), "$2.50");
+		assert.equal(evaluator.evaluate("other < price"), true);
+		assert.equal(evaluator.evaluate("price === 10"), true);
+	});
+
+	test("should derive negated equality operators", () => {
+		const evaluator = new Evaluator({ price: new Money(1000) }, options);
+		assert.equal(evaluator.evaluate("price !== 10"), false);
+		assert.equal(evaluator.evaluate("price !== 11"), true);
+	});
+
+	test("should apply unary overloads", () => {
+		const evaluator = new Evaluator({ price: new Money(1000) }, options);
+		assert.equal(String(evaluator.evaluate("-price")), "$-10.00");
+	});
+
+	test("should fall back to native operators", () => {
+		const evaluator = new Evaluator({ price: new Money(1000) }, options);
+		assert.equal(evaluator.evaluate("1 + 2"), 3);
+		assert.equal(evaluator.evaluate("'total: ' + 1"), "total: 1");
+		assert.equal(evaluator.evaluate("price / 2"), NaN);
+		assert.equal(evaluator.evaluate("typeof price"), "object");
+	});
+
+	test("should apply overloads to compound assignments, compiled and async evaluations", async () => {
+		const context = { items: [new Money(100), new Money(250)], price: new Money(1000) };
+		assert.equal(String(new Evaluator(context, options).evaluate("(() => { let sum = 0; sum += items[0]; sum += items[1]; return sum; })()")), "$3.50");
+		assert.equal(String(Evaluator.compile("items.reduce((a, b) => a + b, 0) * 2", options)(context)), "$7.00");
+		assert.equal(String(Evaluator.compile("-price", options)(context)), "$-10.00");
+		assert.equal(String(await Evaluator.evaluateAsync("(await price) - 1", { price: Promise.resolve(new Money(500)) }, options)), "$4.00");
+	});
+
+	test("should reject invalid overloads", () => {
+		assert.throws(() => new Evaluator({}, { operators: [{ binary: {} }] }), {
+			name: "TypeError",
+			message: "Operator overload requires a test function",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => new Evaluator({}, { operators: [{ test: () => true, binary: { in: () => true } }] }), {
+			message: "Binary operator 'in' cannot be overloaded",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => new Evaluator({}, { operators: [{ test: () => true, unary: { typeof: () => "" } }] }), {
+			message: "Unary operator 'typeof' cannot be overloaded",
+		});
+	});
+});
+
+describe("Decimal Arithmetic", () => {
+	const options = { arithmetic: "decimal" };
+
+	test("should compute exact decimal results", () => {
+		const evaluator = new Evaluator({ basePrice: 1.1, discount: 10 }, options);
+		assert.equal(evaluator.evaluate("0.1 + 0.2"), 0.3);
+		assert.equal(evaluator.evaluate("0.1 + 0.2 === 0.3"), true);
+		assert.equal(evaluator.evaluate("0.3 - 0.1"), 0.2);
+		assert.equal(evaluator.evaluate("1.1 * 3"), 3.3);
+		assert.equal(evaluator.evaluate("0.3 / 0.1"), 3);
+		assert.equal(evaluator.evaluate("1.1 % 0.2"), 0.1);
+		assert.equal(evaluator.evaluate("basePrice * (1 - discount / 100)"), 0.99);
+		assert.equal(evaluator.evaluate("0.1 * 3 > 0.3"), false);
+	});
+
+	test("should keep more precision than floats between operations", () => {
+		assert.equal(Evaluator.evaluate("1 / 3 * 3", {}, options), 1);
+		assert.equal(Evaluator.evaluate("12345678901234567891 - 12345678901234567890", {}, options), 1);
+		assert.equal(Evaluator.evaluate("typeof (1 / 3)", {}, options), "number");
+		assert.equal(Evaluator.evaluate("(2 / 3).toFixed(3)", {}, options), "0.667");
+		assert.equal(Evaluator.evaluate("1 / 3 ? 'yes' : 'no'", {}, options), "yes");
+	});
+
+	test("should pass numbers to host functions and read the members of numbers", () => {
+		const evaluate = (expression) => Evaluator.evaluate(expression, {}, options);
+		assert.equal(evaluate("Number.isFinite(1 / 3)"), true);
+		assert.equal(evaluate("[1 / 3].includes(1 / 3)"), true);
+		assert.equal(evaluate("new Set([1 / 3, 1 / 3]).size"), 1);
+		assert.equal(evaluate("Object.is(1 / 3, 1 / 3)"), true);
+		assert.equal(evaluate("(1 / 3).toPrecision(2)"), "0.33");
+		assert.equal(evaluate("(1 / 3).digits"), undefined);
+		assert.deepEqual(evaluate("({ ...(1 / 3) })"), {});
+		assert.equal(Evaluator.compile("Number.isFinite(x / 3)", options)({ x: 1 }), true);
+		// Functions of the expression, and the built-ins calling them, keep the exact values
+		assert.deepEqual(evaluate("[1 / 3].map((x) => x * 3)"), [1]);
+		assert.equal(evaluate("((x) => x * 3)(1 / 3)"), 1);
+	});
+
+	test("should read and define the keys of decimals as those of their number", () => {
+		const context = { o: { [1 / 3]: "third" } };
+		for (const expression of ["o[1 / 3]", "({ [1 / 3]: 'third' })[1 / 3]", "(({ [1 / 3]: value }) => value)(o)", "Reflect.get(o, 1 / 3)"]) {
+			assert.equal(Evaluator.evaluate(expression, context, options), "third", expression);
+			assert.equal(Evaluator.compile(expression, options)(context), "third", expression);
+		}
+		assert.deepEqual(Evaluator.evaluate("(({ [1 / 3]: value, ...rest }) => rest)({ ...o, b: 2 })", context, options), { b: 2 });
+	});
+
+	test("should call the methods of decimals with strict purity", () => {
+		const strict = { ...options, strictPurity: true };
+		assert.equal(Evaluator.evaluate("(1 / 3).toFixed(2)", {}, strict), "0.33");
+		assert.equal(Evaluator.evaluate("(1 / 3).valueOf()", {}, strict), 1 / 3);
+	});
+
+	test("should apply the precision and rounding options", () => {
+		const decimal = (expression, config) => Evaluator.evaluate(expression, {}, { arithmetic: "decimal", decimal: config });
+		assert.equal(decimal("2 / 3", { precision: 2 }), 0.67);
+		assert.equal(decimal("2 / 3", { precision: 2, rounding: "down" }), 0.66);
+		assert.equal(decimal("0.125 * 1", { precision: 2, rounding: "half-even" }), 0.12);
+		assert.equal(decimal("0.135 * 1", { precision: 2, rounding: "half-even" }), 0.14);
+		assert.equal(decimal("-7 / 2", { precision: 0, rounding: "floor" }), -4);
+		assert.equal(decimal("-7 / 2", { precision: 0, rounding: "ceil" }), -3);
+	});
+
+	test("should convert results to strings with the string output", () => {
+		const config = { arithmetic: "decimal", decimal: { output: "string" } };
+		assert.equal(Evaluator.evaluate("12345678901234567891 + 1", {}, config), "12345678901234567892");
+		assert.equal(Evaluator.evaluate("1 / 3", {}, { ...config, decimal: { output: "string", precision: 4 } }), "0.3333");
+		assert.deepEqual(Evaluator.evaluate("({ total: 0.1 + 0.2, items: [1e21, 'a'] })", {}, config), {
+			total: "0.3",
+			items: ["1000000000000000000000", "a"],
+		});
+	});
+
+	test("should convert decimals nested in results without copying unchanged values", () => {
+		const items = [1, 2];
+		assert.deepEqual(Evaluator.evaluate("items.map((x) => x / 3)", { items }, options), [1 / 3, 2 / 3]);
+		assert.equal(Evaluator.evaluate("items", { items }, options), items);
+	});
+
+	test("should keep the float value beyond the range of floats", () => {
+		const start = performance.now();
+		assert.equal(Evaluator.evaluate("1e1000000 + 0e1000000 + 1e-1000000", {}, options), Infinity);
+		assert.equal(Evaluator.evaluate("1e300 * 1e300", {}, options), Infinity);
+		assert.equal(Evaluator.evaluate("-1e300 * 1e300", {}, options), -Infinity);
+		assert.ok(performance.now() - start < 500);
+		assert.equal(Evaluator.evaluate("1e-300 * 1e300", {}, options), 1);
+		assert.throws(() => Evaluator.evaluate("(1 / 3).toFixed(1e9)", {}, options), RangeError);
+		assert.throws(() => Evaluator.evaluate("(1 / 3).toFixed.call(1 / 3, -1)", {}, options), {
+			name: "RangeError",
+			code: "E_INVALID_ARGUMENTS",
+			message: "toFixed() digits argument must be between 0 and 100",
+		});
+	});
+
+	test("should read legacy octal literals as with float arithmetic", () => {
+		for (const expression of ["017", "017 + 0.1", "0777777777777777777777 / 8", "019", "08.5"]) {
+			assert.equal(Evaluator.evaluate(expression, {}, options), Evaluator.evaluate(expression), expression);
+			assert.equal(Evaluator.compile(expression, options)(), Evaluator.evaluate(expression), expression);
+		}
+	});
+
+	test("should keep native operators for other values", () => {
+		assert.equal(Evaluator.evaluate("'a' + 0.1", {}, options), "a0.1");
+		assert.equal(Evaluator.evaluate("1 / 0", {}, options), Infinity);
+		assert.equal(Evaluator.evaluate("1 % 0", {}, options), NaN);
+		assert.equal(Evaluator.evaluate("NaN + 1", {}, options), NaN);
+		assert.equal(Evaluator.evaluate("2 ** 3", {}, options), 8);
+	});
+
+	test("should apply to compound assignments, compiled and async evaluations", async () => {
+		assert.equal(Evaluator.evaluate("(() => { let total = 0; total += 0.1; total += 0.2; return total; })()", {}, options), 0.3);
+		assert.equal(Evaluator.compile("price * quantity", options)({ price: 19.99, quantity: 3 }), 59.97);
+		assert.equal(Evaluator.compile("1 / 3", { ...options, decimal: { output: "string", precision: 3 } })(), "0.333");
+		assert.equal(await Evaluator.evaluateAsync("(await price) + 0.2", { price: Promise.resolve(0.1) }, options), 0.3);
+	});
+
+	test("should reject invalid options", () => {
+		assert.throws(() => new Evaluator({}, { arithmetic: "exact" }), {
+			name: "TypeError",
+			message: "Arithmetic must be float or decimal",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => new Evaluator({}, { arithmetic: "decimal", decimal: { precision: -1 } }), {
+			message: "Decimal precision must be a non-negative integer",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => new Evaluator({}, { arithmetic: "decimal", decimal: { rounding: "nearest" } }), {
+			message: "Decimal rounding must be one of half-up, half-down, half-even, up, down, ceil, floor",
+		});
+	});
+});
+
+describe("Allocation Limits", () => {
+	test("should reject strings longer than maxStringLength", () => {
+		const evaluator = new Evaluator({ s: "abc" }, { maxStringLength: 10 });
+		assert.throws(() => evaluator.evaluate("s + s + s + s"), (error) => {
+			assert.ok(error instanceof EvaluationLimitError);
+			assert.equal(error.limit, "maxStringLength");
+			assert.equal(error.message, "String length exceeds the limit of 10");
+			return true;
+		});
+		assert.throws(() => evaluator.evaluate("`${s}${s}${s}${s}`"), { limit: "maxStringLength" });
+		assert.throws(() => evaluator.evaluate("[s, s, s, s].join('')"), { limit: "maxStringLength" });
+		assert.equal(evaluator.evaluate("s + s + s"), "abcabcabc");
+	});
+
+	test("should reject known allocating built-ins before they run", () => {
+		const evaluator = new Evaluator({}, { maxStringLength: 1000, maxArrayLength: 1000 });
+		assert.throws(() => evaluator.evaluate("'x'.repeat(2 ** 28)"), { limit: "maxStringLength" });
+		assert.throws(() => evaluator.evaluate("''.padStart(2 ** 28, 'x')"), { limit: "maxStringLength" });
+		assert.throws(() => evaluator.evaluate("''.padEnd(2 ** 28)"), { limit: "maxStringLength" });
+		assert.throws(() => evaluator.evaluate("Array.from({ length: 1e9 })"), { limit: "maxArrayLength" });
+		assert.throws(() => evaluator.evaluate("new Array(1e9)"), { limit: "maxArrayLength" });
+		assert.throws(() => evaluator.evaluate("Array(1e9)"), { limit: "maxArrayLength" });
+		assert.throws(() => evaluator.evaluate("new Float64Array(1e9)"), { limit: "maxArrayLength" });
+		assert.equal(evaluator.evaluate("'ab'.repeat(3)"), "ababab");
+		assert.equal(evaluator.evaluate("Array.from({ length: 3 }, (_, i) => i).length"), 3);
+	});
+
+	test("should reject arrays longer than maxArrayLength", () => {
+		const evaluator = new Evaluator({ arr: [1, 2, 3] }, { maxArrayLength: 5 });
+		assert.throws(() => evaluator.evaluate("[...arr, ...arr]"), { limit: "maxArrayLength" });
+		assert.throws(() => evaluator.evaluate("arr.concat(arr)"), { limit: "maxArrayLength" });
+		assert.throws(() => evaluator.evaluate("[1, 2, 3, 4, 5, 6]"), { limit: "maxArrayLength" });
+		assert.deepEqual(evaluator.evaluate("[...arr, 4]"), [1, 2, 3, 4]);
+	});
+
+	test("should reject object literals with more than maxObjectKeys keys", () => {
+		const evaluator = new Evaluator({ obj: { a: 1, b: 2 } }, { maxObjectKeys: 3 });
+		assert.throws(() => evaluator.evaluate("({ ...obj, c: 3, d: 4 })"), { limit: "maxObjectKeys" });
+		assert.deepEqual(evaluator.evaluate("({ ...obj, c: 3 })"), { a: 1, b: 2, c: 3 });
+	});
+
+	test("should apply the limits to async and compiled evaluations", async () => {
+		const options = { maxStringLength: 5 };
+		await assert.rejects(Evaluator.evaluateAsync("`${await s}${s}`", { s: "abc" }, options), { limit: "maxStringLength" });
+		assert.throws(() => Evaluator.compile("s + s", options)({ s: "abc" }), { limit: "maxStringLength" });
+		assert.throws(() => Evaluator.compile("s.repeat(2)", options)({ s: "abc" }), { limit: "maxStringLength" });
+		assert.throws(() => Evaluator.compile("[...a, ...a]", { maxArrayLength: 3 })({ a: [1, 2] }), { limit: "maxArrayLength" });
+		assert.throws(() => Evaluator.compile("({ ...o, b: 1 })", { maxObjectKeys: 1 })({ o: { a: 1 } }), { limit: "maxObjectKeys" });
+	});
+});
+
 describe("Built-in Objects", () => {
 	describe("Date", () => {
 		test("should create and manipulate Date objects", () => {
@@ -732,7 +1385,7 @@ describe("Security and Restrictions", () => {
 		test("should block mutable array methods", () => {
 			assert.throws(() => evaluator.evaluate("[1, 2].push(3)"), { message: "Mutable method is not allowed" });
 			assert.throws(() => evaluator.evaluate("[1, 2].pop()"), { message: "Mutable method is not allowed" });
-			assert.throws(() => evaluator.evaluate("Array.prototype.splice.call([1,2,3], 1, 1)"), {
+			assert.throws(() => Evaluator.evaluate("Array.prototype.splice.call([1,2,3], 1, 1)", {}, { allowMembers: ["prototype"] }), {
 				message: "Mutable method is not allowed",
 			});
 		});
@@ -742,6 +1395,92 @@ describe("Security and Restrictions", () => {
 		});
 	});
 
+	describe("Member Access Policy", () => {
+		test("should deny prototype and constructor members on every value", () => {
+			const context = { obj: { a: 1 }, fn: () => 1 };
+			for (const expression of [
+				"({}).constructor",
+				"[].__proto__",
+				"obj.constructor.prototype",
+				"fn.constructor('return 1')",
+				"''.constructor.constructor",
+				"obj.__lookupGetter__",
+				"Object.prototype",
+				"obj?.constructor",
+			]) {
+				assert.throws(() => Evaluator.evaluate(expression, context), { message: /^Access to '\w+' is not allowed$/ }, expression);
+			}
+		});
+
+		test("should deny computed and destructured members", () => {
+			assert.throws(() => Evaluator.evaluate("obj['__pro' + 'to__']", { obj: {} }), { message: "Access to '__proto__' is not allowed" });
+			assert.throws(() => Evaluator.evaluate("obj[{ toString: () => 'constructor' }]", { obj: {} }), {
+				message: "Access to 'constructor' is not allowed",
+			});
+			assert.throws(() => Evaluator.evaluate("(({ constructor }) => constructor)({})"), { message: "Access to 'constructor' is not allowed" });
+			assert.throws(() => Evaluator.evaluate("[1].map(({ constructor: c }) => c)"), { message: "Access to 'constructor' is not allowed" });
+			assert.throws(() => Evaluator.compile("obj.constructor")({ obj: {} }), { message: "Access to 'constructor' is not allowed" });
+			assert.throws(() => Evaluator.compile("obj['constructor']('x')")({ obj: {} }), { message: "Access to 'constructor' is not allowed" });
+		});
+
+		test("should deny members in tagged templates and async evaluations", async () => {
+			assert.throws(() => Evaluator.evaluate("fn.constructor`return 1`", { fn: () => 1 }), { message: "Access to 'constructor' is not allowed" });
+			await assert.rejects(Evaluator.evaluateAsync("(await obj).constructor", { obj: Promise.resolve({}) }), {
+				message: "Access to 'constructor' is not allowed",
+			});
+		});
+
+		test("should allow denied members listed in allowMembers", () => {
+			assert.equal(Evaluator.evaluate("obj.constructor === Object", { obj: {} }, { allowMembers: ["constructor"] }), true);
+			assert.equal(Evaluator.evaluate("typeof Array.prototype.map", {}, { allowMembers: ["prototype"] }), "function");
+			assert.throws(() => Evaluator.evaluate("obj.__proto__", { obj: {} }, { allowMembers: ["constructor"] }), {
+				message: "Access to '__proto__' is not allowed",
+			});
+		});
+
+		test("should deny members listed in denyMembers", () => {
+			const options = { denyMembers: ["password"] };
+			assert.throws(() => Evaluator.evaluate("user.password", { user: { password: "x" } }, options), {
+				message: "Access to 'password' is not allowed",
+			});
+			assert.equal(Evaluator.evaluate("user.name", { user: { name: "a" } }, options), "a");
+		});
+
+		test("should keep other members, symbols and indexes readable", () => {
+			assert.equal(Evaluator.evaluate("obj.constructorName + arr[1] + arr.length", { obj: { constructorName: "A" }, arr: [1, 2] }), "A22");
+			assert.equal(Evaluator.evaluate("typeof arr[Symbol.iterator]", { arr: [] }), "function");
+			assert.equal(Evaluator.evaluate("nil?.constructor", { nil: null }), undefined);
+		});
+	});
+
+	describe("Constructor Policy", () => {
+		class Widget {
+			constructor(size) {
+				this.size = size;
+			}
+		}
+
+		test("should only instantiate the default built-ins", () => {
+			const context = { Widget, ui: { Widget } };
+			for (const expression of ["new Widget(1)", "new ui.Widget(1)", "new Proxy({}, {})", "new WeakRef({})", "new SharedArrayBuffer(8)", "Reflect.construct(Proxy, [{}, {}])"]) {
+				assert.throws(() => Evaluator.evaluate(expression, context), { name: "TypeError", message: /^Constructor '\w+' is not allowed$/ }, expression);
+				assert.throws(() => Evaluator.compile(expression)(context), { name: "TypeError", message: /^Constructor '\w+' is not allowed$/ }, expression);
+			}
+		});
+
+		test("should instantiate constructors listed in allowConstructors", async () => {
+			const options = { allowConstructors: [Widget] };
+			assert.equal(Evaluator.evaluate("new ui.Widget(2).size", { ui: { Widget } }, options), 2);
+			assert.equal(Evaluator.compile("Reflect.construct(Widget, [3]).size", options)({ Widget }), 3);
+			assert.equal(await Evaluator.evaluateAsync("new Widget(await size).size", { Widget, size: Promise.resolve(4) }, options), 4);
+		});
+
+		test("should not instantiate constructors listed in denyConstructors", () => {
+			assert.throws(() => Evaluator.evaluate("new Date(0)", {}, { denyConstructors: [Date] }), { message: "Constructor 'Date' is not allowed" });
+			assert.equal(Evaluator.evaluate("Date.UTC(1970, 0, 1)", {}, { denyConstructors: [Date] }), 0);
+		});
+	});
+
 	describe("Blocked Constructs", () => {
 		test("should block eval", () => {
 			assert.throws(() => evaluator.evaluate('eval("foo")'), { message: "eval is not defined" });
@@ -758,7 +1497,7 @@ describe("Security and Restrictions", () => {
 
 		test("should block delete operator", () => {
 			const evaluator = new Evaluator({ obj: { a: 1 } });
-			assert.throws(() => evaluator.evaluate("delete obj.a"), { message: "Delete operator is not allow" });
+			assert.throws(() => evaluator.evaluate("delete obj.a"), { message: "Delete operator is not allowed" });
 		});
 
 		test("should block unsupported syntax", () => {
@@ -771,6 +1510,144 @@ describe("Security and Restrictions", () => {
 	});
 });
 
+describe("Tracing", () => {
+	/**
+	 * Keeps the fields of a trace that are compared, functions are replaced by their type.
+	 * @param {import('./Evaluator.js').TraceNode} trace
+	 * @returns {Object}
+	 */
+	const summarize = ({ type, source, value, depth, arguments: args, error, children }) => ({
+		type,
+		source,
+		value: typeof value === "function" ? "function" : value,
+		depth,
+		...(args && { arguments: args }),
+		...(error && { error: error.message }),
+		children: children.map(summarize),
+	});
+
+	test("should return the trace of the visited nodes with the result", () => {
+		const { value, trace } = Evaluator.evaluate("a > 10 ? 'high' : 'low'", { a: 12 }, { trace: true });
+		assert.equal(value, "high");
+		assert.deepEqual(summarize(trace), {
+			type: "Program",
+			source: "a > 10 ? 'high' : 'low'",
+			value: "high",
+			depth: 0,
+			children: [
+				{
+					type: "ConditionalExpression",
+					source: "a > 10 ? 'high' : 'low'",
+					value: "high",
+					depth: 1,
+					children: [
+						{
+							type: "BinaryExpression",
+							source: "a > 10",
+							value: true,
+							depth: 2,
+							children: [
+								{ type: "Identifier", source: "a", value: 12, depth: 3, children: [] },
+								{ type: "Literal", source: "10", value: 10, depth: 3, children: [] },
+							],
+						},
+						{ type: "Literal", source: "'high'", value: "high", depth: 2, children: [] },
+					],
+				},
+			],
+		});
+	});
+
+	test("should trace the calls of arrow functions with their arguments", () => {
+		const items = [{ flag: false }, { flag: true }];
+		const { trace } = Evaluator.evaluate("items.some(i => i.flag)", { items }, { trace: true });
+		const [call] = trace.children;
+
+		assert.deepEqual(
+			call.children.map(({ type, value, depth, arguments: args }) => ({ type, value, depth, args })),
+			[
+				{ type: "Identifier", value: items, depth: 2, args: undefined },
+				{ type: "ArrowFunctionExpression", value: call.children[1].value, depth: 2, args: undefined },
+				{ type: "ArrowFunctionExpression", value: false, depth: 2, args: [items[0], 0, items] },
+				{ type: "ArrowFunctionExpression", value: true, depth: 2, args: [items[1], 1, items] },
+			],
+		);
+		assert.deepEqual(summarize(call.children[3].children[0]), {
+			type: "MemberExpression",
+			source: "i.flag",
+			value: true,
+			depth: 3,
+			children: [{ type: "Identifier", source: "i", value: items[1], depth: 4, children: [] }],
+		});
+	});
+
+	test("should give the trace of failed evaluations to onTrace", () => {
+		const traces = [];
+		const onTrace = (trace) => traces.push(trace);
+
+		assert.equal(Evaluator.evaluate("1 + 2", {}, { onTrace }), 3);
+		assert.throws(() => Evaluator.evaluate("a.b.c", { a: {} }, { onTrace }), TypeError);
+
+		assert.equal(traces.length, 2);
+		assert.equal(traces[0].value, 3);
+		assert.deepEqual(summarize(traces[1]).children[0], {
+			type: "MemberExpression",
+			source: "a.b.c",
+			value: undefined,
+			depth: 1,
+			error: "Cannot read property 'c' of undefined",
+			children: [
+				{
+					type: "MemberExpression",
+					source: "a.b",
+					value: undefined,
+					depth: 2,
+					children: [{ type: "Identifier", source: "a", value: {}, depth: 3, children: [] }],
+				},
+			],
+		});
+		assert.equal(traces[1].error, traces[1].children[0].error);
+	});
+
+	test("should nest concurrent async calls under their own trace", async () => {
+		const { value, trace } = await Evaluator.evaluateAsync("await Promise.all([1, 2].map(async x => (await x) * 2))", {}, { trace: true });
+		assert.deepEqual(value, [2, 4]);
+
+		const map = trace.children[0].children[0].children[1];
+		const calls = map.children.filter((child) => child.arguments);
+		assert.deepEqual(
+			calls.map((call) => summarize(call.children[0])),
+			[1, 2].map((x) => ({
+				type: "BinaryExpression",
+				source: "(await x) * 2",
+				value: x * 2,
+				depth: 5,
+				children: [
+					{
+						type: "AwaitExpression",
+						source: "await x",
+						value: x,
+						depth: 6,
+						children: [{ type: "Identifier", source: "x", value: x, depth: 7, children: [] }],
+					},
+					{ type: "Literal", source: "2", value: 2, depth: 6, children: [] },
+				],
+			})),
+		);
+	});
+
+	test("should trace compiled expressions and convert decimals", () => {
+		const compiled = Evaluator.compile("0.1 + x", { trace: true, arithmetic: "decimal" });
+		const { value, trace } = compiled({ x: 0.2 });
+		assert.equal(value, 0.3);
+		assert.deepEqual(
+			trace.children[0].children.map((child) => child.value),
+			[0.1, 0.2],
+		);
+		assert.equal(compiled({ x: 1 }).value, 1.1);
+	});
+});
+
 describe("Error Handling", () => {
 	test("should handle division by zero", () => {
 		assert.equal(evaluator.evaluate("5 / 0"), Infinity);
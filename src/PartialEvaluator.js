@@ -0,0 +1,795 @@
+/**
+ * @typedef {import('./Evaluator.js').Evaluator} Evaluator
+ *
+ * @typedef {Object} PartialResult
+ * @property {boolean} known - Whether the value of the node is known before the evaluation
+ * @property {*} value - The value of the node, `undefined` when it is not known
+ * @property {string} code - The residual code of the node, the literal of its value when it has one
+ * @property {number} precedence - The precedence of the residual code, operands of lower precedence are parenthesized
+ */
+
+const SEQUENCE = 1;
+/** Assignments, conditions, arrow functions and spread elements */
+const ASSIGNMENT = 2;
+const NULLISH = 3;
+const BITWISE_OR = 6;
+const UNARY = 15;
+const POSTFIX = 16;
+/** Members, calls and `new` with arguments */
+const MEMBER = 17;
+const PRIMARY = 18;
+
+const OPERATOR_PRECEDENCE = {
+	"??": NULLISH,
+	"||": 4,
+	"&&": 5,
+	"|": BITWISE_OR,
+	"^": 7,
+	"&": 8,
+	"==": 9,
+	"!=": 9,
+	"===": 9,
+	"!==": 9,
+	"<": 10,
+	"<=": 10,
+	">": 10,
+	">=": 10,
+	in: 10,
+	instanceof: 10,
+	"<<": 11,
+	">>": 11,
+	">>>": 11,
+	"+": 12,
+	"-": 12,
+	"*": 13,
+	"/": 13,
+	"%": 13,
+	"**": 14,
+};
+
+/** Precedence of the nodes left as written, the others are parenthesized */
+const OPAQUE_PRECEDENCE = {
+	ThisExpression: PRIMARY,
+	TaggedTemplateExpression: MEMBER,
+};
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Collects the names bound by a parameter.
+ * @param {import('acorn').Pattern} pattern
+ * @param {Set<string>} names
+ */
+function collectNames(pattern, names) {
+	switch (pattern.type) {
+		case "Identifier": {
+			names.add(pattern.name);
+			break;
+		}
+		case "AssignmentPattern": {
+			collectNames(pattern.left, names);
+			break;
+		}
+		case "RestElement": {
+			collectNames(pattern.argument, names);
+			break;
+		}
+		case "ArrayPattern": {
+			for (const element of pattern.elements) {
+				if (element) collectNames(element, names);
+			}
+			break;
+		}
+		case "ObjectPattern": {
+			for (const prop of pattern.properties) {
+				collectNames(prop.type === "RestElement" ? prop : prop.value, names);
+			}
+			break;
+		}
+	}
+}
+
+/**
+ * Collects the identifiers of a node that read a variable it does not declare, in source order. The parameters
+ * of its functions and the `const`/`let` declarations of its blocks are local, assigned identifiers are skipped.
+ * @param {import('acorn').Node} node
+ * @param {Set<string>[]} scopes - The names declared by the enclosing functions and blocks of the node
+ * @param {{ identifier: import('acorn').Identifier, shorthand: boolean }[]} reads - Receives the identifiers, and
+ * whether they are the value of a shorthand property
+ */
+function collectReads(node, scopes, reads) {
+	const visit = (child) => collectReads(child, scopes, reads);
+	const isLocal = (name) => scopes.some((scope) => scope.has(name));
+
+	switch (node.type) {
+		case "Identifier": {
+			if (!isLocal(node.name)) reads.push({ identifier: node, shorthand: false });
+			return;
+		}
+		case "MemberExpression": {
+			visit(node.object);
+			if (node.computed) visit(node.property);
+			return;
+		}
+		case "Property": {
+			if (node.computed) visit(node.key);
+			if (node.shorthand && node.value.type === "Identifier") {
+				if (!isLocal(node.value.name)) reads.push({ identifier: node.value, shorthand: true });
+			} else {
+				visit(node.value);
+			}
+			return;
+		}
+		case "ArrowFunctionExpression":
+		case "FunctionExpression": {
+			const names = new Set();
+			for (const param of node.params) collectNames(param, names);
+			const inner = [names, ...scopes];
+
+			for (const param of node.params) collectPatternReads(param, inner, reads);
+			collectReads(node.body, inner, reads);
+			return;
+		}
+		case "BlockStatement": {
+			const names = new Set();
+			for (const statement of node.body) {
+				if (statement.type === "VariableDeclaration") {
+					for (const declarator of statement.declarations) collectNames(declarator.id, names);
+				}
+			}
+
+			for (const statement of node.body) collectReads(statement, [names, ...scopes], reads);
+			return;
+		}
+		case "VariableDeclarator": {
+			collectPatternReads(node.id, scopes, reads);
+			if (node.init) visit(node.init);
+			return;
+		}
+		case "AssignmentExpression": {
+			collectPatternReads(node.left, scopes, reads);
+			visit(node.right);
+			return;
+		}
+		case "UpdateExpression": {
+			collectPatternReads(node.argument, scopes, reads);
+			return;
+		}
+		case "Literal":
+		case "ThisExpression":
+		case "Super":
+		case "PrivateIdentifier": {
+			return;
+		}
+	}
+
+	for (const key of Object.keys(node)) {
+		const value = node[key];
+		for (const child of Array.isArray(value) ? value : [value]) {
+			if (child !== null && typeof child === "object" && typeof child.type === "string") visit(child);
+		}
+	}
+}
+
+/**
+ * Collects the reads of a pattern: its default values, computed keys and assigned members.
+ * @param {import('acorn').Pattern} pattern
+ * @param {Set<string>[]} scopes
+ * @param {{ identifier: import('acorn').Identifier, shorthand: boolean }[]} reads
+ */
+function collectPatternReads(pattern, scopes, reads) {
+	switch (pattern.type) {
+		case "AssignmentPattern": {
+			collectPatternReads(pattern.left, scopes, reads);
+			collectReads(pattern.right, scopes, reads);
+			break;
+		}
+		case "RestElement": {
+			collectPatternReads(pattern.argument, scopes, reads);
+			break;
+		}
+		case "ArrayPattern": {
+			for (const element of pattern.elements) {
+				if (element) collectPatternReads(element, scopes, reads);
+			}
+			break;
+		}
+		case "ObjectPattern": {
+			for (const prop of pattern.properties) {
+				if (prop.type !== "RestElement" && prop.computed) collectReads(prop.key, scopes, reads);
+				collectPatternReads(prop.type === "RestElement" ? prop : prop.value, scopes, reads);
+			}
+			break;
+		}
+		case "MemberExpression": {
+			collectReads(pattern, scopes, reads);
+			break;
+		}
+	}
+}
+
+/**
+ * Partially evaluates an acorn AST with the part of the context known in advance, and writes the residual
+ * expression evaluating to the same value once the rest of the context is given.
+ *
+ * A node whose operands are known is folded by the evaluator, so it goes through the sandbox checks, and
+ * its value is written as a literal: primitives, and the arrays and plain objects of such values. Other
+ * known values, such as functions, keep the code of the node. Conditions and logical expressions whose
+ * test is known are replaced by the taken branch. A node whose evaluation throws is left in the residual
+ * expression, which throws the same error when evaluated.
+ *
+ * The evaluator only calls the pure functions while folding (see `Evaluator#isPure`), the calls to other
+ * functions and their operands are left in the residual expression.
+ *
+ * @example
+ * const evaluator = new Evaluator({ tier: 'gold' }, options);
+ * evaluator.source = expression;
+ * evaluator.pureCallsOnly = true;
+ * evaluator.foldedValues = new Map();
+ * new PartialEvaluator(evaluator).evaluateProgram(ast.body) // returns the residual expression
+ */
+export class PartialEvaluator {
+	/**
+	 * @param {Evaluator} evaluator - An evaluator of the known context, with the source of the expression
+	 */
+	constructor(evaluator) {
+		this.evaluator = evaluator;
+		/**
+		 * The enclosing arrow functions, innermost last. An arrow function is closed when its body does not read
+		 * the parameters of the enclosing ones, only then is it created by the evaluator.
+		 * @type {{ names: Set<string>, closed: boolean }[]}
+		 */
+		this.frames = [];
+	}
+
+	/**
+	 * Partially evaluates the body of a program. The leading statements whose value is known are dropped.
+	 * @param {Array} body - Array of AST nodes to evaluate
+	 * @returns {string} The residual expression
+	 */
+	evaluateProgram(body) {
+		const statements = [];
+
+		body.forEach((node, index) => {
+			if (node.type !== "ExpressionStatement") {
+				throw this.evaluator.invalidSyntax(node);
+			}
+
+			const result = this.visit(node.expression);
+			if (!result.known || index === body.length - 1) {
+				// An object literal would start a block
+				statements.push(result.code.startsWith("{") ? `(${result.code})` : result.code);
+			}
+		});
+
+		return statements.join("; ");
+	}
+
+	/**
+	 * Partially evaluates a node.
+	 * @param {import('acorn').Node} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visit(node) {
+		switch (node.type) {
+			case "Identifier": {
+				return this.visitIdentifier(node);
+			}
+			case "Literal": {
+				return this.fold(node, node.raw, PRIMARY);
+			}
+			case "TemplateLiteral": {
+				return this.visitTemplate(node);
+			}
+			case "ArrayExpression": {
+				const elements = node.elements.map((element) => element && this.visit(element));
+				const codes = elements.map((element) => (element ? this.wrap(element, ASSIGNMENT) : ""));
+				// A trailing hole needs its own comma
+				const code = `[${codes.join(", ")}${node.elements.at(-1) === null ? "," : ""}]`;
+				return this.foldOperands(node, elements.filter(Boolean), code, PRIMARY);
+			}
+			case "ObjectExpression": {
+				return this.visitObject(node);
+			}
+			case "SpreadElement": {
+				const argument = this.visit(node.argument);
+				return { known: argument.known, value: undefined, code: `...${this.wrap(argument, ASSIGNMENT)}`, precedence: ASSIGNMENT };
+			}
+			case "UnaryExpression": {
+				return this.visitUnary(node);
+			}
+			case "BinaryExpression": {
+				return this.visitBinary(node);
+			}
+			case "LogicalExpression": {
+				return this.visitLogical(node);
+			}
+			case "ConditionalExpression": {
+				const test = this.visit(node.test);
+				if (test.known) {
+					return this.visit(test.value ? node.consequent : node.alternate);
+				}
+
+				const consequent = this.visit(node.consequent);
+				const alternate = this.visit(node.alternate);
+				const code = `${this.wrap(test, NULLISH)} ? ${this.wrap(consequent, ASSIGNMENT)} : ${this.wrap(alternate, ASSIGNMENT)}`;
+				return this.residual(code, ASSIGNMENT);
+			}
+			case "MemberExpression": {
+				return this.visitMember(node);
+			}
+			case "ChainExpression": {
+				return this.visit(node.expression);
+			}
+			case "CallExpression": {
+				const callee = this.visit(node.callee);
+				if (node.optional && callee.known && (callee.value === null || callee.value === undefined)) {
+					return this.fold(node, "undefined", PRIMARY);
+				}
+
+				const args = node.arguments.map((arg) => this.visit(arg));
+				const code = `${this.wrap(callee, MEMBER)}${node.optional ? "?.(" : "("}${this.writeList(args)})`;
+				return this.foldOperands(node, [callee, ...args], code, MEMBER);
+			}
+			case "NewExpression": {
+				const callee = this.visit(node.callee);
+				const args = node.arguments.map((arg) => this.visit(arg));
+				// A callee containing a call would be called by `new`
+				const calleeCode = /^[\w$.]+$/.test(callee.code) ? callee.code : `(${callee.code})`;
+				return this.foldOperands(node, [callee, ...args], `new ${calleeCode}(${this.writeList(args)})`, MEMBER);
+			}
+			case "ArrowFunctionExpression": {
+				return this.visitArrowFunction(node);
+			}
+			case "SequenceExpression": {
+				const expressions = node.expressions.map((expression) => this.visit(expression));
+				return this.foldOperands(node, expressions, this.writeList(expressions), SEQUENCE);
+			}
+			case "AwaitExpression": {
+				const argument = this.visit(node.argument);
+				return this.residual(`await ${this.wrap(argument, UNARY)}`, UNARY);
+			}
+			default: {
+				// Other nodes are left as written, and only folded outside of arrow functions
+				const code = this.getOpaqueSource(node);
+				const precedence = OPAQUE_PRECEDENCE[node.type] ?? SEQUENCE;
+				return this.frames.length ? this.residual(code, precedence) : this.fold(node, code, precedence);
+			}
+		}
+	}
+
+	/**
+	 * Resolves an identifier: the parameters of the enclosing arrow functions and the variables missing from
+	 * the known context are unknown, the others are read by the evaluator.
+	 * @param {import('acorn').Identifier} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitIdentifier(node) {
+		const { name } = node;
+
+		for (let i = this.frames.length - 1; i >= 0; i--) {
+			if (this.frames[i].names.has(name)) {
+				// The arrow functions nested in the one binding the name read an outer parameter
+				for (let j = i + 1; j < this.frames.length; j++) this.frames[j].closed = false;
+				return this.residual(name, PRIMARY);
+			}
+		}
+
+		if (!this.evaluator.scopes.some((scope) => Object.hasOwn(scope, name))) {
+			return this.residual(name, PRIMARY);
+		}
+
+		return this.fold(node, name, PRIMARY);
+	}
+
+	/**
+	 * Writes the known primitives of a template literal in its text.
+	 * @param {import('acorn').TemplateLiteral} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitTemplate(node) {
+		const expressions = node.expressions.map((expression) => this.visit(expression));
+
+		const code = node.quasis
+			.map((quasi, i) => {
+				const expression = expressions[i];
+				if (expression === undefined) return quasi.value.raw;
+
+				const { known, value } = expression;
+				if (known && (value === null || typeof value !== "object") && this.writeLiteral(value)) {
+					return quasi.value.raw + String(value).replace(/[`\\]|\$\{/g, "\\$&").replace(/\r/g, "\\r");
+				}
+
+				return `${quasi.value.raw}\${${expression.code}}`;
+			})
+			.join("");
+
+		return this.foldOperands(node, expressions, `\`${code}\``, PRIMARY);
+	}
+
+	/**
+	 * @param {import('acorn').ObjectExpression} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitObject(node) {
+		const operands = [];
+
+		const codes = node.properties.map((property) => {
+			if (property.type === "SpreadElement") {
+				const spread = this.visit(property);
+				operands.push(spread);
+				return spread.code;
+			}
+
+			// Methods and accessors are left as written
+			if (property.kind !== "init" || property.method) {
+				return this.getOpaqueSource(property);
+			}
+
+			let key;
+			if (property.computed) {
+				const computed = this.visit(property.key);
+				operands.push(computed);
+				key = `[${this.wrap(computed, ASSIGNMENT)}]`;
+			} else {
+				key = this.getSource(property.key);
+			}
+
+			const value = this.visit(property.value);
+			operands.push(value);
+			return property.shorthand && value.code === key ? key : `${key}: ${this.wrap(value, ASSIGNMENT)}`;
+		});
+
+		return this.foldOperands(node, operands, codes.length ? `{ ${codes.join(", ")} }` : "{}", PRIMARY);
+	}
+
+	/**
+	 * @param {import('acorn').UnaryExpression} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitUnary(node) {
+		const { operator } = node;
+		if (operator === "delete") {
+			return this.residual(this.getSource(node), UNARY);
+		}
+
+		const argument = this.visit(node.argument);
+		const operand = this.wrap(argument, UNARY);
+
+		let code;
+		if (/^[a-z]/.test(operator)) {
+			code = `${operator} ${operand}`;
+		} else {
+			// `- -1` and `+ +x` must not read as decrements and increments
+			code = /^[+-]/.test(operand) && (operator === "-" || operator === "+") ? `${operator}(${operand})` : `${operator}${operand}`;
+		}
+
+		return this.foldOperands(node, [argument], code, UNARY);
+	}
+
+	/**
+	 * @param {import('acorn').BinaryExpression} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitBinary(node) {
+		const left = this.visit(node.left);
+		const right = this.visit(node.right);
+		const precedence = OPERATOR_PRECEDENCE[node.operator];
+
+		// `**` is right-associative and its left operand cannot be a unary expression
+		const code =
+			node.operator === "**"
+				? `${this.wrap(left, POSTFIX)} ** ${this.wrap(right, precedence)}`
+				: `${this.wrap(left, precedence)} ${node.operator} ${this.wrap(right, precedence + 1)}`;
+
+		return this.foldOperands(node, [left, right], code, precedence);
+	}
+
+	/**
+	 * Replaces a logical expression by its left operand when it is known and short-circuits,
+	 * and by its right operand when it is known and does not.
+	 * @param {import('acorn').LogicalExpression} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitLogical(node) {
+		const { operator } = node;
+		const left = this.visit(node.left);
+
+		if (left.known) {
+			const value = left.value;
+			const shortCircuits = operator === "&&" ? !value : operator === "||" ? Boolean(value) : value !== null && value !== undefined;
+			return shortCircuits ? left : this.visit(node.right);
+		}
+
+		const right = this.visit(node.right);
+		const precedence = OPERATOR_PRECEDENCE[operator];
+
+		// `??` cannot be mixed with `&&` and `||` without parentheses
+		const code =
+			operator === "??"
+				? `${this.wrap(left, BITWISE_OR)} ?? ${this.wrap(right, BITWISE_OR)}`
+				: `${this.wrap(left, precedence)} ${operator} ${this.wrap(right, precedence + 1)}`;
+
+		return this.residual(code, precedence);
+	}
+
+	/**
+	 * @param {import('acorn').MemberExpression} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitMember(node) {
+		const object = this.visit(node.object);
+		let objectCode = this.wrap(object, MEMBER);
+
+		// `1.toFixed` would read as a decimal point
+		if (/^\d+$/.test(objectCode)) objectCode = `(${objectCode})`;
+
+		if (!node.computed) {
+			return this.foldOperands(node, [object], `${objectCode}${node.optional ? "?." : "."}${this.getSource(node.property)}`, MEMBER);
+		}
+
+		const property = this.visit(node.property);
+		return this.foldOperands(node, [object, property], `${objectCode}${node.optional ? "?.[" : "["}${property.code}]`, MEMBER);
+	}
+
+	/**
+	 * Partially evaluates the body of an arrow function, whose parameters are unknown. Block bodies are left as written,
+	 * with the literals of the known variables they read.
+	 * @param {import('acorn').ArrowFunctionExpression} node
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	visitArrowFunction(node) {
+		if (node.body.type === "BlockStatement") {
+			const code = this.getOpaqueSource(node);
+			return this.frames.length ? this.residual(code, ASSIGNMENT) : this.fold(node, code, ASSIGNMENT);
+		}
+
+		const frame = { names: new Set(), closed: true };
+		for (const param of node.params) {
+			collectNames(param, frame.names);
+
+			// Default values may read the parameters of the enclosing arrow functions
+			if (param.type !== "Identifier" && this.frames.length) {
+				frame.closed = false;
+				for (const outer of this.frames) outer.closed = false;
+			}
+		}
+
+		this.frames.push(frame);
+		let body;
+		try {
+			body = this.visit(node.body);
+		} finally {
+			this.frames.pop();
+		}
+
+		let bodyCode = this.wrap(body, ASSIGNMENT);
+		if (bodyCode.startsWith("{")) bodyCode = `(${bodyCode})`;
+
+		const params = node.params.map((param) => this.getSource(param)).join(", ");
+		const code = `${node.async ? "async " : ""}(${params}) => ${bodyCode}`;
+
+		return frame.closed ? this.fold(node, code, ASSIGNMENT) : this.residual(code, ASSIGNMENT);
+	}
+
+	/**
+	 * Folds a node whose operands are known, the node is otherwise residual.
+	 * @param {import('acorn').Node} node
+	 * @param {PartialResult[]} operands
+	 * @param {string} code - The residual code of the node
+	 * @param {number} precedence
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	foldOperands(node, operands, code, precedence) {
+		return operands.every((operand) => operand.known) ? this.fold(node, code, precedence) : this.residual(code, precedence);
+	}
+
+	/**
+	 * Evaluates a node whose free variables are known, the node is residual when its evaluation throws.
+	 * The evaluator reads the values of the operands folded before, so each node is evaluated once.
+	 * @param {import('acorn').Node} node
+	 * @param {string} code - The residual code of the node, kept when its value has no literal
+	 * @param {number} precedence
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	fold(node, code, precedence) {
+		let value;
+		try {
+			value = this.evaluator.runWithBudget(() => this.evaluator.visit(node));
+		} catch {
+			return this.residual(code, precedence);
+		}
+
+		// The values folded inside arrow functions are read by each of their calls, only primitives can be shared
+		if (this.frames.length === 0 || value === null || (typeof value !== "object" && typeof value !== "function")) {
+			this.evaluator.foldedValues?.set(node, value);
+		}
+
+		const literal = this.writeLiteral(value);
+		return literal ? { known: true, value, ...literal } : { known: true, value, code, precedence };
+	}
+
+	/**
+	 * @param {string} code
+	 * @param {number} precedence
+	 * @returns {PartialResult}
+	 * @private
+	 */
+	residual(code, precedence) {
+		return { known: false, value: undefined, code, precedence };
+	}
+
+	/**
+	 * Writes a known value as a literal: primitives, and the arrays and plain objects of such values.
+	 * Numbers have no literal with decimal arithmetic, where literals are decimals.
+	 * @param {*} value
+	 * @param {Set<object>} [ancestors] - The arrays and objects being written, circular references have no literal
+	 * @returns {{ code: string, precedence: number } | undefined} The literal, `undefined` when the value has none
+	 * @private
+	 */
+	writeLiteral(value, ancestors = new Set()) {
+		switch (typeof value) {
+			case "undefined":
+			case "boolean": {
+				return { code: String(value), precedence: PRIMARY };
+			}
+			case "string": {
+				return { code: JSON.stringify(value), precedence: PRIMARY };
+			}
+			case "number": {
+				if (this.evaluator.decimal) return undefined;
+
+				const code = Object.is(value, -0) ? "-0" : String(value);
+				return { code, precedence: code.startsWith("-") ? UNARY : PRIMARY };
+			}
+			case "bigint": {
+				return { code: `${value}n`, precedence: value < 0n ? UNARY : PRIMARY };
+			}
+			case "object": {
+				if (value === null) return { code: "null", precedence: PRIMARY };
+				if (ancestors.has(value)) return undefined;
+
+				ancestors.add(value);
+				try {
+					const code = Array.isArray(value) ? this.writeArrayLiteral(value, ancestors) : this.writeObjectLiteral(value, ancestors);
+					return code === undefined ? undefined : { code, precedence: PRIMARY };
+				} finally {
+					ancestors.delete(value);
+				}
+			}
+			default: {
+				return undefined;
+			}
+		}
+	}
+
+	/**
+	 * @param {Array} array
+	 * @param {Set<object>} ancestors
+	 * @returns {string | undefined} The literal of a dense array without other own properties
+	 * @private
+	 */
+	writeArrayLiteral(array, ancestors) {
+		if (Object.getPrototypeOf(array) !== Array.prototype || Reflect.ownKeys(array).length !== array.length + 1) {
+			return undefined;
+		}
+
+		const elements = [];
+		for (let i = 0; i < array.length; i++) {
+			const element = this.writeProperty(array, String(i), ancestors);
+			if (element === undefined) return undefined;
+			elements.push(element);
+		}
+
+		return `[${elements.join(", ")}]`;
+	}
+
+	/**
+	 * @param {object} object
+	 * @param {Set<object>} ancestors
+	 * @returns {string | undefined} The literal of an object whose prototype is `Object.prototype` or `null`
+	 * @private
+	 */
+	writeObjectLiteral(object, ancestors) {
+		const prototype = Object.getPrototypeOf(object);
+		if (prototype !== Object.prototype && prototype !== null) {
+			return undefined;
+		}
+
+		const properties = [];
+		for (const key of Reflect.ownKeys(object)) {
+			// Denied members such as `__proto__` cannot be written back
+			if (typeof key !== "string" || this.evaluator.deniedMembers.has(key)) return undefined;
+
+			const value = this.writeProperty(object, key, ancestors);
+			if (value === undefined) return undefined;
+			properties.push(`${IDENTIFIER_PATTERN.test(key) ? key : JSON.stringify(key)}: ${value}`);
+		}
+
+		return properties.length ? `{ ${properties.join(", ")} }` : "{}";
+	}
+
+	/**
+	 * @param {object} object
+	 * @param {string} key
+	 * @param {Set<object>} ancestors
+	 * @returns {string | undefined} The literal of an enumerable data property
+	 * @private
+	 */
+	writeProperty(object, key, ancestors) {
+		const descriptor = Reflect.getOwnPropertyDescriptor(object, key);
+		if (!descriptor?.enumerable || !("value" in descriptor)) return undefined;
+
+		return this.writeLiteral(descriptor.value, ancestors)?.code;
+	}
+
+	/**
+	 * Writes a list of arguments or expressions.
+	 * @param {PartialResult[]} results
+	 * @returns {string}
+	 * @private
+	 */
+	writeList(results) {
+		return results.map((result) => this.wrap(result, ASSIGNMENT)).join(", ");
+	}
+
+	/**
+	 * Parenthesizes the residual code of an operand whose precedence is lower than the required one.
+	 * @param {PartialResult} result
+	 * @param {number} precedence - The precedence required by the operator
+	 * @returns {string}
+	 * @private
+	 */
+	wrap(result, precedence) {
+		return result.precedence < precedence ? `(${result.code})` : result.code;
+	}
+
+	/**
+	 * Returns the source of a node that is left as written, where the known variables it reads are replaced by
+	 * their literal. The enclosing arrow functions may read their outer parameters through it and are not closed.
+	 * @param {import('acorn').Node} node
+	 * @returns {string}
+	 * @private
+	 */
+	getOpaqueSource(node) {
+		for (const frame of this.frames) frame.closed = false;
+
+		/** @type {{ identifier: import('acorn').Identifier, shorthand: boolean }[]} */
+		const reads = [];
+		collectReads(node, [], reads);
+
+		let code = "";
+		let position = node.start;
+		for (const { identifier, shorthand } of reads.sort((a, b) => a.identifier.start - b.identifier.start)) {
+			const result = this.visitIdentifier(identifier);
+			if (!result.known || result.code === identifier.name) continue;
+
+			// The literal must not be read as a block or be bound to a neighbouring operator
+			const literal = result.precedence < PRIMARY || result.code.startsWith("{") ? `(${result.code})` : result.code;
+			code += this.evaluator.source.slice(position, identifier.start) + (shorthand ? `${identifier.name}: ${literal}` : literal);
+			position = identifier.end;
+		}
+
+		return code + this.evaluator.source.slice(position, node.end);
+	}
+
+	/**
+	 * @param {import('acorn').Node} node
+	 * @returns {string}
+	 * @private
+	 */
+	getSource(node) {
+		return this.evaluator.source.slice(node.start, node.end);
+	}
+}
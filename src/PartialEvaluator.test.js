@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+import { PURITY } from "./purity.js";
+
+/**
+ * Checks that the residual expression evaluates to the value of the expression.
+ * @param {string} expression
+ * @param {object} known
+ * @param {object} rest
+ */
+const assertResidual = (expression, known, rest) => {
+	const residual = Evaluator.partialEvaluate(expression, known);
+	assert.deepEqual(Evaluator.evaluate(residual, rest), Evaluator.evaluate(expression, { ...known, ...rest }));
+	return residual;
+};
+
+describe("Evaluator.partialEvaluate", () => {
+	test("should fold the known variables and prune the decided branches", () => {
+		const rule = 'tier === "gold" ? price * discount : price > minimum && country !== "US"';
+
+		assert.equal(assertResidual(rule, { tier: "gold", discount: 0.8 }, { price: 50 }), "price * 0.8");
+		assert.equal(assertResidual(rule, { tier: "basic", minimum: 10 }, { price: 50, country: "FR" }), 'price > 10 && country !== "US"');
+		assert.equal(Evaluator.partialEvaluate("enabled && seats > limit || admin", { enabled: false }), "admin");
+		assert.equal(Evaluator.partialEvaluate("override ?? plan.limit", { plan: { limit: 5 } }), "override ?? 5");
+		assert.equal(Evaluator.partialEvaluate("1 + 2 * 3", {}), "7");
+	});
+
+	test("should write the known arrays and plain objects as literals", () => {
+		const known = { features: ["sso", "audit"], rates: { USD: 1, "EUR-2024": 0.9 } };
+
+		assert.equal(assertResidual("features.includes(feature)", known, { feature: "sso" }), '["sso", "audit"].includes(feature)');
+		assert.equal(
+			assertResidual("rates[currency] * amount", known, { currency: "USD", amount: 2 }),
+			'({ USD: 1, "EUR-2024": 0.9 }[currency] * amount)',
+		);
+		assert.equal(assertResidual("`${greeting}, ${name}`", { greeting: "Hi `${x}`" }, { name: "Ann" }), "`Hi \\`\\${x}\\`, ${name}`");
+	});
+
+	test("should keep the parentheses required by the residual operands", () => {
+		assert.equal(assertResidual("a - (b - c)", { b: 5 }, { a: 1, c: 2 }), "a - (5 - c)");
+		assert.equal(assertResidual("(a + b) * c", { b: 1 }, { a: 1, c: 2 }), "(a + 1) * c");
+		assert.equal(assertResidual("base ** n", { base: -2 }, { n: 3 }), "(-2) ** n");
+		assert.equal(assertResidual("(a ?? b) || c", {}, { a: 0, b: 1, c: 2 }), "(a ?? b) || c");
+		assert.equal(assertResidual("x - y", { y: -1 }, { x: 1 }), "x - -1");
+		assert.equal(assertResidual("-y", { y: -1 }, {}), "1");
+		assert.equal(assertResidual("n.toFixed(1) + m.toFixed(1)", { n: 1 }, { m: 2 }), '"1.0" + m.toFixed(1)');
+	});
+
+	test("should fold inside arrow functions, whose parameters are unknown", () => {
+		assert.equal(
+			assertResidual("items.filter(item => item.price > limit * 2).length", { limit: 10 }, { items: [{ price: 30 }] }),
+			"items.filter((item) => item.price > 20).length",
+		);
+		assert.equal(Evaluator.partialEvaluate("[1, 2].map(x => x * k)", { k: 3 }), "[3, 6]");
+		// The inner callback reads the parameter of the outer one, not the known `x`
+		assert.equal(
+			assertResidual("list.map(x => [1, 2].map(y => x + y))", { x: 100 }, { list: [1] }),
+			"list.map((x) => [1, 2].map((y) => x + y))",
+		);
+		assert.equal(assertResidual("items.map(i => ({ id: i, tag }))", { tag: "a" }, { items: [1] }), 'items.map((i) => ({ id: i, tag: "a" }))');
+	});
+
+	test("should write the known variables read by block bodies and methods", () => {
+		assert.equal(assertResidual("items.map(i => { return i * rate })", { rate: 2 }, { items: [1] }), "items.map(i => { return i * 2 })");
+		assert.equal(
+			assertResidual("items.map(i => { const rate = 3; return { i, rate, offset } })", { rate: 2, offset: -1 }, { items: [1] }),
+			"items.map(i => { const rate = 3; return { i, rate, offset: (-1) } })",
+		);
+		assert.equal(
+			assertResidual("({ total(n) { return n * rate }, get tax() { return n * rate } }).tax", { rate: 2 }, { n: 3 }),
+			"({ total(n) { return n * 2 }, get tax() { return n * 2 } }.tax)",
+		);
+	});
+
+	test("should only fold the calls to pure functions", () => {
+		const format = (value) => `$${value}`;
+		format[PURITY] = "pure";
+		const log = () => true;
+
+		assert.equal(Evaluator.partialEvaluate("format(10) + format(total)", { format }), '"$10" + format(total)');
+		assert.equal(Evaluator.partialEvaluate("log(1) && ok", { log }), "log(1) && ok");
+		assert.equal(Evaluator.partialEvaluate("Math.max(1, 2) + Math.random()", {}), "2 + Math.random()");
+		assert.equal(Evaluator.partialEvaluate("new Date(0).getTime() < new Date().getTime()", {}), "0 < new Date().getTime()");
+		assert.equal(Evaluator.partialEvaluate("[1, 2].map(Math.random).length", {}), "[1, 2].map(Math.random).length");
+		const host = { uuid: crypto.randomUUID.bind(crypto), now: Date.now.bind(Date), clock: new Proxy(Date.now, {}) };
+		assert.equal(Evaluator.partialEvaluate("uuid() + now() + clock()", host), "uuid() + now() + clock()");
+		assert.equal(Evaluator.partialEvaluate("crypto.randomUUID()", { crypto }), "crypto.randomUUID()");
+		assert.equal(Evaluator.partialEvaluate("Math.max.bind(null, 1)(2)", {}), "2");
+		const double = (value) => value * 2;
+		assert.equal(Evaluator.partialEvaluate("double(2) + double(x)", { double }, { purity: new Map([[double, "pure"]]) }), "4 + double(x)");
+	});
+
+	test("should leave the nodes whose evaluation throws in the residual expression", () => {
+		assert.equal(Evaluator.partialEvaluate("items.push(x)", { items: [] }), "[].push(x)");
+		assert.throws(() => Evaluator.evaluate(Evaluator.partialEvaluate("items.push(x)", { items: [] }), { x: 1 }), { code: "E_MUTABLE_METHOD" });
+		assert.equal(Evaluator.partialEvaluate("user.name.length", { user: {} }), "undefined.length");
+	});
+
+	test("should evaluate each folded node once", () => {
+		const sum = Array.from({ length: 200 }, () => "a").join(" + ");
+		assert.equal(Evaluator.partialEvaluate(sum, { a: 1 }, { maxSteps: 5 }), "200");
+		assert.equal(Evaluator.partialEvaluate("items.map(x => [k]).map(([a]) => a)", { items: [1, 2], k: 3 }), "[3, 3]");
+	});
+
+	test("should drop the leading statements whose value is known", () => {
+		assert.equal(Evaluator.partialEvaluate("a; b; c", { a: 1, c: 2 }), "b; 2");
+		assert.equal(Evaluator.partialEvaluate("await load(id) > min", { min: 3 }, { async: true }), "await load(id) > 3");
+	});
+
+	test("should throw the syntax errors", () => {
+		assert.throws(() => Evaluator.partialEvaluate("a +", {}), { code: "E_SYNTAX" });
+		assert.throws(() => Evaluator.partialEvaluate("let a = 1", {}), { code: "E_UNSUPPORTED_SYNTAX" });
+	});
+});
@@ -12,6 +12,14 @@ export interface TemplateParserOptions {
 	preserveWhitespace?: boolean;
 	expressionStart?: string;
 	expressionEnd?: string;
+	/**
+	 * 错误和警告信息的语言，内置 `en`（默认）和 `zh-CN`
+	 */
+	locale?: string;
+	/**
+	 * 自定义的信息，以错误码为键，优先于语言的内置信息
+	 */
+	messages?: Record<string, string>;
 }
 
 export class TemplateParser {
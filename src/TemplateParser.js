@@ -1,3 +1,6 @@
+import { ERROR_CODES, EvaluatorTypeError } from "./errors.js";
+import { createMessageFormatter } from "./messages.js";
+
 /**
  * 简单状态机模板解析器
  * 能够正确处理表达式中包含字符串、转义字符和结束标记的情况
@@ -10,6 +13,8 @@ class TemplateParser {
 	 * @param {string} [options.expressionStart='{{'] - 表达式开始标记
 	 * @param {string} [options.expressionEnd='}}'] - 表达式结束标记
 	 * @param {boolean} [options.preserveWhitespace=true] - 是否保留表达式周围的空白字符
+	 * @param {string} [options.locale='en'] - 错误和警告信息的语言，`en` 或 `zh-CN`
+	 * @param {import('./messages.js').MessageCatalog} [options.messages] - 自定义的信息，优先于语言的内置信息
 	 */
 	constructor(options = {}) {
 		// 表达式标记配置
@@ -22,6 +27,9 @@ class TemplateParser {
 
 		// 其他配置
 		this.preserveWhitespace = options.preserveWhitespace === true;
+
+		// 错误和警告信息的格式化函数
+		this.formatMessage = createMessageFormatter(options.locale, options.messages);
 	}
 
 	/**
@@ -32,7 +40,7 @@ class TemplateParser {
 	parse(template) {
 		// 输入验证
 		if (typeof template !== "string") {
-			throw new TypeError("模板必须是字符串");
+			throw new EvaluatorTypeError(this.formatMessage("E_INVALID_TEMPLATE"), ERROR_CODES.INVALID_TEMPLATE);
 		}
 
 		const tokens = []; // 存储解析结果的 token 数组
@@ -182,7 +190,7 @@ class TemplateParser {
 				tokens.push({ type: "text", value: incompleteExpr, start: exprStartPos, end: pos });
 
 				// 可选：输出警告
-				console.warn(`警告：在位置 ${exprStartPos} 开始的表达式未正确结束`);
+				console.warn(this.formatMessage("W_UNCLOSED_EXPRESSION", { position: exprStartPos }));
 			}
 		}
 
@@ -0,0 +1,624 @@
+import { getMemberKey } from "./dependencies.js";
+import { ERROR_CODES, EvaluatorError } from "./errors.js";
+
+/**
+ * @typedef {import('./Evaluator.js').Evaluator} Evaluator
+ *
+ * @typedef {Object} Diagnostic
+ * @property {string} message - The message of the error the evaluation would throw
+ * @property {string} code - The code of this error, one of `ERROR_CODES`
+ * @property {number} start - Offset of the first character of the faulty node in the expression
+ * @property {number} end - Offset following the last character of the faulty node
+ * @property {"error" | "warning"} severity - Warnings depend on the context, e.g. a hidden built-in the context may define
+ */
+
+/** The value of a node that is only known when the expression is evaluated */
+const UNKNOWN = Symbol("unknown");
+
+const { call, apply, bind } = Function.prototype;
+
+/** A value built by the expression, only its prototype is known, e.g. an array literal */
+class Instance {
+	/**
+	 * @param {object | null} prototype
+	 */
+	constructor(prototype) {
+		this.prototype = prototype;
+	}
+}
+
+/**
+ * Converts a static value to the value the evaluator checks, `undefined` when it is not known.
+ * @param {*} value
+ */
+function toKnown(value) {
+	return value === UNKNOWN || value instanceof Instance ? undefined : value;
+}
+
+/**
+ * Checks an acorn AST against the rules of the evaluator, without evaluating it.
+ *
+ * Every node is visited, including the branches and function bodies an evaluation may never reach.
+ * Identifiers are resolved against the sandbox scope, and the values known before the evaluation
+ * (built-ins, custom globals, plugin functions and the prototypes of literals) go through the same
+ * checks as at runtime, so the diagnostics carry the messages the evaluation would throw.
+ *
+ * @example
+ * const evaluator = new Evaluator({}, options);
+ * new Validator(evaluator, ['user']).validateProgram(ast.body) // returns the diagnostics
+ */
+export class Validator {
+	/**
+	 * @param {Evaluator} evaluator - An evaluator configured with the options to check, and the source of the expression
+	 * @param {string[]} [variables] - The names of the context variables, other identifiers are reported as not defined
+	 */
+	constructor(evaluator, variables) {
+		this.evaluator = evaluator;
+		this.variables = variables;
+		/** @type {Diagnostic[]} */
+		this.diagnostics = [];
+		/**
+		 * The scopes of the visited functions and blocks, innermost first
+		 * @type {{ names: Map<string, string>, block: boolean }[]}
+		 */
+		this.frames = [];
+	}
+
+	/**
+	 * Validates the body of a program.
+	 * @param {Array} body - Array of AST nodes to validate
+	 * @returns {Diagnostic[]} The diagnostics, ordered by position
+	 */
+	validateProgram(body) {
+		for (const node of body) {
+			if (node.type === "ExpressionStatement") {
+				this.visit(node.expression);
+			} else {
+				this.reportError(node, this.evaluator.invalidSyntax(node));
+			}
+		}
+
+		return this.diagnostics.sort((a, b) => a.start - b.start);
+	}
+
+	/**
+	 * Reports a message of the catalog, in the locale of the evaluator.
+	 * @param {import('acorn').Node} node
+	 * @param {string} key - The error code, possibly followed by a variant
+	 * @param {Record<string, unknown>} [params] - The values of the placeholders of the message
+	 * @private
+	 */
+	report(node, key, params) {
+		this.reportError(node, this.evaluator.createError(EvaluatorError, key, params));
+	}
+
+	/**
+	 * Reports an error of the evaluator.
+	 * @param {import('acorn').Node} node
+	 * @param {Error & { code?: string }} error
+	 * @param {"error" | "warning"} [severity="error"]
+	 * @private
+	 */
+	reportError(node, error, severity = "error") {
+		this.diagnostics.push({ message: error.message, code: error.code, start: node.start, end: node.end, severity });
+	}
+
+	/**
+	 * Runs a check of the evaluator and reports the error it throws.
+	 * @param {import('acorn').Node} node
+	 * @param {() => void} callback
+	 * @private
+	 */
+	check(node, callback) {
+		try {
+			callback();
+		} catch (error) {
+			this.reportError(node, error);
+		}
+	}
+
+	/**
+	 * Visits a node and returns its value when it is known before the evaluation.
+	 * @param {import('acorn').Node} node
+	 * @returns {*} The value, an `Instance` or `UNKNOWN`
+	 * @private
+	 */
+	visit(node) {
+		switch (node.type) {
+			case "Identifier": {
+				return this.visitIdentifier(node);
+			}
+			case "Literal": {
+				return node.value;
+			}
+			case "TemplateLiteral": {
+				for (const expression of node.expressions) this.visit(expression);
+				return new Instance(String.prototype);
+			}
+			case "ArrayExpression": {
+				for (const element of node.elements) {
+					if (element) this.visit(element);
+				}
+				return new Instance(Array.prototype);
+			}
+			case "ObjectExpression": {
+				this.visitObjectExpression(node);
+				return new Instance(this.evaluator.options.nullPrototype ? null : Object.prototype);
+			}
+			case "MemberExpression": {
+				return this.visitMemberExpression(node);
+			}
+			case "ChainExpression": {
+				return this.visit(node.expression);
+			}
+			case "CallExpression": {
+				const [func, target] = this.visitCallee(node.callee);
+				const args = node.arguments.map((arg) => this.visit(arg));
+				this.checkCall(node, func, target, args);
+				return UNKNOWN;
+			}
+			case "TaggedTemplateExpression": {
+				const [func, target] = this.visitCallee(node.tag);
+				const args = [UNKNOWN, ...node.quasi.expressions.map((expression) => this.visit(expression))];
+				this.checkCall(node, func, target, args);
+				return UNKNOWN;
+			}
+			case "NewExpression": {
+				return this.visitNewExpression(node);
+			}
+			case "ArrowFunctionExpression": {
+				this.visitFunction(node);
+				return UNKNOWN;
+			}
+			case "UnaryExpression": {
+				if (node.operator === "delete") {
+					this.report(node, "E_UNSUPPORTED_SYNTAX.delete");
+				}
+				this.visit(node.argument);
+				return UNKNOWN;
+			}
+			case "AssignmentExpression": {
+				this.checkAssignment(node.left);
+				this.visit(node.right);
+				return UNKNOWN;
+			}
+			case "ThisExpression": {
+				this.report(node, "E_UNSUPPORTED_SYNTAX.this");
+				return UNKNOWN;
+			}
+			case "BinaryExpression":
+			case "LogicalExpression": {
+				this.visit(node.left);
+				this.visit(node.right);
+				return UNKNOWN;
+			}
+			case "ConditionalExpression": {
+				this.visit(node.test);
+				this.visit(node.consequent);
+				this.visit(node.alternate);
+				return UNKNOWN;
+			}
+			case "SequenceExpression": {
+				for (const expression of node.expressions) this.visit(expression);
+				return UNKNOWN;
+			}
+			case "SpreadElement":
+			case "AwaitExpression": {
+				this.visit(node.argument);
+				return UNKNOWN;
+			}
+			default: {
+				this.reportError(node, this.evaluator.invalidSyntax(node));
+				return UNKNOWN;
+			}
+		}
+	}
+
+	/**
+	 * Resolves an identifier like the evaluator, context variables are only known by name.
+	 * @param {import('acorn').Identifier} node
+	 * @private
+	 */
+	visitIdentifier(node) {
+		const name = node.name;
+
+		if (this.frames.some((frame) => frame.names.has(name))) {
+			return UNKNOWN;
+		}
+
+		// Custom globals take precedence over the context variables
+		const { globals } = this.evaluator.options;
+		if (this.variables?.includes(name) && !(globals && Object.hasOwn(globals, name))) {
+			return UNKNOWN;
+		}
+
+		try {
+			return this.evaluator.handleIdentifier(node);
+		} catch (error) {
+			if (error.code !== ERROR_CODES.UNDEFINED_VARIABLE || this.variables) {
+				this.reportError(node, error);
+			} else if (name in globalThis) {
+				// A built-in hidden by the options, unless the context defines it
+				this.reportError(node, error, "warning");
+			}
+			return UNKNOWN;
+		}
+	}
+
+	/**
+	 * @param {import('acorn').MemberExpression} node
+	 * @private
+	 */
+	visitMemberExpression(node) {
+		const object = this.visit(node.object);
+		if (node.computed) this.visit(node.property);
+
+		const key = getMemberKey(node);
+		if (key === undefined) {
+			return UNKNOWN;
+		}
+
+		this.check(node.property, () => this.evaluator.toMemberKey(key));
+		return this.lookup(object, key);
+	}
+
+	/**
+	 * Reads a member of a known value from its own data properties or its prototypes, without invoking getters.
+	 * @param {*} object
+	 * @param {string} key
+	 * @private
+	 */
+	lookup(object, key) {
+		if (object === UNKNOWN || object === null || object === undefined) {
+			return UNKNOWN;
+		}
+
+		for (let holder = object instanceof Instance ? object.prototype : Object(object); holder !== null; holder = Object.getPrototypeOf(holder)) {
+			const descriptor = Object.getOwnPropertyDescriptor(holder, key);
+			if (descriptor) {
+				return "value" in descriptor ? descriptor.value : UNKNOWN;
+			}
+		}
+
+		// The own properties of instances are not known
+		return object instanceof Instance ? UNKNOWN : undefined;
+	}
+
+	/**
+	 * @param {import('acorn').ObjectExpression} node
+	 * @private
+	 */
+	visitObjectExpression(node) {
+		for (const prop of node.properties) {
+			if (prop.type === "SpreadElement") {
+				this.visit(prop.argument);
+				continue;
+			}
+
+			if (prop.computed) {
+				this.visit(prop.key);
+			} else if (prop.kind === "init" && !prop.shorthand && !prop.method && getMemberKey({ property: prop.key }) === "__proto__") {
+				// `__proto__: value` sets the prototype
+				this.check(prop.key, () => this.evaluator.toMemberKey("__proto__"));
+			}
+
+			if (prop.method || prop.kind !== "init") {
+				if (prop.value.generator) {
+					this.report(prop, "E_UNSUPPORTED_SYNTAX.generator");
+				}
+				this.visitFunction(prop.value);
+			} else {
+				this.visit(prop.value);
+			}
+		}
+	}
+
+	/**
+	 * Visits the callee of a call, a method is read from its holder.
+	 * @param {import('acorn').Expression} callee
+	 * @returns {[*, *]} The function and the `this` value of the call
+	 * @private
+	 */
+	visitCallee(callee) {
+		if (callee.type !== "MemberExpression") {
+			return [this.visit(callee), UNKNOWN];
+		}
+
+		const target = this.visit(callee.object);
+		if (callee.computed) this.visit(callee.property);
+
+		// Calls through mutable methods such as `Array.prototype.splice.call(...)` are rejected by their holder
+		if (typeof target === "function" && this.evaluator.isMutating(target)) {
+			this.report(callee, "E_MUTABLE_METHOD");
+			return [UNKNOWN, UNKNOWN];
+		}
+
+		const key = getMemberKey(callee);
+		if (key === undefined) {
+			return [UNKNOWN, target];
+		}
+
+		this.check(callee.property, () => this.evaluator.toMemberKey(key));
+		return [this.lookup(target, key), target];
+	}
+
+	/**
+	 * Applies the checks of `Evaluator.callFunction` to the known values of a call.
+	 * @param {import('acorn').CallExpression | import('acorn').TaggedTemplateExpression} node
+	 * @param {*} func
+	 * @param {*} target
+	 * @param {Array} args
+	 * @private
+	 */
+	checkCall(node, func, target, args) {
+		this.checkArguments(node, args);
+
+		// Indirect invocations are checked as direct calls of the invoked function
+		while (func === call || func === apply || func === Reflect.apply) {
+			if (func === call) {
+				[func, target, args] = [target, args[0] ?? UNKNOWN, args.slice(1)];
+			} else if (func === apply) {
+				[func, target, args] = [target, args[0] ?? UNKNOWN, []];
+			} else {
+				[func, target, args] = [args[0] ?? UNKNOWN, args[1] ?? UNKNOWN, []];
+			}
+		}
+
+		if (typeof func !== "function") {
+			return;
+		}
+
+		if (func === Reflect.construct) {
+			const [Constructor, , newTarget = Constructor] = args;
+			if (typeof Constructor === "function") {
+				this.check(node, () => this.evaluator.checkConstructor(Constructor, toKnown(newTarget)));
+			}
+			return;
+		}
+
+		// Located like the evaluation errors, at the name of a method
+		const location = node.type === "CallExpression" && node.callee.type === "MemberExpression" ? node.callee.property : node;
+		this.check(location, () => this.evaluator.checkCallable(func, toKnown(target)));
+
+		if (func === bind && typeof target === "function") {
+			this.check(node, () => this.evaluator.checkArguments([target]));
+		}
+	}
+
+	/**
+	 * Applies the checks of `Evaluator.checkArguments` to the known functions passed as arguments.
+	 * @param {import('acorn').CallExpression | import('acorn').NewExpression | import('acorn').TaggedTemplateExpression} node
+	 * @param {Array} args
+	 * @private
+	 */
+	checkArguments(node, args) {
+		const nodes = node.type === "TaggedTemplateExpression" ? [node.quasi, ...node.quasi.expressions] : node.arguments;
+
+		args.forEach((arg, i) => {
+			if (typeof arg === "function") {
+				this.check(nodes[i], () => this.evaluator.checkArguments([arg]));
+			}
+		});
+	}
+
+	/**
+	 * @param {import('acorn').NewExpression} node
+	 * @private
+	 */
+	visitNewExpression(node) {
+		// Rejected before the callee and the arguments are evaluated
+		if (node.callee.type === "Identifier" && node.callee.name === "Function") {
+			this.report(node, "E_FUNCTION_CONSTRUCTOR.new");
+			return UNKNOWN;
+		}
+
+		const Constructor = this.visit(node.callee);
+		const args = node.arguments.map((arg) => this.visit(arg));
+
+		if (typeof Constructor !== "function") {
+			return UNKNOWN;
+		}
+
+		this.check(node, () => this.evaluator.checkConstructor(Constructor));
+		this.checkArguments(node, args);
+
+		const prototype = this.lookup(Constructor, "prototype");
+		return prototype !== null && typeof prototype === "object" ? new Instance(prototype) : UNKNOWN;
+	}
+
+	/**
+	 * Visits an arrow function or a method, its parameters are local to its body.
+	 * @param {import('acorn').ArrowFunctionExpression | import('acorn').FunctionExpression} node
+	 * @private
+	 */
+	visitFunction(node) {
+		const previous = this.frames;
+		this.frames = [{ names: new Map(), block: false }, ...previous];
+		try {
+			for (const param of node.params) this.declare(param, "param");
+			for (const param of node.params) this.visitPattern(param);
+
+			if (node.body.type === "BlockStatement") {
+				this.visitBlock(node.body.body);
+			} else {
+				this.visit(node.body);
+			}
+		} finally {
+			this.frames = previous;
+		}
+	}
+
+	/**
+	 * Visits the statements of a block, its declarations are local to the whole block.
+	 * @param {import('acorn').Statement[]} statements
+	 * @private
+	 */
+	visitBlock(statements) {
+		const previous = this.frames;
+		this.frames = [{ names: new Map(), block: true }, ...previous];
+		try {
+			for (const statement of statements) {
+				if (statement.type === "VariableDeclaration") {
+					for (const declarator of statement.declarations) this.declare(declarator.id, statement.kind);
+				}
+			}
+
+			for (const statement of statements) this.visitStatement(statement);
+		} finally {
+			this.frames = previous;
+		}
+	}
+
+	/**
+	 * Visits a statement of an arrow function body, see `Evaluator.executeStatement`.
+	 * @param {import('acorn').Statement} node
+	 * @private
+	 */
+	visitStatement(node) {
+		switch (node.type) {
+			case "BlockStatement": {
+				this.visitBlock(node.body);
+				break;
+			}
+			case "VariableDeclaration": {
+				if (node.kind !== "const" && node.kind !== "let") {
+					this.report(node, "E_UNSUPPORTED_SYNTAX.declaration", { kind: node.kind });
+				}
+				for (const declarator of node.declarations) {
+					this.visitPattern(declarator.id);
+					if (declarator.init) this.visit(declarator.init);
+				}
+				break;
+			}
+			case "IfStatement": {
+				this.visit(node.test);
+				this.visitStatement(node.consequent);
+				if (node.alternate) this.visitStatement(node.alternate);
+				break;
+			}
+			case "ReturnStatement": {
+				if (node.argument) this.visit(node.argument);
+				break;
+			}
+			case "ExpressionStatement": {
+				this.visit(node.expression);
+				break;
+			}
+			case "EmptyStatement": {
+				break;
+			}
+			default: {
+				this.reportError(node, this.evaluator.invalidSyntax(node));
+			}
+		}
+	}
+
+	/**
+	 * Declares the names bound by a pattern in the innermost scope.
+	 * @param {import('acorn').Pattern} pattern
+	 * @param {string} kind - `param`, `const`, `let` or `var`
+	 * @private
+	 */
+	declare(pattern, kind) {
+		switch (pattern.type) {
+			case "Identifier": {
+				this.frames[0].names.set(pattern.name, kind);
+				break;
+			}
+			case "AssignmentPattern": {
+				this.declare(pattern.left, kind);
+				break;
+			}
+			case "RestElement": {
+				this.declare(pattern.argument, kind);
+				break;
+			}
+			case "ArrayPattern": {
+				for (const element of pattern.elements) {
+					if (element) this.declare(element, kind);
+				}
+				break;
+			}
+			case "ObjectPattern": {
+				for (const prop of pattern.properties) {
+					this.declare(prop.type === "RestElement" ? prop : prop.value, kind);
+				}
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Visits the default values and keys of a pattern, destructured members follow the member access policy.
+	 * @param {import('acorn').Pattern} pattern
+	 * @private
+	 */
+	visitPattern(pattern) {
+		switch (pattern.type) {
+			case "AssignmentPattern": {
+				this.visitPattern(pattern.left);
+				this.visit(pattern.right);
+				break;
+			}
+			case "RestElement": {
+				this.visitPattern(pattern.argument);
+				break;
+			}
+			case "ArrayPattern": {
+				for (const element of pattern.elements) {
+					if (element) this.visitPattern(element);
+				}
+				break;
+			}
+			case "ObjectPattern": {
+				for (const prop of pattern.properties) {
+					if (prop.type === "RestElement") {
+						this.visitPattern(prop.argument);
+						continue;
+					}
+
+					if (prop.computed) {
+						this.visit(prop.key);
+					} else {
+						const key = getMemberKey({ property: prop.key });
+						this.check(prop.key, () => this.evaluator.toMemberKey(key));
+					}
+					this.visitPattern(prop.value);
+				}
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Checks an assignment target like `Evaluator.getAssignableScope`, only the `let` variables
+	 * declared in the blocks of the current function can be assigned.
+	 * @param {import('acorn').Pattern} target
+	 * @private
+	 */
+	checkAssignment(target) {
+		if (target.type !== "Identifier") {
+			const content = this.evaluator.source.slice(target.start, target.end);
+			this.report(target, "E_ASSIGNMENT_NOT_ALLOWED", { target: content });
+			return;
+		}
+
+		for (const frame of this.frames) {
+			const kind = frame.names.get(target.name);
+
+			if (kind !== undefined) {
+				if (!frame.block) break;
+
+				if (kind === "const") {
+					this.report(target, "E_CONSTANT_ASSIGNMENT");
+				}
+				return;
+			}
+
+			// Reached the parameters of the current function, the remaining scopes are outer scopes
+			if (!frame.block) break;
+		}
+
+		this.report(target, "E_ASSIGNMENT_NOT_ALLOWED", { target: target.name });
+	}
+}
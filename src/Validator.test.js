@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+
+/**
+ * @param {string} expression
+ * @param {Object} [options]
+ */
+const messages = (expression, options) => Evaluator.validate(expression, options).map((diagnostic) => diagnostic.message);
+
+describe("Evaluator.validate", () => {
+	test("should return no diagnostics for a valid expression", () => {
+		const expression = "items.filter(item => item.price > min).map(({ name }) => `${name}`.trim()).join(', ')";
+		assert.deepEqual(Evaluator.validate(expression, { variables: ["items", "min"] }), []);
+		assert.deepEqual(Evaluator.validate("Math.max(...[1, 2]) + new Date(0).getTime()"), []);
+	});
+
+	test("should report the offsets of the faulty nodes", () => {
+		assert.deepEqual(Evaluator.validate("a + this.b", { variables: ["a"] }), [
+			{ message: "'this' keyword is not allowed", code: "E_UNSUPPORTED_SYNTAX", start: 4, end: 8, severity: "error" },
+		]);
+		assert.deepEqual(Evaluator.validate("1 + (2"), [{ message: "Unexpected token (1:6)", code: "E_SYNTAX", start: 6, end: 6, severity: "error" }]);
+	});
+
+	test("should report unsupported syntax in every branch", () => {
+		assert.deepEqual(messages("ok ? delete a.b : (() => { var x; while (x) {} })()"), [
+			"Delete operator is not allowed",
+			"'var' declarations are not supported, use const or let",
+			"'while (x) {}' is not a valid syntax",
+		]);
+		assert.deepEqual(messages("({ *items() {} }); function f() {}"), [
+			"Generator methods are not supported",
+			"'function f() {}' is not a valid syntax",
+		]);
+		assert.deepEqual(messages("await x"), ["Unexpected token (1:6)"]);
+		assert.deepEqual(messages("await x", { async: true }), []);
+	});
+
+	test("should report assignments to non-local variables and constants", () => {
+		assert.deepEqual(messages("total = 1"), ["Assignment to 'total' is not allowed, only local let variables can be assigned"]);
+		assert.deepEqual(messages("user.name = 'Bob'"), ["Assignment to 'user.name' is not allowed, only local let variables can be assigned"]);
+		assert.deepEqual(messages("(() => { let sum = 0; const max = 1; sum += 1; max = 2; })()"), ["Assignment to constant variable."]);
+		assert.deepEqual(messages("(x => (() => { x = 1; })())(0)"), ["Assignment to 'x' is not allowed, only local let variables can be assigned"]);
+	});
+
+	test("should report unknown identifiers against the declared variables", () => {
+		assert.deepEqual(Evaluator.validate("user.name + count", { variables: ["user"] }), [
+			{ message: "count is not defined", code: "E_UNDEFINED_VARIABLE", start: 12, end: 17, severity: "error" },
+		]);
+		assert.deepEqual(messages("items.map(item => item.id)", { variables: ["items"] }), []);
+		// Without a declared list, any identifier may be a context variable
+		assert.deepEqual(messages("user.name + count"), []);
+	});
+
+	test("should warn about hidden built-ins", () => {
+		assert.deepEqual(Evaluator.validate("process.exit()"), [
+			{ message: "process is not defined", code: "E_UNDEFINED_VARIABLE", start: 0, end: 7, severity: "warning" },
+		]);
+		assert.deepEqual(messages("JSON.stringify(x)", { denyGlobals: ["JSON"] }), ["JSON is not defined"]);
+		assert.deepEqual(messages("Function('return 1')"), ["Function constructor is not allowed"]);
+	});
+
+	test("should report mutable methods of known values", () => {
+		assert.deepEqual(messages("[3, 1].sort()"), ["Mutable method is not allowed"]);
+		assert.deepEqual(messages("Object.assign({}, a)"), ["Mutable method is not allowed"]);
+		assert.deepEqual(messages("Array.prototype.splice.call(a, 0)", { allowMembers: ["prototype"] }), ["Mutable method is not allowed"]);
+		assert.deepEqual(messages("new Map().set('a', 1)"), ["Mutable method is not allowed"]);
+		// The methods of context values are only known at runtime
+		assert.deepEqual(messages("items.sort()"), []);
+	});
+
+	test("should report denied members, constructors and indirect invocations", () => {
+		assert.deepEqual(messages("a.constructor + ({ __proto__: null })"), [
+			"Access to 'constructor' is not allowed",
+			"Access to '__proto__' is not allowed",
+		]);
+		assert.deepEqual(messages("(({ constructor }) => constructor)(a)"), ["Access to 'constructor' is not allowed"]);
+		assert.deepEqual(messages("new Function('x') + new Proxy({}, {})"), [
+			"Cannot use new with Function constructor",
+			"Constructor 'Proxy' is not allowed",
+		]);
+		assert.deepEqual(messages("[1].map(Reflect.apply)"), ["Indirect invocation functions cannot be passed as arguments or bound"]);
+	});
+
+	test("should apply the options of the evaluator", () => {
+		const log = () => undefined;
+		assert.deepEqual(messages("[1].forEach(log)", { globals: { log }, strictPurity: true }), ["Function 'log' has no purity annotation"]);
+		assert.deepEqual(messages("a.secret", { denyMembers: ["secret"] }), ["Access to 'secret' is not allowed"]);
+		assert.deepEqual(messages("new Proxy({}, {})", { allowConstructors: [Proxy] }), []);
+	});
+});
@@ -0,0 +1,52 @@
+export const allowedConstructors = [
+	"Object",
+	"Array",
+	"Boolean",
+	"Number",
+	"String",
+	"Date",
+	"RegExp",
+	"Map",
+	"Set",
+	"WeakMap",
+	"WeakSet",
+	"Promise",
+
+	"Error",
+	"AggregateError",
+	"EvalError",
+	"RangeError",
+	"ReferenceError",
+	"SyntaxError",
+	"TypeError",
+	"URIError",
+
+	"ArrayBuffer",
+	"DataView",
+	"Int8Array",
+	"Uint8Array",
+	"Uint8ClampedArray",
+	"Int16Array",
+	"Uint16Array",
+	"Int32Array",
+	"Uint32Array",
+	"Float32Array",
+	"Float64Array",
+	"BigInt64Array",
+	"BigUint64Array",
+
+	"URL",
+	"URLSearchParams",
+	"TextEncoder",
+	"TextDecoder",
+
+	"Intl.Collator",
+	"Intl.DateTimeFormat",
+	"Intl.DisplayNames",
+	"Intl.ListFormat",
+	"Intl.Locale",
+	"Intl.NumberFormat",
+	"Intl.PluralRules",
+	"Intl.RelativeTimeFormat",
+	"Intl.Segmenter",
+];
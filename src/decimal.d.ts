@@ -0,0 +1,24 @@
+/**
+ * 舍入方式
+ * - `half-up`: 四舍五入，0.5 远离零（默认）
+ * - `half-down`: 五舍六入，0.5 趋向零
+ * - `half-even`: 银行家舍入，0.5 取偶数
+ * - `up` / `down`: 远离零 / 趋向零
+ * - `ceil` / `floor`: 向正无穷 / 向负无穷
+ */
+export type RoundingMode = "half-up" | "half-down" | "half-even" | "up" | "down" | "ceil" | "floor";
+
+export interface DecimalOptions {
+	/**
+	 * `*` 与 `/` 结果保留的最大小数位数，默认为 20
+	 */
+	precision?: number;
+	/**
+	 * 超出精度时的舍入方式，默认为 `half-up`
+	 */
+	rounding?: RoundingMode;
+	/**
+	 * 求值结果中的数值以数字还是字符串返回，默认为 `number`
+	 */
+	output?: "number" | "string";
+}
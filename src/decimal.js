@@ -0,0 +1,488 @@
+import { ERROR_CODES, EvaluatorRangeError, EvaluatorTypeError } from "./errors.js";
+import { createMessageFormatter } from "./messages.js";
+import { PURITY } from "./purity.js";
+
+/**
+ * @typedef {"half-up" | "half-down" | "half-even" | "up" | "down" | "ceil" | "floor"} RoundingMode
+ *
+ * @typedef {Object} DecimalOptions
+ * @property {number} [precision=20] - Maximum number of fraction digits kept by `*` and `/`
+ * @property {RoundingMode} [rounding="half-up"] - How results with more fraction digits are rounded
+ * @property {"number" | "string"} [output="number"] - How numeric results are returned by the evaluation
+ */
+
+const ROUNDING_MODES = ["half-up", "half-down", "half-even", "up", "down", "ceil", "floor"];
+
+const LITERAL_PATTERN = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/** Legacy octal literals of sloppy mode, e.g. `017` is 15 */
+const LEGACY_OCTAL_PATTERN = /^0[0-7]+$/;
+
+/**
+ * Divides two integers and rounds the quotient with the given mode.
+ * @param {bigint} dividend
+ * @param {bigint} divisor
+ * @param {RoundingMode} rounding
+ * @returns {bigint}
+ */
+function divideAndRound(dividend, divisor, rounding) {
+	const negative = dividend < 0n !== divisor < 0n;
+	const n = dividend < 0n ? -dividend : dividend;
+	const d = divisor < 0n ? -divisor : divisor;
+	const quotient = n / d;
+	const remainder = n % d;
+
+	if (remainder === 0n) {
+		return negative ? -quotient : quotient;
+	}
+
+	const half = remainder * 2n;
+	let increment;
+
+	switch (rounding) {
+		case "up":
+			increment = true;
+			break;
+		case "down":
+			increment = false;
+			break;
+		case "ceil":
+			increment = !negative;
+			break;
+		case "floor":
+			increment = negative;
+			break;
+		case "half-down":
+			increment = half > d;
+			break;
+		case "half-even":
+			increment = half > d || (half === d && quotient % 2n === 1n);
+			break;
+		default:
+			increment = half >= d;
+	}
+
+	const rounded = increment ? quotient + 1n : quotient;
+	return negative ? -rounded : rounded;
+}
+
+/**
+ * An exact decimal number, stored as an integer of `digits` divided by `10 ** scale`.
+ * Instances are immutable and normalized (no trailing zeros in the fraction).
+ */
+class Decimal {
+	// Decimal values reach the expressions, so their methods can be called with `strictPurity`
+	static [PURITY] = {
+		parse: "pure",
+		from: "pure",
+		align: "pure",
+		negate: "pure",
+		isZero: "pure",
+		add: "pure",
+		subtract: "pure",
+		multiply: "pure",
+		divide: "pure",
+		remainder: "pure",
+		compare: "pure",
+		round: "pure",
+		toFixed: "pure",
+		format: "pure",
+		toString: "pure",
+		valueOf: "pure",
+		toJSON: "pure",
+	};
+
+	/**
+	 * @param {bigint} digits
+	 * @param {number} scale - The number of fraction digits, never negative
+	 */
+	constructor(digits, scale) {
+		while (scale > 0 && digits % 10n === 0n) {
+			digits /= 10n;
+			scale--;
+		}
+
+		/** @type {bigint} */
+		this.digits = digits;
+		/** @type {number} */
+		this.scale = scale;
+		// Like the properties of a number, e.g. for `{ ...value }`
+		Object.defineProperties(this, { digits: { enumerable: false }, scale: { enumerable: false } });
+		Object.freeze(this);
+	}
+
+	/**
+	 * Parses the source of an unsigned numeric literal, e.g. `0.1`, `1_000`, `2e-3` or `0xff`.
+	 * @param {string} raw
+	 * @returns {Decimal}
+	 */
+	static parse(raw) {
+		const text = raw.replaceAll("_", "");
+		const match = LITERAL_PATTERN.exec(text);
+
+		if (!match) {
+			// Hexadecimal, octal and binary literals are integers
+			return new Decimal(BigInt(text), 0);
+		}
+
+		const [, integer, fraction = "", exponent = "0"] = match;
+		const scale = fraction.length - Number(exponent);
+		const digits = BigInt(integer + fraction || "0");
+
+		return scale < 0 ? new Decimal(digits * 10n ** BigInt(-scale), 0) : new Decimal(digits, scale);
+	}
+
+	/**
+	 * Converts a finite number to the decimal of its shortest representation, so `0.1` becomes exactly 0.1.
+	 * @param {number | Decimal} value
+	 * @returns {Decimal}
+	 */
+	static from(value) {
+		if (value instanceof Decimal) {
+			return value;
+		}
+
+		const decimal = Decimal.parse(String(Math.abs(value)));
+		return value < 0 ? decimal.negate() : decimal;
+	}
+
+	/**
+	 * @param {Decimal} a
+	 * @param {Decimal} b
+	 * @returns {[bigint, bigint, number]} The digits of both decimals at their common scale, and that scale
+	 */
+	static align(a, b) {
+		const scale = Math.max(a.scale, b.scale);
+		return [a.digits * 10n ** BigInt(scale - a.scale), b.digits * 10n ** BigInt(scale - b.scale), scale];
+	}
+
+	negate() {
+		return new Decimal(-this.digits, this.scale);
+	}
+
+	isZero() {
+		return this.digits === 0n;
+	}
+
+	/** @param {Decimal} other */
+	add(other) {
+		const [a, b, scale] = Decimal.align(this, other);
+		return new Decimal(a + b, scale);
+	}
+
+	/** @param {Decimal} other */
+	subtract(other) {
+		const [a, b, scale] = Decimal.align(this, other);
+		return new Decimal(a - b, scale);
+	}
+
+	/** @param {Decimal} other */
+	multiply(other) {
+		return new Decimal(this.digits * other.digits, this.scale + other.scale);
+	}
+
+	/**
+	 * @param {Decimal} other - A non-zero divisor
+	 * @param {number} precision - The number of fraction digits of the quotient
+	 * @param {RoundingMode} rounding
+	 */
+	divide(other, precision, rounding) {
+		const dividend = this.digits * 10n ** BigInt(precision + other.scale);
+		const divisor = other.digits * 10n ** BigInt(this.scale);
+		return new Decimal(divideAndRound(dividend, divisor, rounding), precision);
+	}
+
+	/**
+	 * The remainder of a truncated division, with the sign of the dividend like `%`.
+	 * @param {Decimal} other - A non-zero divisor
+	 */
+	remainder(other) {
+		const [a, b, scale] = Decimal.align(this, other);
+		return new Decimal(a % b, scale);
+	}
+
+	/**
+	 * @param {Decimal} other
+	 * @returns {number} -1, 0 or 1
+	 */
+	compare(other) {
+		const [a, b] = Decimal.align(this, other);
+		return a === b ? 0 : a < b ? -1 : 1;
+	}
+
+	/**
+	 * @param {number} precision - The maximum number of fraction digits
+	 * @param {RoundingMode} rounding
+	 */
+	round(precision, rounding) {
+		if (this.scale <= precision) {
+			return this;
+		}
+
+		return new Decimal(divideAndRound(this.digits, 10n ** BigInt(this.scale - precision), rounding), precision);
+	}
+
+	/**
+	 * Formats the decimal with a fixed number of fraction digits, rounding half away from zero.
+	 * Like `Number.prototype.toFixed`, at most 100 fraction digits can be requested.
+	 * @param {number} [fractionDigits=0]
+	 * @returns {string}
+	 */
+	toFixed(fractionDigits = 0) {
+		return this.format(toFractionDigits(fractionDigits));
+	}
+
+	/**
+	 * Formats the decimal with any number of fraction digits, rounding half away from zero.
+	 * @param {number} fractionDigits
+	 * @returns {string}
+	 */
+	format(fractionDigits) {
+		const { digits, scale } = this.round(fractionDigits, "half-up");
+		const absolute = ((digits < 0n ? -digits : digits) * 10n ** BigInt(fractionDigits - scale))
+			.toString()
+			.padStart(fractionDigits + 1, "0");
+		const integer = absolute.slice(0, absolute.length - fractionDigits);
+		const sign = digits < 0n ? "-" : "";
+
+		return fractionDigits > 0 ? `${sign}${integer}.${absolute.slice(integer.length)}` : `${sign}${integer}`;
+	}
+
+	toString() {
+		return this.format(this.scale);
+	}
+
+	valueOf() {
+		return Number(this.toString());
+	}
+
+	toJSON() {
+		return this.valueOf();
+	}
+}
+
+/** The members of decimals read by the expressions, their other members are those of their number */
+const EXACT_METHODS = new Set(["toFixed", "toString"]);
+
+/**
+ * Converts the decimals of a value, including those in arrays and plain objects. Containers are copied
+ * when one of their values changes.
+ * @param {unknown} value
+ * @param {(decimal: number | Decimal) => unknown} format - Converts a finite number or a decimal
+ * @param {Set<object>} [seen] - The containers being converted, to skip circular references
+ * @returns {unknown}
+ */
+function convertDecimals(value, format, seen = new Set()) {
+	if (isDecimalOperand(value)) {
+		return format(/** @type {number | Decimal} */ (value));
+	}
+
+	if (value === null || typeof value !== "object" || seen.has(value)) {
+		return value;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+	if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+		return value;
+	}
+
+	seen.add(value);
+	const keys = Object.keys(value);
+	const converted = keys.map((key) => convertDecimals(value[key], format, seen));
+	seen.delete(value);
+
+	if (converted.every((item, i) => item === value[keys[i]])) {
+		return value;
+	}
+
+	const copy = Array.isArray(value) ? new Array(value.length) : Object.create(prototype);
+	keys.forEach((key, i) =>
+		Object.defineProperty(copy, key, { value: converted[i], writable: true, enumerable: true, configurable: true }),
+	);
+	return copy;
+}
+
+/**
+ * Returns a decimal as a number when the number represents it exactly, so values stay plain numbers
+ * (with native truthiness, `typeof` and methods) unless they need more precision than a float has.
+ * @param {Decimal} decimal
+ * @returns {number | Decimal}
+ */
+function simplify(decimal) {
+	const number = Number(decimal.toString());
+
+	// Beyond the range of floats, results overflow to an infinity like the float arithmetic
+	if (!Number.isFinite(number)) return number;
+
+	return Decimal.from(number).compare(decimal) === 0 ? number : decimal;
+}
+
+/**
+ * Whether a value takes part in decimal arithmetic, non-finite numbers keep the native operators.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isDecimalOperand(value) {
+	return (typeof value === "number" && Number.isFinite(value)) || value instanceof Decimal;
+}
+
+/**
+ * Evaluates a numeric literal from its source, without the rounding of a float.
+ * @param {string} raw - The source of the literal, e.g. `0.1`
+ * @returns {number | Decimal}
+ * @example
+ * parseDecimalLiteral('12345678901234567891') // returns a Decimal, the float would be 12345678901234567000
+ */
+export function parseDecimalLiteral(raw) {
+	if (LEGACY_OCTAL_PATTERN.test(raw)) {
+		return simplify(new Decimal(BigInt(`0o${raw.slice(1)}`), 0));
+	}
+
+	const float = Number(raw.replaceAll("_", ""));
+
+	// Literals beyond the range of floats, e.g. `1e1000000`, keep the float value instead of expanding their exponent
+	if (!Number.isFinite(float) || float === 0) return float;
+
+	return simplify(Decimal.parse(raw));
+}
+
+/**
+ * Converts the decimals of a value, including those in arrays and plain objects, to numbers. Host functions
+ * receive numbers, e.g. `Number.isFinite(1 / 3)` or `new Set([1 / 3, 1 / 3])`.
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+export function toNumbers(value) {
+	return convertDecimals(value, Number);
+}
+
+/**
+ * Converts the argument of `toFixed` to a number of fraction digits, between 0 and 100.
+ * @param {unknown} fractionDigits
+ * @param {import('./messages.js').MessageFormatter} [formatMessage] - The formatter of the error message
+ * @returns {number}
+ * @throws {EvaluatorRangeError} If the number of fraction digits is out of range
+ */
+function toFractionDigits(fractionDigits, formatMessage = createMessageFormatter()) {
+	const digits = Math.trunc(Number(fractionDigits)) || 0;
+	if (digits < 0 || digits > 100) {
+		throw new EvaluatorRangeError(formatMessage("E_INVALID_ARGUMENTS.toFixed"), ERROR_CODES.INVALID_ARGUMENTS);
+	}
+
+	return digits;
+}
+
+/**
+ * Checks the arguments of a call to an exact method of decimals, so that their errors use the messages of the evaluator.
+ * @param {Function} func - An exact method, see `isExactDecimalMethod`
+ * @param {Array} args
+ * @param {import('./messages.js').MessageFormatter} formatMessage
+ */
+export function checkDecimalArguments(func, args, formatMessage) {
+	if (func === Decimal.prototype.toFixed && args.length > 0) toFractionDigits(args[0], formatMessage);
+}
+
+/**
+ * Returns the object a member of a value is read from: decimals expose their exact `toFixed` and `toString`,
+ * their other members are those of their number, e.g. `(1 / 3).toPrecision(2)`.
+ * @param {unknown} value
+ * @param {PropertyKey} key
+ * @returns {unknown}
+ */
+export function getDecimalHolder(value, key) {
+	return value instanceof Decimal && !EXACT_METHODS.has(key) ? Number(value) : value;
+}
+
+/**
+ * Whether a function is one of the exact methods of decimals, they are called on the decimal itself.
+ * @param {Function} func
+ * @returns {boolean}
+ */
+export function isExactDecimalMethod(func) {
+	return EXACT_METHODS.has(func.name) && Decimal.prototype[func.name] === func;
+}
+
+/**
+ * Creates the operators of the `arithmetic: "decimal"` mode. They apply to numbers and decimals only:
+ * `+`, `-`, `*`, `/`, `%` and the comparisons are exact, `*` and `/` round their result to `precision`
+ * fraction digits. Division by zero falls back to the float result (`Infinity` or `NaN`).
+ * @param {DecimalOptions} [options]
+ * @param {import('./messages.js').MessageFormatter} [formatMessage] - The formatter of the errors of invalid options
+ * @returns {{ binary: Record<string, (left: number | Decimal, right: number | Decimal) => unknown>, unary: Record<string, (value: unknown) => unknown>, output: (value: unknown) => unknown }}
+ * @example
+ * const { binary } = createDecimalArithmetic();
+ * binary['+'](0.1, 0.2) // returns 0.3
+ */
+export function createDecimalArithmetic(options = {}, formatMessage = createMessageFormatter()) {
+	const { precision = 20, rounding = "half-up", output = "number" } = options;
+
+	if (!Number.isInteger(precision) || precision < 0) {
+		throw new EvaluatorTypeError(formatMessage("E_INVALID_OPTION.decimalPrecision"), ERROR_CODES.INVALID_OPTION);
+	}
+
+	if (!ROUNDING_MODES.includes(rounding)) {
+		throw new EvaluatorTypeError(
+			formatMessage("E_INVALID_OPTION.decimalRounding", { modes: ROUNDING_MODES.join(", ") }),
+			ERROR_CODES.INVALID_OPTION,
+		);
+	}
+
+	if (output !== "number" && output !== "string") {
+		throw new EvaluatorTypeError(formatMessage("E_INVALID_OPTION.decimalOutput"), ERROR_CODES.INVALID_OPTION);
+	}
+
+	/**
+	 * @param {(a: Decimal, b: Decimal) => Decimal} operation
+	 * @param {(a: number, b: number) => number} [byZero] - The result when dividing by zero
+	 */
+	const arithmetic = (operation, byZero) => (left, right) => {
+		const a = Decimal.from(left);
+		const b = Decimal.from(right);
+
+		if (byZero && b.isZero()) {
+			return byZero(Number(a), Number(b));
+		}
+
+		return simplify(operation(a, b));
+	};
+
+	/** @param {(order: number) => boolean} predicate */
+	const comparison = (predicate) => (left, right) => predicate(Decimal.from(left).compare(Decimal.from(right)));
+
+	const binary = {
+		"+": arithmetic((a, b) => a.add(b)),
+		"-": arithmetic((a, b) => a.subtract(b)),
+		"*": arithmetic((a, b) => a.multiply(b).round(precision, rounding)),
+		"/": arithmetic(
+			(a, b) => a.divide(b, precision, rounding),
+			(a, b) => a / b,
+		),
+		"%": arithmetic(
+			(a, b) => a.remainder(b),
+			(a, b) => a % b,
+		),
+		"==": comparison((order) => order === 0),
+		"===": comparison((order) => order === 0),
+		"!=": comparison((order) => order !== 0),
+		"!==": comparison((order) => order !== 0),
+		"<": comparison((order) => order < 0),
+		"<=": comparison((order) => order <= 0),
+		">": comparison((order) => order > 0),
+		">=": comparison((order) => order >= 0),
+	};
+
+	const unary = {
+		"-": (value) => (value instanceof Decimal ? value.negate() : -value),
+		"+": (value) => value,
+		typeof: () => "number",
+	};
+
+	/**
+	 * Converts the decimals of an evaluation result, including those in arrays and plain objects, to numbers or strings.
+	 * @param {unknown} value
+	 */
+	const convert = (value) =>
+		convertDecimals(value, (decimal) => (output === "string" ? Decimal.from(decimal).toString() : Number(decimal)));
+
+	return { binary, unary, output: convert };
+}
@@ -0,0 +1,291 @@
+/**
+ * @typedef {Object} ExpressionDependencies
+ * @property {string[]} variables - Free identifiers read from the context
+ * @property {string[]} paths - Static member paths read from context variables, e.g. `user.address.city`
+ * @property {string[]} dynamic - Paths whose members are read with a computed key, e.g. `items` for `items[i]`
+ * @property {string[]} globals - Free identifiers resolved by the sandbox scope (built-ins, custom globals, plugins)
+ */
+
+/**
+ * Gets the key of a member read with a constant, `obj.a`, `obj['a']`, `arr[0]` or ``obj[`a`]``.
+ * @param {import('acorn').MemberExpression} node
+ * @returns {string | undefined} The key, `undefined` when it is computed at runtime
+ */
+export function getMemberKey(node) {
+	const { property } = node;
+
+	if (!node.computed) {
+		return property.type === "PrivateIdentifier" ? undefined : property.name;
+	}
+
+	if (property.type === "Literal" && (typeof property.value === "string" || typeof property.value === "number")) {
+		return String(property.value);
+	}
+
+	if (property.type === "TemplateLiteral" && property.expressions.length === 0) {
+		return property.quasis[0].value.cooked;
+	}
+
+	return undefined;
+}
+
+/**
+ * Walks the AST of an expression and collects the context variables and member paths it reads.
+ * Identifiers bound by arrow function parameters and `const`/`let` declarations are local, they
+ * shadow the context within their scope.
+ *
+ * @param {import('acorn').Node} ast - The parsed program
+ * @param {(name: string) => boolean} isGlobal - Whether a free identifier is resolved by the sandbox scope
+ * @returns {ExpressionDependencies}
+ * @example
+ * collectDependencies(acorn.parse('user.name + x', { ecmaVersion: 'latest' }), () => false)
+ * // returns { variables: ['user', 'x'], paths: ['user.name', 'x'], dynamic: [], globals: [] }
+ */
+export function collectDependencies(ast, isGlobal) {
+	const variables = new Set();
+	const paths = new Set();
+	const dynamic = new Set();
+	const globals = new Set();
+
+	/** @type {Set<string>[]} */
+	let scopes = [];
+
+	const isLocal = (name) => scopes.some((scope) => scope.has(name));
+
+	/**
+	 * Records the read of a free identifier and of the static path of members read from it.
+	 * @param {string} name
+	 * @param {string[]} [keys] - The static keys read from the identifier
+	 * @param {boolean} [isDynamic] - Whether a member is then read with a computed key
+	 */
+	const read = (name, keys = [], isDynamic = false) => {
+		if (isLocal(name)) return;
+
+		if (isGlobal(name)) {
+			globals.add(name);
+			return;
+		}
+
+		const path = [name, ...keys].join(".");
+		variables.add(name);
+		paths.add(path);
+		if (isDynamic) dynamic.add(path);
+	};
+
+	/**
+	 * @param {import('acorn').MemberExpression} node
+	 * @param {boolean} [isCallee] - Whether the member is a called method, its name is not part of the path
+	 */
+	const visitMember = (node, isCallee = false) => {
+		/** @type {import('acorn').MemberExpression[]} */
+		const members = [];
+		let object = node;
+		while (object.type === "MemberExpression") {
+			members.unshift(object);
+			object = object.object;
+		}
+
+		for (const member of members) {
+			if (member.computed) visit(member.property);
+		}
+
+		if (object.type !== "Identifier") {
+			visit(object);
+			return;
+		}
+
+		const keys = [];
+		let isDynamic = false;
+		for (const member of isCallee ? members.slice(0, -1) : members) {
+			const key = getMemberKey(member);
+			if (key === undefined) {
+				isDynamic = true;
+				break;
+			}
+			keys.push(key);
+		}
+
+		read(object.name, keys, isDynamic);
+	};
+
+	/**
+	 * Declares the names bound by a pattern in the current scope.
+	 * @param {import('acorn').Pattern} pattern
+	 */
+	const declare = (pattern) => {
+		switch (pattern.type) {
+			case "Identifier": {
+				scopes[0].add(pattern.name);
+				break;
+			}
+			case "AssignmentPattern": {
+				declare(pattern.left);
+				break;
+			}
+			case "RestElement": {
+				declare(pattern.argument);
+				break;
+			}
+			case "ArrayPattern": {
+				for (const element of pattern.elements) {
+					if (element) declare(element);
+				}
+				break;
+			}
+			case "ObjectPattern": {
+				for (const prop of pattern.properties) {
+					declare(prop.type === "RestElement" ? prop : prop.value);
+				}
+				break;
+			}
+		}
+	};
+
+	/**
+	 * Visits the default values and computed keys of a pattern, they are evaluated in its scope.
+	 * @param {import('acorn').Pattern} pattern
+	 */
+	const visitPattern = (pattern) => {
+		switch (pattern.type) {
+			case "AssignmentPattern": {
+				visitPattern(pattern.left);
+				visit(pattern.right);
+				break;
+			}
+			case "RestElement": {
+				visitPattern(pattern.argument);
+				break;
+			}
+			case "ArrayPattern": {
+				for (const element of pattern.elements) {
+					if (element) visitPattern(element);
+				}
+				break;
+			}
+			case "ObjectPattern": {
+				for (const prop of pattern.properties) {
+					if (prop.type !== "RestElement" && prop.computed) visit(prop.key);
+					visitPattern(prop.type === "RestElement" ? prop : prop.value);
+				}
+				break;
+			}
+			case "MemberExpression": {
+				visit(pattern);
+				break;
+			}
+		}
+	};
+
+	/**
+	 * Visits the statements of a block, its `const`/`let` declarations are local to the whole block.
+	 * @param {import('acorn').Statement[]} statements
+	 */
+	const visitBlock = (statements) => {
+		const previous = scopes;
+		scopes = [new Set(), ...previous];
+		try {
+			for (const statement of statements) {
+				if (statement.type === "VariableDeclaration") {
+					for (const declarator of statement.declarations) declare(declarator.id);
+				}
+			}
+			for (const statement of statements) visit(statement);
+		} finally {
+			scopes = previous;
+		}
+	};
+
+	/**
+	 * @param {import('acorn').Node} node
+	 */
+	const visit = (node) => {
+		switch (node.type) {
+			case "Identifier": {
+				read(node.name);
+				return;
+			}
+			case "MemberExpression": {
+				visitMember(node);
+				return;
+			}
+			case "CallExpression": {
+				const callee = node.callee;
+				if (callee.type === "MemberExpression") {
+					visitMember(callee, true);
+				} else {
+					visit(callee);
+				}
+				for (const arg of node.arguments) visit(arg);
+				return;
+			}
+			case "TaggedTemplateExpression": {
+				if (node.tag.type === "MemberExpression") {
+					visitMember(node.tag, true);
+				} else {
+					visit(node.tag);
+				}
+				visit(node.quasi);
+				return;
+			}
+			case "Property": {
+				if (node.computed) visit(node.key);
+				visit(node.value);
+				return;
+			}
+			case "ArrowFunctionExpression":
+			case "FunctionExpression": {
+				const previous = scopes;
+				scopes = [new Set(), ...previous];
+				try {
+					for (const param of node.params) declare(param);
+					for (const param of node.params) visitPattern(param);
+
+					if (node.body.type === "BlockStatement") {
+						visitBlock(node.body.body);
+					} else {
+						visit(node.body);
+					}
+				} finally {
+					scopes = previous;
+				}
+				return;
+			}
+			case "BlockStatement": {
+				visitBlock(node.body);
+				return;
+			}
+			case "VariableDeclarator": {
+				visitPattern(node.id);
+				if (node.init) visit(node.init);
+				return;
+			}
+			case "AssignmentExpression": {
+				if (node.left.type === "Identifier") {
+					read(node.left.name);
+				} else {
+					visitPattern(node.left);
+				}
+				visit(node.right);
+				return;
+			}
+			case "ThisExpression":
+			case "Literal":
+			case "Super":
+			case "PrivateIdentifier": {
+				return;
+			}
+		}
+
+		for (const key of Object.keys(node)) {
+			const value = node[key];
+			const children = Array.isArray(value) ? value : [value];
+			for (const child of children) {
+				if (child !== null && typeof child === "object" && typeof child.type === "string") visit(child);
+			}
+		}
+	};
+
+	visit(ast);
+
+	return { variables: [...variables], paths: [...paths], dynamic: [...dynamic], globals: [...globals] };
+}
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+
+describe("Evaluator.getDependencies", () => {
+	test("should list free variables and static member paths", () => {
+		assert.deepEqual(Evaluator.getDependencies("user.address.city + ', ' + user.name + fee"), {
+			variables: ["user", "fee"],
+			paths: ["user.address.city", "user.name", "fee"],
+			dynamic: [],
+			globals: [],
+		});
+	});
+
+	test("should resolve constant computed keys and optional chains", () => {
+		const { paths } = Evaluator.getDependencies("user?.profile?.['avatar'] ?? rows[0][`id`]");
+		assert.deepEqual(paths, ["user.profile.avatar", "rows.0.id"]);
+	});
+
+	test("should flag members read with computed keys", () => {
+		const { variables, paths, dynamic } = Evaluator.getDependencies("rates[currency].value + items[i + 1]");
+		assert.deepEqual(variables, ["currency", "rates", "i", "items"]);
+		assert.deepEqual(paths, ["currency", "rates", "i", "items"]);
+		assert.deepEqual(dynamic, ["rates", "items"]);
+	});
+
+	test("should exclude method names from the paths of their receiver", () => {
+		const { paths } = Evaluator.getDependencies("user.name.trim().toUpperCase() + cart.items.map(item => item.price) + fmt`${total}`");
+		assert.deepEqual(paths, ["user.name", "cart.items", "fmt", "total"]);
+	});
+
+	test("should respect arrow function parameters and block declarations", () => {
+		const expression = `items.filter(({ price, tags = defaultTags }, index) => {
+			const limit = max * index;
+			let label;
+			label = tags[0];
+			return price < limit && label !== item;
+		})`;
+		assert.deepEqual(Evaluator.getDependencies(expression).variables, ["items", "defaultTags", "max", "item"]);
+		assert.deepEqual(Evaluator.getDependencies("(x => x)(x) + (() => { const y = 1; return y; })() + y").variables, ["x", "y"]);
+	});
+
+	test("should analyze object literals, methods and await", () => {
+		const { variables } = Evaluator.getDependencies("({ a, [key]: b, c: 1, m(p) { return p + n; } }).m(await load(id))");
+		assert.deepEqual(variables, ["a", "key", "b", "n", "load", "id"]);
+	});
+
+	test("should list identifiers of the sandbox scope as globals", () => {
+		assert.deepEqual(Evaluator.getDependencies("Math.max(a, undefined) + JSON.stringify(b)").globals, ["Math", "undefined", "JSON"]);
+
+		const options = {
+			globals: { TAX_RATE: 0.2 },
+			plugins: [{ name: "money", functions: { formatMoney: (value) => `$${value}` } }],
+			denyGlobals: ["JSON"],
+		};
+		const dependencies = Evaluator.getDependencies("formatMoney(price * (1 + TAX_RATE)) + JSON", options);
+		assert.deepEqual(dependencies.variables, ["price", "JSON"]);
+		assert.deepEqual(dependencies.globals, ["formatMoney", "TAX_RATE"]);
+	});
+
+	test("should throw syntax errors", () => {
+		assert.throws(() => Evaluator.getDependencies("a +"), SyntaxError);
+	});
+});
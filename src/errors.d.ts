@@ -0,0 +1,94 @@
+/**
+ * 求值器抛出的错误的稳定错误码，用于代替错误信息文本进行判断
+ */
+export declare const ERROR_CODES: {
+	/**
+	 * 表达式无法解析
+	 */
+	readonly SYNTAX: "E_SYNTAX";
+	/**
+	 * 求值器不支持的 JavaScript 语法：`this`、`delete`、`var`、语句、生成器方法等
+	 */
+	readonly UNSUPPORTED_SYNTAX: "E_UNSUPPORTED_SYNTAX";
+	readonly UNDEFINED_VARIABLE: "E_UNDEFINED_VARIABLE";
+	readonly UNINITIALIZED_VARIABLE: "E_UNINITIALIZED_VARIABLE";
+	readonly ASSIGNMENT_NOT_ALLOWED: "E_ASSIGNMENT_NOT_ALLOWED";
+	readonly CONSTANT_ASSIGNMENT: "E_CONSTANT_ASSIGNMENT";
+	readonly MEMBER_NOT_ALLOWED: "E_MEMBER_NOT_ALLOWED";
+	readonly MUTABLE_METHOD: "E_MUTABLE_METHOD";
+	readonly FUNCTION_CONSTRUCTOR: "E_FUNCTION_CONSTRUCTOR";
+	readonly INDIRECT_INVOCATION: "E_INDIRECT_INVOCATION";
+	readonly UNANNOTATED_FUNCTION: "E_UNANNOTATED_FUNCTION";
+	readonly CONSTRUCTOR_NOT_ALLOWED: "E_CONSTRUCTOR_NOT_ALLOWED";
+	readonly READONLY_CONTEXT: "E_READONLY_CONTEXT";
+	readonly NOT_A_FUNCTION: "E_NOT_A_FUNCTION";
+	/**
+	 * 读取 `null` 或 `undefined` 的成员
+	 */
+	readonly PROPERTY_READ: "E_PROPERTY_READ";
+	readonly NOT_ITERABLE: "E_NOT_ITERABLE";
+	readonly NOT_DESTRUCTURABLE: "E_NOT_DESTRUCTURABLE";
+	/**
+	 * `apply` 或 `Reflect.apply` 的参数列表不是类数组对象，或者过长，或者小数的 `toFixed` 的位数超出范围
+	 */
+	readonly INVALID_ARGUMENTS: "E_INVALID_ARGUMENTS";
+	/**
+	 * 超出执行预算或分配限制，见 `EvaluationLimitError`
+	 */
+	readonly LIMIT_EXCEEDED: "E_LIMIT_EXCEEDED";
+	/**
+	 * 传给模板解析器的模板不是字符串
+	 */
+	readonly INVALID_TEMPLATE: "E_INVALID_TEMPLATE";
+	/**
+	 * 使用无效的选项创建求值器，或者函数的纯度注解不是已知的策略
+	 */
+	readonly INVALID_OPTION: "E_INVALID_OPTION";
+};
+
+export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES];
+
+/**
+ * 求值器抛出的错误的基类。对应 JavaScript 内置错误的错误（`TypeError`、`ReferenceError` 等）仍然是这些内置类的实例，同时也是 `EvaluatorError` 的实例
+ */
+export declare class EvaluatorError extends Error {
+	/**
+	 * 稳定的错误码
+	 */
+	code: ErrorCode;
+	/**
+	 * 出错节点在表达式中的起始偏移量
+	 */
+	start?: number;
+	/**
+	 * 出错节点在表达式中的结束偏移量（不包含）
+	 */
+	end?: number;
+	/**
+	 * 出错节点起始位置的行号，从 1 开始
+	 */
+	line?: number;
+	/**
+	 * 出错节点起始位置的列号，从 0 开始
+	 */
+	column?: number;
+	/**
+	 * 求值的表达式
+	 */
+	source?: string;
+	/**
+	 * 指向出错节点的代码帧，可直接打印
+	 */
+	codeFrame?: string;
+}
+
+/**
+ * 求值超出执行预算（`maxSteps` 或 `timeoutMs`）或分配限制（`maxStringLength`、`maxArrayLength` 或 `maxObjectKeys`）时抛出
+ */
+export declare class EvaluationLimitError extends EvaluatorError {
+	code: "E_LIMIT_EXCEEDED";
+	/**
+	 * 超出的选项名称
+	 */
+	limit: "maxSteps" | "timeoutMs" | "maxStringLength" | "maxArrayLength" | "maxObjectKeys";
+}
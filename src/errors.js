@@ -0,0 +1,238 @@
+/**
+ * The stable codes of the errors thrown by the evaluator, to branch on instead of the message text.
+ */
+export const ERROR_CODES = {
+	/** The expression cannot be parsed */
+	SYNTAX: "E_SYNTAX",
+	/** Valid JavaScript the evaluator does not support: `this`, `delete`, `var`, statements, generators... */
+	UNSUPPORTED_SYNTAX: "E_UNSUPPORTED_SYNTAX",
+	UNDEFINED_VARIABLE: "E_UNDEFINED_VARIABLE",
+	UNINITIALIZED_VARIABLE: "E_UNINITIALIZED_VARIABLE",
+	ASSIGNMENT_NOT_ALLOWED: "E_ASSIGNMENT_NOT_ALLOWED",
+	CONSTANT_ASSIGNMENT: "E_CONSTANT_ASSIGNMENT",
+	MEMBER_NOT_ALLOWED: "E_MEMBER_NOT_ALLOWED",
+	MUTABLE_METHOD: "E_MUTABLE_METHOD",
+	FUNCTION_CONSTRUCTOR: "E_FUNCTION_CONSTRUCTOR",
+	INDIRECT_INVOCATION: "E_INDIRECT_INVOCATION",
+	UNANNOTATED_FUNCTION: "E_UNANNOTATED_FUNCTION",
+	CONSTRUCTOR_NOT_ALLOWED: "E_CONSTRUCTOR_NOT_ALLOWED",
+	READONLY_CONTEXT: "E_READONLY_CONTEXT",
+	NOT_A_FUNCTION: "E_NOT_A_FUNCTION",
+	/** A member read from `null` or `undefined` */
+	PROPERTY_READ: "E_PROPERTY_READ",
+	NOT_ITERABLE: "E_NOT_ITERABLE",
+	NOT_DESTRUCTURABLE: "E_NOT_DESTRUCTURABLE",
+	/**
+	 * The arguments list of `apply` or `Reflect.apply` is not an array-like object, or is too long,
+	 * or the fraction digits of `toFixed` on a decimal are out of range
+	 */
+	INVALID_ARGUMENTS: "E_INVALID_ARGUMENTS",
+	/** An execution budget or allocation limit is exceeded, see `EvaluationLimitError` */
+	LIMIT_EXCEEDED: "E_LIMIT_EXCEEDED",
+	/** The template given to the template parser is not a string */
+	INVALID_TEMPLATE: "E_INVALID_TEMPLATE",
+	/** An evaluator is created with invalid options, or a function is annotated with an unknown purity policy */
+	INVALID_OPTION: "E_INVALID_OPTION",
+};
+
+/** Lines of the source shown before and after the faulty line in code frames */
+const CODE_FRAME_CONTEXT = 1;
+
+/**
+ * Renders the lines of the source around a range, with carets under the range.
+ * @param {string} source
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ * @example
+ * getCodeFrame('a + this.b', 4, 8)
+ * // > 1 | a + this.b
+ * //     |     ^^^^
+ */
+function getCodeFrame(source, start, end) {
+	const lines = source.split(/\r\n?|\n/);
+	const { line, column } = getLocation(source, start);
+
+	const first = Math.max(line - CODE_FRAME_CONTEXT, 1);
+	const last = Math.min(line + CODE_FRAME_CONTEXT, lines.length);
+	const gutterWidth = String(last).length;
+
+	const frame = [];
+	for (let current = first; current <= last; current++) {
+		const text = lines[current - 1];
+		const gutter = String(current).padStart(gutterWidth);
+		frame.push(`${current === line ? ">" : " "} ${gutter} |${text ? " " + text : ""}`);
+
+		if (current === line) {
+			// A range spanning several lines is underlined up to the end of its first line
+			const length = Math.max(Math.min(end - start, text.length - column), 1);
+			// Tabs are kept so that the carets line up with the text
+			const indent = text.slice(0, column).replace(/[^\t]/g, " ");
+			frame.push(`  ${" ".repeat(gutterWidth)} | ${indent}${"^".repeat(length)}`);
+		}
+	}
+
+	return frame.join("\n");
+}
+
+/**
+ * @param {string} source
+ * @param {number} offset
+ * @returns {{ line: number, column: number }} The 1-based line and the 0-based column, as in acorn locations
+ */
+function getLocation(source, offset) {
+	const before = source.slice(0, offset).split(/\r\n?|\n/);
+	return { line: before.length, column: before.at(-1).length };
+}
+
+/**
+ * The base class of the errors thrown by the evaluator. Errors the JavaScript engine would raise with a
+ * built-in class (`TypeError`, `ReferenceError`...) extend it, so they are also instances of `EvaluatorError`.
+ *
+ * Errors raised while a node is evaluated are located: `start` and `end` are the offsets of the node in
+ * the expression, `line` and `column` the position of its start, and `codeFrame` points at it.
+ *
+ * @example
+ * try {
+ *   evalExpression('items.push(1)', { items: [] });
+ * } catch (error) {
+ *   error instanceof EvaluatorError // true
+ *   error.code // 'E_MUTABLE_METHOD'
+ *   error.codeFrame
+ *   // > 1 | items.push(1)
+ *   //     | ^^^^^^^^^^^^^
+ * }
+ */
+export class EvaluatorError extends Error {
+	/**
+	 * @param {string} message - The error message
+	 * @param {string} code - One of `ERROR_CODES`
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = "EvaluatorError";
+		this.code = code;
+	}
+
+	static [Symbol.hasInstance](value) {
+		if (this !== EvaluatorError) {
+			return Function.prototype[Symbol.hasInstance].call(this, value);
+		}
+
+		return EVALUATOR_ERROR_CLASSES.some((ErrorClass) => Function.prototype[Symbol.hasInstance].call(ErrorClass, value));
+	}
+}
+
+/**
+ * A `TypeError` of the evaluator, e.g. a mutable method call.
+ */
+export class EvaluatorTypeError extends TypeError {
+	/**
+	 * @param {string} message - The error message
+	 * @param {string} code - One of `ERROR_CODES`
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = "TypeError";
+		this.code = code;
+	}
+}
+
+/**
+ * A `ReferenceError` of the evaluator, e.g. an undefined variable.
+ */
+export class EvaluatorReferenceError extends ReferenceError {
+	/**
+	 * @param {string} message - The error message
+	 * @param {string} code - One of `ERROR_CODES`
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = "ReferenceError";
+		this.code = code;
+	}
+}
+
+/**
+ * A `RangeError` of the evaluator, e.g. too many arguments in a function call.
+ */
+export class EvaluatorRangeError extends RangeError {
+	/**
+	 * @param {string} message - The error message
+	 * @param {string} code - One of `ERROR_CODES`
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = "RangeError";
+		this.code = code;
+	}
+}
+
+/**
+ * A `SyntaxError` raised when an expression cannot be parsed, located at the position of the parser error.
+ */
+export class EvaluatorSyntaxError extends SyntaxError {
+	/**
+	 * @param {string} message - The error message
+	 * @param {string} code - One of `ERROR_CODES`
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = "SyntaxError";
+		this.code = code;
+	}
+}
+
+const EVALUATOR_ERROR_CLASSES = [EvaluatorError, EvaluatorTypeError, EvaluatorReferenceError, EvaluatorRangeError, EvaluatorSyntaxError];
+
+/**
+ * Adds the location of a node to an evaluator error which has none yet, the innermost node an error is
+ * raised from is its location. Other errors, e.g. thrown by host functions, are returned as is.
+ * @template T
+ * @param {T} error
+ * @param {{ start: number, end: number }} node
+ * @param {string} [source] - The evaluated expression, unknown for arrow functions called after their evaluation
+ * @returns {T}
+ */
+export function locateError(error, node, source) {
+	if (!(error instanceof EvaluatorError) || error.start !== undefined) {
+		return error;
+	}
+
+	error.start = node.start;
+	error.end = node.end;
+
+	if (source !== undefined) {
+		const { line, column } = getLocation(source, node.start);
+		error.line = line;
+		error.column = column;
+		error.source = source;
+		error.codeFrame = getCodeFrame(source, node.start, node.end);
+	}
+
+	return error;
+}
+
+/**
+ * Thrown when an evaluation exceeds its execution budget (`maxSteps` or `timeoutMs`)
+ * or one of its allocation limits (`maxStringLength`, `maxArrayLength` or `maxObjectKeys`).
+ *
+ * @example
+ * try {
+ *   new Evaluator({}, { maxSteps: 100 }).evaluate('Array.from({ length: 1000 }, (_, i) => i)');
+ * } catch (error) {
+ *   error instanceof EvaluationLimitError // true
+ *   error.limit // 'maxSteps'
+ * }
+ */
+export class EvaluationLimitError extends EvaluatorError {
+	/**
+	 * @param {string} message - The error message
+	 * @param {string} limit - The name of the exceeded option
+	 */
+	constructor(message, limit) {
+		super(message, ERROR_CODES.LIMIT_EXCEEDED);
+		this.name = "EvaluationLimitError";
+		this.limit = limit;
+	}
+}
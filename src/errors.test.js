@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { ERROR_CODES, EvaluationLimitError, EvaluatorError } from "./errors.js";
+import { Evaluator } from "./Evaluator.js";
+import { evalTemplate } from "./index.js";
+
+/**
+ * @param {() => unknown} run
+ * @returns {EvaluatorError}
+ */
+const catchError = (run) => {
+	try {
+		run();
+	} catch (error) {
+		return error;
+	}
+	assert.fail("Expected an error");
+};
+
+describe("EvaluatorError", () => {
+	test("should keep the built-in error classes", () => {
+		const reference = catchError(() => Evaluator.evaluate("missing"));
+		assert.ok(reference instanceof EvaluatorError);
+		assert.ok(reference instanceof ReferenceError);
+		assert.equal(reference.name, "ReferenceError");
+		assert.equal(reference.code, ERROR_CODES.UNDEFINED_VARIABLE);
+
+		const type = catchError(() => Evaluator.evaluate("a.b.c", { a: {} }));
+		assert.ok(type instanceof EvaluatorError && type instanceof TypeError);
+		assert.equal(type.code, ERROR_CODES.PROPERTY_READ);
+
+		const syntax = catchError(() => Evaluator.evaluate("1 +"));
+		assert.ok(syntax instanceof EvaluatorError && syntax instanceof SyntaxError);
+		assert.equal(syntax.code, ERROR_CODES.SYNTAX);
+
+		const limit = catchError(() => Evaluator.evaluate("[1, 2, 3].map(x => x)", {}, { maxSteps: 3 }));
+		assert.ok(limit instanceof EvaluatorError && limit instanceof EvaluationLimitError);
+		assert.equal(limit.code, ERROR_CODES.LIMIT_EXCEEDED);
+
+		const option = catchError(() => new Evaluator({}, { plugins: [{ name: "bad", policy: { helper: "pure" } }] }));
+		assert.ok(option instanceof EvaluatorError && option instanceof TypeError);
+		assert.equal(option.code, ERROR_CODES.INVALID_OPTION);
+	});
+
+	test("should set a code for each rejected expression", () => {
+		const cases = {
+			"this.a": ERROR_CODES.UNSUPPORTED_SYNTAX,
+			"delete a.b": ERROR_CODES.UNSUPPORTED_SYNTAX,
+			"a = 1": ERROR_CODES.ASSIGNMENT_NOT_ALLOWED,
+			"a.constructor": ERROR_CODES.MEMBER_NOT_ALLOWED,
+			"a.push(1)": ERROR_CODES.MUTABLE_METHOD,
+			"Function('')": ERROR_CODES.FUNCTION_CONSTRUCTOR,
+			"new Proxy({}, {})": ERROR_CODES.CONSTRUCTOR_NOT_ALLOWED,
+			"[1].map(Reflect.apply)": ERROR_CODES.INDIRECT_INVOCATION,
+			"a()": ERROR_CODES.NOT_A_FUNCTION,
+			"(([x]) => x)(1)": ERROR_CODES.NOT_ITERABLE,
+		};
+		for (const [expression, code] of Object.entries(cases)) {
+			assert.equal(catchError(() => Evaluator.evaluate(expression, { a: [] })).code, code, expression);
+			assert.equal(catchError(() => Evaluator.compile(expression)({ a: [] })).code, code, expression);
+		}
+
+		const counter = {
+			count: 0,
+			increment() {
+				this.count++;
+			},
+		};
+		const readonly = catchError(() => Evaluator.evaluate("counter.increment()", { counter }, { readonlyContext: true }));
+		assert.equal(readonly.code, ERROR_CODES.READONLY_CONTEXT);
+		assert.deepEqual([readonly.start, readonly.end], [0, 19]);
+	});
+
+	test("should locate errors at the innermost failing node", () => {
+		const error = catchError(() => Evaluator.evaluate("total + items.map(item => item.price.value)", { total: 1, items: [{}] }));
+		assert.equal(error.code, ERROR_CODES.PROPERTY_READ);
+		assert.deepEqual([error.start, error.end, error.line, error.column], [26, 42, 1, 26]);
+		assert.equal(error.source, "total + items.map(item => item.price.value)");
+		assert.equal(error.codeFrame, "> 1 | total + items.map(item => item.price.value)\n    |                           ^^^^^^^^^^^^^^^^");
+	});
+
+	test("should point at the names of denied members and rejected methods", () => {
+		const expression = "items\n  .filter(Boolean)\n  .sort()\n  .join()";
+		for (const error of [
+			catchError(() => Evaluator.evaluate(expression, { items: [] })),
+			catchError(() => Evaluator.compile(expression)({ items: [] })),
+		]) {
+			assert.deepEqual([error.code, error.line, error.column], [ERROR_CODES.MUTABLE_METHOD, 3, 3]);
+			assert.equal(error.codeFrame, "  2 |   .filter(Boolean)\n> 3 |   .sort()\n    |    ^^^^\n  4 |   .join()");
+		}
+
+		const member = catchError(() => Evaluator.evaluate("user['__proto__']", { user: {} }));
+		assert.deepEqual([member.start, member.end], [5, 16]);
+	});
+
+	test("should locate syntax errors and errors after an await", async () => {
+		const syntax = catchError(() => Evaluator.evaluate("a +\n(b"));
+		assert.deepEqual([syntax.start, syntax.line, syntax.column], [6, 2, 2]);
+		assert.equal(syntax.codeFrame, "  1 | a +\n> 2 | (b\n    |   ^");
+
+		await assert.rejects(Evaluator.evaluateAsync("(await list).reverse()", { list: Promise.resolve([1]) }), {
+			code: ERROR_CODES.MUTABLE_METHOD,
+			start: 13,
+			end: 20,
+		});
+	});
+
+	test("should leave errors of host functions unchanged", () => {
+		const failure = new TypeError("failed");
+		const error = catchError(() =>
+			Evaluator.evaluate("run()", {
+				run: () => {
+					throw failure;
+				},
+			}),
+		);
+		assert.equal(error, failure);
+		assert.ok(!(error instanceof EvaluatorError));
+		assert.equal(error.start, undefined);
+	});
+
+	test("should locate errors of functions called after the evaluation without the source", () => {
+		const fn = Evaluator.evaluate("() => missing");
+		const error = catchError(fn);
+		assert.deepEqual([error.code, error.start, error.end, error.codeFrame], [ERROR_CODES.UNDEFINED_VARIABLE, 6, 13, undefined]);
+	});
+
+	test("should let templates branch on the code of undefined variables", () => {
+		assert.equal(evalTemplate("{{ a }} {{ b }}", { b: 1 }), "undefined 1");
+		assert.throws(() => evalTemplate("{{ a.push(1) }}", { a: [] }), { code: ERROR_CODES.MUTABLE_METHOD });
+	});
+});
@@ -0,0 +1,140 @@
+/**
+ * @typedef {import('./Evaluator.js').TraceNode} TraceNode
+ *
+ * @typedef {Object} ExplanationNode
+ * @property {"and" | "or" | "nullish" | "not" | "condition" | "comparison" | "value"} type - The logical role of the node
+ * @property {string} source - The source of the node
+ * @property {string} [operator] - The operator of logical expressions and comparisons
+ * @property {boolean} evaluated - Whether the node was evaluated, `false` when a logical expression short-circuited it
+ * @property {*} value - The value of the node, `undefined` when not evaluated
+ * @property {boolean} [passed] - The truthiness of the value, absent when not evaluated
+ * @property {*} [left] - The value of the left operand of a comparison
+ * @property {*} [right] - The value of the right operand of a comparison
+ * @property {ExplanationNode[]} children - The operands of logical expressions and conditions
+ */
+
+const LOGICAL_TYPES = { "&&": "and", "||": "or", "??": "nullish" };
+
+const COMPARISON_OPERATORS = new Set(["==", "!=", "===", "!==", "<", "<=", ">", ">=", "in", "instanceof"]);
+
+/** Above this length, the values shown in explanation texts are truncated */
+const MAX_VALUE_LENGTH = 40;
+
+/**
+ * Finds the trace of a child node among the nodes visited by its parent.
+ * @param {TraceNode | undefined} trace - The trace of the parent, `undefined` when it was not evaluated
+ * @param {import('acorn').Node} node
+ * @returns {TraceNode | undefined}
+ */
+function findTrace(trace, node) {
+	return trace?.children.find((child) => child.type === node.type && child.start === node.start && child.end === node.end);
+}
+
+/**
+ * Explains the logical structure of an evaluated expression, from its AST and the trace of its evaluation.
+ * Logical expressions (`&&`, `||`, `??`), negations and conditions are explained through their operands,
+ * comparisons with the values of both sides, and any other node is a value.
+ * @param {import('acorn').Node} node - The node to explain
+ * @param {TraceNode | undefined} trace - The trace of the node, `undefined` when it was not evaluated
+ * @param {string} source - The evaluated expression
+ * @returns {ExplanationNode}
+ * @example
+ * explainNode(ast.body[0].expression, trace.children[0], 'age >= 18 && country === "US"')
+ * // returns { type: 'and', operator: '&&', passed: false, children: [{ type: 'comparison', left: 20, right: 18, ... }, ...], ... }
+ */
+export function explainNode(node, trace, source) {
+	const explain = (child) => explainNode(child, findTrace(trace, child), source);
+
+	let type = "value";
+	let operator;
+	let children = [];
+
+	if (node.type === "LogicalExpression") {
+		type = LOGICAL_TYPES[node.operator];
+		operator = node.operator;
+		children = [explain(node.left), explain(node.right)];
+	} else if (node.type === "UnaryExpression" && node.operator === "!") {
+		type = "not";
+		operator = "!";
+		children = [explain(node.argument)];
+	} else if (node.type === "ConditionalExpression") {
+		type = "condition";
+		children = [explain(node.test), explain(node.consequent), explain(node.alternate)];
+	} else if (node.type === "BinaryExpression" && COMPARISON_OPERATORS.has(node.operator)) {
+		type = "comparison";
+		operator = node.operator;
+	}
+
+	/** @type {ExplanationNode} */
+	const explanation = { type, source: source.slice(node.start, node.end) };
+	if (operator !== undefined) explanation.operator = operator;
+
+	explanation.evaluated = trace !== undefined;
+	explanation.value = trace?.value;
+
+	if (trace !== undefined) {
+		explanation.passed = Boolean(trace.value);
+
+		if (type === "comparison") {
+			explanation.left = findTrace(trace, node.left)?.value;
+			explanation.right = findTrace(trace, node.right)?.value;
+		}
+	}
+
+	explanation.children = children;
+	return explanation;
+}
+
+/**
+ * Renders a value of an explanation text, long values are truncated.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+	let text;
+	if (typeof value === "string") {
+		text = JSON.stringify(value);
+	} else if (typeof value === "function") {
+		text = "function";
+	} else if (value !== null && typeof value === "object") {
+		try {
+			text = JSON.stringify(value) ?? String(value);
+		} catch {
+			text = Object.prototype.toString.call(value);
+		}
+	} else {
+		text = String(value);
+	}
+
+	return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH - 3) + "..." : text;
+}
+
+/**
+ * Renders an explanation as indented text, one line per node: `✓` marks the truthy nodes, `✗` the falsy
+ * ones and `-` the nodes that were not evaluated.
+ * @param {ExplanationNode} explanation
+ * @param {import('./messages.js').MessageFormatter} formatMessage - The formatter of the labels
+ * @param {number} [depth=0] - The indentation level
+ * @returns {string}
+ * @example
+ * renderExplanation(explanation, formatMessage)
+ * // ✗ age >= 18 && country === "US" → false
+ * //   ✓ age >= 18 → true (20 >= 18)
+ * //   ✗ country === "US" → false ("FR" === "US")
+ */
+export function renderExplanation(explanation, formatMessage, depth = 0) {
+	const indent = "  ".repeat(depth);
+
+	let line;
+	if (!explanation.evaluated) {
+		line = `${indent}- ${explanation.source} (${formatMessage("EXPLAIN_NOT_EVALUATED")})`;
+	} else {
+		line = `${indent}${explanation.passed ? "✓" : "✗"} ${explanation.source} → ${formatValue(explanation.value)}`;
+
+		if (explanation.type === "comparison") {
+			line += ` (${formatValue(explanation.left)} ${explanation.operator} ${formatValue(explanation.right)})`;
+		}
+	}
+
+	return [line, ...explanation.children.map((child) => renderExplanation(child, formatMessage, depth + 1))].join("\n");
+}
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+
+describe("Evaluator.explain", () => {
+	test("should explain the operands of a failed rule", () => {
+		const { value, explanation, text } = Evaluator.explain("age >= 18 && country === 'US'", { age: 20, country: "FR" });
+
+		assert.equal(value, false);
+		assert.deepEqual(explanation, {
+			type: "and",
+			source: "age >= 18 && country === 'US'",
+			operator: "&&",
+			evaluated: true,
+			value: false,
+			passed: false,
+			children: [
+				{
+					type: "comparison",
+					source: "age >= 18",
+					operator: ">=",
+					evaluated: true,
+					value: true,
+					passed: true,
+					left: 20,
+					right: 18,
+					children: [],
+				},
+				{
+					type: "comparison",
+					source: "country === 'US'",
+					operator: "===",
+					evaluated: true,
+					value: false,
+					passed: false,
+					left: "FR",
+					right: "US",
+					children: [],
+				},
+			],
+		});
+		assert.equal(
+			text,
+			["✗ age >= 18 && country === 'US' → false", "  ✓ age >= 18 → true (20 >= 18)", '  ✗ country === \'US\' → false ("FR" === "US")'].join(
+				"\n",
+			),
+		);
+	});
+
+	test("should mark the short-circuited operands", () => {
+		const { explanation, text } = Evaluator.explain("(age < 18 && !guardian) || member", { age: 30, member: true });
+
+		const [and, member] = explanation.children;
+		assert.deepEqual(and.children[1], {
+			type: "not",
+			source: "!guardian",
+			operator: "!",
+			evaluated: false,
+			value: undefined,
+			children: [{ type: "value", source: "guardian", evaluated: false, value: undefined, children: [] }],
+		});
+		assert.equal(member.passed, true);
+		assert.equal(
+			text,
+			[
+				"✓ (age < 18 && !guardian) || member → true",
+				"  ✗ age < 18 && !guardian → false",
+				"    ✗ age < 18 → false (30 < 18)",
+				"    - !guardian (not evaluated)",
+				"      - guardian (not evaluated)",
+				"  ✓ member → true",
+			].join("\n"),
+		);
+	});
+
+	test("should explain conditions and values computed by callbacks", () => {
+		const context = { vip: false, total: 5, items: [{ price: 60 }] };
+		const { value, text } = Evaluator.explain("vip ? total > 0 : items.some(item => item.price > 50)", context);
+
+		assert.equal(value, true);
+		assert.equal(
+			text,
+			[
+				"✓ vip ? total > 0 : items.some(item => item.price > 50) → true",
+				"  ✗ vip → false",
+				"  - total > 0 (not evaluated)",
+				"  ✓ items.some(item => item.price > 50) → true",
+			].join("\n"),
+		);
+	});
+
+	test("should render long values truncated and labels in the locale", () => {
+		const roles = ["administrator", "editor", "reviewer", "subscriber"];
+		const { text } = Evaluator.explain("roles.includes(role) && active", { roles, role: "owner", active: true }, { locale: "zh-CN" });
+
+		assert.equal(text, ["✗ roles.includes(role) && active → false", "  ✗ roles.includes(role) → false", "  - active (未求值)"].join("\n"));
+		assert.equal(
+			Evaluator.explain("list === roles", { list: [], roles }).text,
+			'✗ list === roles → false ([] === ["administrator","editor","reviewer",...)',
+		);
+	});
+
+	test("should throw the errors of the evaluation", () => {
+		assert.throws(() => Evaluator.explain("user.age > 18", {}), { code: "E_UNDEFINED_VARIABLE" });
+	});
+});
@@ -1,8 +1,44 @@
+import { ERROR_CODES, EvaluationLimitError, EvaluatorError } from "./errors.js";
+import type { ErrorCode } from "./errors.js";
+import type {
+	Diagnostic,
+	EvaluateAsyncOptions,
+	EvaluatorOptions,
+	Explanation,
+	ExplanationNode,
+	ExpressionDependencies,
+	PartialEvaluateOptions,
+	TracedResult,
+	TraceNode,
+	ValidateOptions,
+} from "./Evaluator.js";
+import type { DecimalOptions, RoundingMode } from "./decimal.js";
+import type { OperatorOverload } from "./operators.js";
+import type { EvaluatorPlugin, FunctionPolicy } from "./plugins.js";
+import { PURITY } from "./purity.js";
 import { Evaluator } from "./Evaluator.js";
 import type { TemplateParserOptions } from "./TemplateParser.js";
 import { TemplateParser } from "./TemplateParser.js";
 
-export { Evaluator, TemplateParser };
+export { Evaluator, TemplateParser, EvaluatorError, EvaluationLimitError, ERROR_CODES, PURITY };
+export type {
+	DecimalOptions,
+	Diagnostic,
+	ErrorCode,
+	EvaluateAsyncOptions,
+	EvaluatorOptions,
+	EvaluatorPlugin,
+	Explanation,
+	ExplanationNode,
+	ExpressionDependencies,
+	FunctionPolicy,
+	OperatorOverload,
+	PartialEvaluateOptions,
+	RoundingMode,
+	TracedResult,
+	TraceNode,
+	ValidateOptions,
+};
 
 /**
  * 解析表达式
@@ -15,7 +51,94 @@ export { Evaluator, TemplateParser };
  * evalExpression('array.map(v => v + 1)', { array: [1, 2, 3] }) // [2, 3, 4]
  * ```
  */
-export declare function evalExpression<T = unknown>(expr: string, context?: unknown): T;
+export declare function evalExpression<T = unknown>(expr: string, context?: unknown, options?: EvaluatorOptions): T;
+
+/**
+ * 异步解析表达式，支持 `await` 与异步箭头函数
+ * @param expr
+ * @param context
+ * @param options
+ * @example
+ * ```js
+ * await evalExpressionAsync('(await user.getPlan()).name', { user }); // 'pro'
+ * await evalExpressionAsync('await fetchScore()', { fetchScore }, { signal: AbortSignal.timeout(1000) });
+ * ```
+ */
+export declare function evalExpressionAsync<T = unknown>(
+	expr: string,
+	context?: unknown,
+	options?: EvaluatorOptions & EvaluateAsyncOptions
+): Promise<T>;
+
+/**
+ * 预编译表达式，返回可重复调用的求值函数
+ * @param expr
+ * @example
+ * ```js
+ * const isAdult = compileExpression('age >= 18');
+ * isAdult({ age: 20 }); // true
+ * isAdult({ age: 16 }); // false
+ * ```
+ */
+export declare function compileExpression<T = unknown>(expr: string, options?: EvaluatorOptions): (context?: unknown) => T;
+
+/**
+ * 静态分析表达式读取的上下文变量与成员路径，不执行表达式
+ * @param expr
+ * @param options
+ * @example
+ * ```js
+ * getDependencies('user.address.city + fee');
+ * // { variables: ['user', 'fee'], paths: ['user.address.city', 'fee'], dynamic: [], globals: [] }
+ * getDependencies('items.map(item => item.price * rates[currency])');
+ * // { variables: ['items', 'currency', 'rates'], paths: ['items', 'currency', 'rates'], dynamic: ['rates'], globals: [] }
+ * ```
+ */
+export declare function getDependencies(expr: string, options?: EvaluatorOptions): ExpressionDependencies;
+
+/**
+ * 静态检查表达式（不求值），返回带有源码偏移量的诊断信息
+ * @param expr
+ * @param options
+ * @example
+ * ```js
+ * validate('[3, 1].sort()[0] + x', { variables: ['items'] });
+ * // [
+ * //   { message: 'Mutable method is not allowed', code: 'E_MUTABLE_METHOD', start: 7, end: 11, severity: 'error' },
+ * //   { message: 'x is not defined', code: 'E_UNDEFINED_VARIABLE', start: 19, end: 20, severity: 'error' },
+ * // ]
+ * ```
+ */
+export declare function validate(expr: string, options?: ValidateOptions): Diagnostic[];
+
+/**
+ * 求值布尔规则并解释结果：哪些 `&&`/`||`/`!` 分支与比较为真或假、哪些被短路，以及比较的实际值
+ * @param expr
+ * @param context
+ * @param options
+ * @example
+ * ```js
+ * explain('age >= 18 && country === "US"', { age: 20, country: 'FR' }).text;
+ * // ✗ age >= 18 && country === "US" → false
+ * //   ✓ age >= 18 → true (20 >= 18)
+ * //   ✗ country === "US" → false ("FR" === "US")
+ * ```
+ */
+export declare function explain<T = unknown>(expr: string, context?: unknown, options?: EvaluatorOptions): Explanation<T>;
+
+/**
+ * 用预先已知的部分上下文（例如租户配置）部分求值表达式：折叠常量、已知变量与纯函数调用，剪除已确定的条件与逻辑分支，
+ * 返回仍引用未知变量的剩余表达式，供每次请求以更低的开销求值
+ * @param expr
+ * @param knownContext
+ * @param options
+ * @example
+ * ```js
+ * partialEvaluate('plan === "pro" && seats > limit', { plan: 'pro', limit: 10 }); // 'seats > 10'
+ * partialEvaluate('plan === "pro" && seats > limit', { plan: 'free' }); // 'false'
+ * ```
+ */
+export declare function partialEvaluate(expr: string, knownContext?: object, options?: PartialEvaluateOptions): string;
 
 /**
  * 解析模板
@@ -26,4 +149,30 @@ export declare function evalExpression<T = unknown>(expr: string, context?: unkn
  * evalTemplate("Hello {{ name }}!", context); // Hello world!
  * ```
  */
-export declare function evalTemplate(template: string, context?: unknown, templateParserOptions?: TemplateParserOptions): string;
+export declare function evalTemplate(
+	template: string,
+	context?: unknown,
+	templateParserOptions?: TemplateParserOptions,
+	evaluatorOptions?: EvaluatorOptions
+): string;
+
+/**
+ * 创建共享同一组求值器选项（例如插件与全局变量）的求值函数
+ * @param options
+ * @example
+ * ```js
+ * const { evalExpression, evalTemplate } = createEvaluator({ plugins: [moneyPlugin] });
+ * evalExpression('formatMoney(total)', { total: 10 }); // '$10.00'
+ * evalTemplate('Total: {{ formatMoney(total) }}', { total: 10 }); // 'Total: $10.00'
+ * ```
+ */
+export declare function createEvaluator(options?: EvaluatorOptions): {
+	evalExpression<T = unknown>(expr: string, context?: unknown): T;
+	evalExpressionAsync<T = unknown>(expr: string, context?: unknown, options?: EvaluateAsyncOptions): Promise<T>;
+	compileExpression<T = unknown>(expr: string): (context?: unknown) => T;
+	getDependencies(expr: string): ExpressionDependencies;
+	validate(expr: string, options?: Pick<ValidateOptions, "variables" | "async">): Diagnostic[];
+	explain<T = unknown>(expr: string, context?: unknown): Explanation<T>;
+	partialEvaluate(expr: string, knownContext?: object): string;
+	evalTemplate(template: string, context?: unknown, templateParserOptions?: TemplateParserOptions): string;
+};
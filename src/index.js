@@ -1,18 +1,108 @@
+import { ERROR_CODES, EvaluationLimitError, EvaluatorError } from "./errors.js";
 import { Evaluator } from "./Evaluator.js";
+import { PURITY } from "./purity.js";
 import { TemplateParser } from "./TemplateParser.js";
 
-export { Evaluator, TemplateParser };
+export { Evaluator, TemplateParser, EvaluatorError, EvaluationLimitError, ERROR_CODES, PURITY };
 
 /**
  * Evaluates a JavaScript expression with an optional context.
  * @param {string} expression - The JavaScript expression to evaluate
  * @param {unknown} [context] - Optional context object with variables to use in the expression
+ * @param {Object} [options] - Optional evaluator options, such as `maxSteps` and `timeoutMs`
  * @returns {*} The result of evaluating the expression
  * @example
  * evalExpression('a + b', { a: 1, b: 2 }) // returns 3
  */
-export function evalExpression(expression, context) {
-	return Evaluator.evaluate(expression, context);
+export function evalExpression(expression, context, options) {
+	return Evaluator.evaluate(expression, context, options);
+}
+
+/**
+ * Evaluates a JavaScript expression that may use `await` with an optional context.
+ * @param {string} expression - The JavaScript expression to evaluate
+ * @param {unknown} [context] - Optional context object with variables to use in the expression
+ * @param {Object} [options] - Optional evaluator options and an AbortSignal (`signal`) to cancel the evaluation
+ * @returns {Promise<*>} The result of evaluating the expression
+ * @example
+ * await evalExpressionAsync('(await user.getPlan()).name', { user }) // returns 'pro'
+ */
+export function evalExpressionAsync(expression, context, options) {
+	return Evaluator.evaluateAsync(expression, context, options);
+}
+
+/**
+ * Compiles a JavaScript expression once into a reusable function.
+ * Use it when the same expression is evaluated many times with different contexts.
+ * @param {string} expression - The JavaScript expression to compile
+ * @param {Object} [options] - Optional evaluator options applied to every evaluation
+ * @returns {(context?: unknown) => *} A function evaluating the expression with the given context
+ * @example
+ * const sum = compileExpression('a + b');
+ * sum({ a: 1, b: 2 }) // returns 3
+ */
+export function compileExpression(expression, options) {
+	return Evaluator.compile(expression, options);
+}
+
+/**
+ * Statically analyzes a JavaScript expression and returns the context variables and member paths it reads,
+ * e.g. to fetch only the needed data or to invalidate cached results.
+ * @param {string} expression - The JavaScript expression to analyze
+ * @param {Object} [options] - Optional evaluator options, the sandbox scope they configure decides which identifiers are globals
+ * @returns {{ variables: string[], paths: string[], dynamic: string[], globals: string[] }} The dependencies of the expression
+ * @example
+ * getDependencies('user.address.city + fee') // returns { variables: ['user', 'fee'], paths: ['user.address.city', 'fee'], dynamic: [], globals: [] }
+ */
+export function getDependencies(expression, options) {
+	return Evaluator.getDependencies(expression, options);
+}
+
+/**
+ * Statically checks a JavaScript expression without evaluating it, e.g. to underline the problems of
+ * an expression in an editor before it is saved.
+ * @param {string} expression - The JavaScript expression to check
+ * @param {Object} [options] - Optional evaluator options, the declared context `variables` and `async` to allow `await`
+ * @returns {{ message: string, code: string, start: number, end: number, severity: "error" | "warning" }[]} The diagnostics, with their offsets in the expression
+ * @example
+ * validate('user.name = x', { variables: ['user'] })
+ * // returns [
+ * //   { message: "Assignment to 'user.name' is not allowed, only local let variables can be assigned", code: 'E_ASSIGNMENT_NOT_ALLOWED', start: 0, end: 9, severity: 'error' },
+ * //   { message: 'x is not defined', code: 'E_UNDEFINED_VARIABLE', start: 12, end: 13, severity: 'error' },
+ * // ]
+ */
+export function validate(expression, options) {
+	return Evaluator.validate(expression, options);
+}
+
+/**
+ * Evaluates a boolean rule and explains its result, e.g. to tell users why they are not eligible.
+ * @param {string} expression - The JavaScript expression to evaluate
+ * @param {unknown} [context] - Optional context object with variables to use in the expression
+ * @param {Object} [options] - Optional evaluator options, `locale` and `messages` also apply to the text
+ * @returns {{ value: *, explanation: Object, text: string }} The result, its explanation tree and the explanation as text
+ * @example
+ * explain('age >= 18 && country === "US"', { age: 20, country: 'FR' }).text
+ * // ✗ age >= 18 && country === "US" → false
+ * //   ✓ age >= 18 → true (20 >= 18)
+ * //   ✗ country === "US" → false ("FR" === "US")
+ */
+export function explain(expression, context, options) {
+	return Evaluator.explain(expression, context, options);
+}
+
+/**
+ * Specializes an expression for the part of its context known in advance, e.g. the settings of a tenant,
+ * so that the residual expression is cheaper to evaluate with the rest of the context.
+ * @param {string} expression - The JavaScript expression to specialize
+ * @param {Object} [knownContext] - The variables known in advance
+ * @param {Object} [options] - Optional evaluator options, and `async` to allow `await`
+ * @returns {string} The residual expression, still reading the unknown variables
+ * @example
+ * partialEvaluate('plan === "pro" && seats > limit', { plan: 'pro', limit: 10 }) // returns 'seats > 10'
+ */
+export function partialEvaluate(expression, knownContext, options) {
+	return Evaluator.partialEvaluate(expression, knownContext, options);
 }
 
 /**
@@ -21,22 +111,29 @@ export function evalExpression(expression, context) {
  * @param {string} template - The template string containing {{ expression }} patterns
  * @param {Object} [context] - Optional context object with variables to use in expressions
  * @param {Object} [templateParserOptions] - Optional options for the template parser
+ * @param {Object} [evaluatorOptions] - Optional evaluator options applied to every expression
  * @returns {string} The template with all expressions evaluated and replaced
  * @example
  * evalTemplate('Hello {{ name }}!', { name: 'World' }) // returns 'Hello World!'
  */
-export function evalTemplate(template, context, templateParserOptions) {
+export function evalTemplate(template, context, templateParserOptions, evaluatorOptions) {
 	let result = "";
 
-	for (const token of TemplateParser.parse(template, templateParserOptions)) {
+	// The parser reports in the locale of the evaluator unless its own options say otherwise
+	const parserOptions = { locale: evaluatorOptions?.locale, messages: evaluatorOptions?.messages, ...templateParserOptions };
+
+	// Templates render values, the traces of their expressions are only reported through `onTrace`
+	const options = evaluatorOptions?.trace ? { ...evaluatorOptions, trace: false } : evaluatorOptions;
+
+	for (const token of TemplateParser.parse(template, parserOptions)) {
 		if (token.type === "text") {
 			result += token.value;
 		} else if (token.type === "expression") {
 			try {
-				result += Evaluator.evaluate(token.value, context);
+				result += Evaluator.evaluate(token.value, context, options);
 			} catch (error) {
 				// Replace undefined variables with empty string for graceful degradation
-				if (error instanceof ReferenceError && error.message.endsWith("is not defined")) {
+				if (error instanceof EvaluatorError && error.code === ERROR_CODES.UNDEFINED_VARIABLE) {
 					result += "undefined";
 				} else {
 					throw error;
@@ -47,3 +144,57 @@ export function evalTemplate(template, context, templateParserOptions) {
 
 	return result;
 }
+
+/**
+ * Creates a set of evaluation functions sharing the same evaluator options,
+ * e.g. the plugins and globals of a product.
+ * @param {Object} [options] - Evaluator options applied to every evaluation
+ * @returns The evaluation functions of this module, bound to the options
+ * @example
+ * const { evalExpression } = createEvaluator({ plugins: [moneyPlugin] });
+ * evalExpression('formatMoney(total)', { total: 10 }) // returns '$10.00'
+ */
+export function createEvaluator(options = {}) {
+	return {
+		/**
+		 * @param {string} expression
+		 * @param {unknown} [context]
+		 */
+		evalExpression: (expression, context) => evalExpression(expression, context, options),
+		/**
+		 * @param {string} expression
+		 * @param {unknown} [context]
+		 * @param {{ signal?: AbortSignal }} [asyncOptions]
+		 */
+		evalExpressionAsync: (expression, context, asyncOptions) => evalExpressionAsync(expression, context, { ...options, ...asyncOptions }),
+		/**
+		 * @param {string} expression
+		 */
+		compileExpression: (expression) => compileExpression(expression, options),
+		/**
+		 * @param {string} expression
+		 */
+		getDependencies: (expression) => getDependencies(expression, options),
+		/**
+		 * @param {string} expression
+		 * @param {{ variables?: string[], async?: boolean }} [validateOptions]
+		 */
+		validate: (expression, validateOptions) => validate(expression, { ...options, ...validateOptions }),
+		/**
+		 * @param {string} expression
+		 * @param {unknown} [context]
+		 */
+		explain: (expression, context) => explain(expression, context, options),
+		/**
+		 * @param {string} expression
+		 * @param {Object} [knownContext]
+		 */
+		partialEvaluate: (expression, knownContext) => partialEvaluate(expression, knownContext, options),
+		/**
+		 * @param {string} template
+		 * @param {unknown} [context]
+		 * @param {Object} [templateParserOptions]
+		 */
+		evalTemplate: (template, context, templateParserOptions) => evalTemplate(template, context, templateParserOptions, options),
+	};
+}
@@ -1,7 +1,7 @@
 import { strict as assert } from "node:assert";
 import { describe, test } from "node:test";
 
-import { evalTemplate, evalExpression } from "./index.js";
+import { evalTemplate, evalExpression, evalExpressionAsync, compileExpression, createEvaluator, EvaluationLimitError } from "./index.js";
 
 describe("evalTemplate", () => {
 	describe("Basic Features", () => {
@@ -269,3 +269,64 @@ describe("evalExpression", () => {
 		});
 	});
 });
+
+describe("evalExpressionAsync", () => {
+	test("should await async context functions", async () => {
+		const context = { user: { getPlan: async () => ({ name: "pro" }) } };
+		const result = await evalExpressionAsync("(await user.getPlan()).name", context);
+		assert.equal(result, "pro");
+	});
+
+	test("should be cancellable", async () => {
+		const context = { wait: () => new Promise(() => {}) };
+		await assert.rejects(evalExpressionAsync("await wait()", context, { signal: AbortSignal.timeout(10) }), { name: "TimeoutError" });
+	});
+});
+
+describe("Execution Budget", () => {
+	test("should pass options through evalExpression", () => {
+		assert.throws(() => evalExpression("[1, 2, 3].map(x => x * 2)", {}, { maxSteps: 5 }), EvaluationLimitError);
+		assert.deepEqual(evalExpression("[1, 2, 3].map(x => x * 2)", {}, { maxSteps: 100 }), [2, 4, 6]);
+	});
+
+	test("should apply the budget to every call of a compiled expression", () => {
+		const fn = compileExpression("items.map(x => x + 1)", { maxSteps: 20 });
+		assert.deepEqual(fn({ items: [1, 2] }), [2, 3]);
+		assert.throws(() => fn({ items: Array.from({ length: 100 }) }), { limit: "maxSteps" });
+	});
+});
+
+describe("Evaluator Options", () => {
+	test("should pass evaluator options to every expression of a template", () => {
+		const options = { globals: { upper: (value) => value.toUpperCase() }, denyGlobals: ["JSON"] };
+		assert.equal(evalTemplate("Hello {{ upper(name) }}!", { name: "world" }, undefined, options), "Hello WORLD!");
+		// Hidden globals are undefined variables for the template
+		assert.equal(evalTemplate("{{ JSON.stringify(name) }}", { name: "world" }, undefined, options), "undefined");
+	});
+
+	test("should render the values of traced expressions", () => {
+		const traces = [];
+		const options = { trace: true, onTrace: (trace) => traces.push(trace.source) };
+		assert.equal(evalTemplate("x={{ a }}, y={{ a + 1 }}", { a: 1 }, undefined, options), "x=1, y=2");
+		assert.deepEqual(traces, ["a", "a + 1"]);
+		assert.equal(createEvaluator({ trace: true }).evalTemplate("x={{ a }}", { a: 1 }), "x=1");
+	});
+});
+
+describe("createEvaluator", () => {
+	const helpers = { name: "helpers", functions: { pluralize: (count, word) => (count === 1 ? word : `${word}s`) } };
+	const { evalExpression, evalExpressionAsync, compileExpression, evalTemplate, getDependencies, validate, explain, partialEvaluate } =
+		createEvaluator({ plugins: [helpers] });
+
+	test("should share the options between the evaluation functions", async () => {
+		assert.equal(evalExpression("pluralize(n, 'day')", { n: 2 }), "days");
+		assert.equal(await evalExpressionAsync("pluralize(await n, 'day')", { n: Promise.resolve(1) }), "day");
+		assert.equal(compileExpression("pluralize(n, 'day')")({ n: 3 }), "days");
+		assert.equal(evalTemplate("{{ n }} {{ pluralize(n, 'day') }}", { n: 4 }), "4 days");
+		assert.deepEqual(getDependencies("pluralize(n, 'day')").globals, ["pluralize"]);
+		assert.deepEqual(validate("pluralize(n, 1)", { variables: ["n"] }), []);
+		assert.equal(explain("pluralize(n, 'day') === 'days'", { n: 1 }).text, '✗ pluralize(n, \'day\') === \'days\' → false ("day" === "days")');
+		// Plugin functions are impure unless their policy says otherwise
+		assert.equal(partialEvaluate("pluralize(n, 'day') + suffix", { n: 2 }), "pluralize(2, \"day\") + suffix");
+	});
+});
@@ -0,0 +1,210 @@
+import { ERROR_CODES, EvaluatorTypeError } from "./errors.js";
+import { isBuiltinFunction, PURITY } from "./purity.js";
+
+/** Built-ins whose methods need their internal slots, a proxy cannot be their `this` */
+const SLOTTED_CONSTRUCTORS = [Map, Set, WeakMap, WeakSet, Date, RegExp, Promise, ArrayBuffer, Boolean, Number, String];
+
+/** The prototype shared by the built-in iterators and generator objects */
+const ITERATOR_PROTOTYPE = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()));
+
+/**
+ * @param {object} value
+ * @returns {boolean}
+ */
+function hasInternalSlots(value) {
+	return (
+		ArrayBuffer.isView(value) ||
+		SLOTTED_CONSTRUCTORS.some((Constructor) => value instanceof Constructor) ||
+		Object.prototype.isPrototypeOf.call(ITERATOR_PROTOTYPE, value)
+	);
+}
+
+/**
+ * Whether a proxy of the object can return values other than the original ones. The proxy invariants
+ * forbid it for frozen properties (non-configurable and non-writable) and for non-extensible objects.
+ * @param {object} value
+ * @returns {boolean}
+ */
+function canProxyDirectly(value) {
+	if (!Object.isExtensible(value)) return false;
+
+	return Reflect.ownKeys(value).every((key) => {
+		const descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+		return descriptor.configurable || !("value" in descriptor) || descriptor.writable;
+	});
+}
+
+/**
+ * Finds the getter of a property in the prototype chain of an object.
+ * @param {object} object
+ * @param {PropertyKey} key
+ * @returns {Function | undefined}
+ */
+function findGetter(object, key) {
+	for (let holder = object; holder !== null; holder = Object.getPrototypeOf(holder)) {
+		const descriptor = Reflect.getOwnPropertyDescriptor(holder, key);
+		if (descriptor) return descriptor.get;
+	}
+
+	return undefined;
+}
+
+/**
+ * Creates a read-only membrane. Objects wrapped by the membrane are proxies that forward every read
+ * to the original object and wrap the values they return, while every write (`set`, `defineProperty`,
+ * `deleteProperty`, `setPrototypeOf`, `preventExtensions`) throws a TypeError. Getters run with the proxy
+ * as `this`, so their side effects on the object are rejected too.
+ *
+ * Functions are not wrapped, the evaluator keeps their identity for its checks and wraps their results.
+ * Native methods of built-ins with internal slots (`Map`, `Date`, iterators...) are bound to the original
+ * object, since they cannot run on a proxy, and wrap what they return or pass to their callbacks.
+ * Mutating ones are returned as is, they are rejected when called.
+ *
+ * A proxy has none of the private fields of its object, so methods and getters reading `#private` fields
+ * throw on it. Those the host declares pure run on the original object instead, and their results are wrapped.
+ *
+ * @param {(func: Function) => boolean} isMutating - Whether a function is a mutating method
+ * @param {(func: Function, target: object) => boolean} isPure - Whether a method or getter of an object is declared pure by
+ * a source trusted to run it on the original object
+ * @param {string} message - The message of the errors thrown by writes
+ * @returns {{ wrap: <T>(value: T) => T, unwrap: <T>(value: T) => T }} `unwrap` returns the object of a proxy, other values as is
+ * @example
+ * const { wrap } = createReadonlyMembrane(() => false, () => false, 'Cannot modify a read-only context value');
+ * const user = wrap({ name: 'Ada' });
+ * user.name = 'Bob' // throws TypeError
+ */
+export function createReadonlyMembrane(isMutating, isPure, message) {
+	/** @type {WeakMap<object, object>} */
+	const proxies = new WeakMap();
+	/**
+	 * The objects of the proxies
+	 * @type {WeakMap<object, object>}
+	 */
+	const targets = new WeakMap();
+	/** @type {WeakMap<object, Map<Function, Function>>} */
+	const boundMethods = new WeakMap();
+
+	const reject = () => {
+		throw new EvaluatorTypeError(message, ERROR_CODES.READONLY_CONTEXT);
+	};
+
+	/**
+	 * @param {object} target - An object with internal slots
+	 * @param {Function} method - One of its native methods
+	 * @returns {Function}
+	 */
+	const bindNative = (target, method) => {
+		let methods = boundMethods.get(target);
+		if (!methods) {
+			methods = new Map();
+			boundMethods.set(target, methods);
+		}
+
+		let bound = methods.get(method);
+		if (!bound) {
+			bound = (...args) => {
+				// Matching moves `lastIndex`, a copy keeps the original regular expression unchanged
+				const receiver = target instanceof RegExp ? Object.assign(new RegExp(target), { lastIndex: target.lastIndex }) : target;
+				const callbacks = args.map((arg) => (typeof arg === "function" ? (...values) => arg(...values.map(wrap)) : arg));
+				return wrap(Reflect.apply(method, receiver, callbacks));
+			};
+			// Bound methods stand for the native ones, they are not host functions without policy
+			Object.defineProperty(bound, PURITY, { value: "impure" });
+			methods.set(method, bound);
+		}
+
+		return bound;
+	};
+
+	/**
+	 * @param {object} target - An object of the context
+	 * @param {Function} method - One of its methods declared pure
+	 * @returns {Function}
+	 */
+	const bindPure = (target, method) => {
+		let methods = boundMethods.get(target);
+		if (!methods) {
+			methods = new Map();
+			boundMethods.set(target, methods);
+		}
+
+		let bound = methods.get(method);
+		if (!bound) {
+			bound = (...args) => wrap(Reflect.apply(method, target, args));
+			Object.defineProperty(bound, PURITY, { value: "pure" });
+			methods.set(method, bound);
+		}
+
+		return bound;
+	};
+
+	/**
+	 * @param {*} value - A function read from a wrapped object
+	 * @param {object} target - The wrapped object
+	 */
+	const wrapMethod = (value, target) => {
+		if (hasInternalSlots(target) && isBuiltinFunction(value) && !isMutating(value)) {
+			return bindNative(target, value);
+		}
+
+		return isPure(value, target) ? bindPure(target, value) : value;
+	};
+
+	/**
+	 * @template T
+	 * @param {T} value
+	 * @returns {T}
+	 */
+	const wrap = (value) => {
+		if (value === null || typeof value !== "object" || targets.has(value)) {
+			return value;
+		}
+
+		let proxy = proxies.get(value);
+		if (proxy) return proxy;
+
+		const target = value;
+		const slotted = hasInternalSlots(target);
+
+		// Frozen objects are proxied through an empty shadow target, so the values the proxy returns
+		// are not bound by the invariants of their frozen properties
+		const shadow = canProxyDirectly(target) ? target : Array.isArray(target) ? [] : {};
+
+		proxy = new Proxy(shadow, {
+			get(_, key, receiver) {
+				const getter = slotted ? undefined : findGetter(target, key);
+				const result = Reflect.get(target, key, slotted || (getter !== undefined && isPure(getter, target)) ? target : receiver);
+				return typeof result === "function" ? wrapMethod(result, target) : wrap(result);
+			},
+			has: (_, key) => Reflect.has(target, key),
+			ownKeys: () => Reflect.ownKeys(target),
+			getOwnPropertyDescriptor(_, key) {
+				const descriptor = Reflect.getOwnPropertyDescriptor(target, key);
+				if (!descriptor) return undefined;
+
+				if ("value" in descriptor) {
+					descriptor.value = typeof descriptor.value === "function" ? wrapMethod(descriptor.value, target) : wrap(descriptor.value);
+				}
+
+				if (shadow !== target) {
+					// Only the shadow's own properties (an array's `length`) can be reported as non-configurable
+					descriptor.configurable = !Object.hasOwn(shadow, key);
+				}
+				return descriptor;
+			},
+			getPrototypeOf: () => Reflect.getPrototypeOf(target),
+			isExtensible: () => Reflect.isExtensible(shadow),
+			set: reject,
+			defineProperty: reject,
+			deleteProperty: reject,
+			setPrototypeOf: reject,
+			preventExtensions: reject,
+		});
+
+		proxies.set(target, proxy);
+		targets.set(proxy, target);
+		return proxy;
+	};
+
+	return { wrap, unwrap: (value) => targets.get(value) ?? value };
+}
@@ -0,0 +1,139 @@
+/**
+ * @typedef {Record<string, string>} MessageCatalog
+ * Messages keyed by error code, or by an error code and a variant for codes raised in several
+ * situations, e.g. `E_UNSUPPORTED_SYNTAX.this`. `{name}` placeholders are replaced by parameters.
+ * The `E_INVALID_OPTION` messages are those of the errors thrown when creating an evaluator with invalid options.
+ */
+
+/** @type {MessageCatalog} */
+const en = {
+	E_SYNTAX: "{message}",
+	E_UNSUPPORTED_SYNTAX: "'{syntax}' is not a valid syntax",
+	"E_UNSUPPORTED_SYNTAX.this": "'this' keyword is not allowed",
+	"E_UNSUPPORTED_SYNTAX.delete": "Delete operator is not allowed",
+	"E_UNSUPPORTED_SYNTAX.declaration": "'{kind}' declarations are not supported, use const or let",
+	"E_UNSUPPORTED_SYNTAX.generator": "Generator methods are not supported",
+	"E_UNSUPPORTED_SYNTAX.operator": "Unsupported operator: {operator}",
+	"E_UNSUPPORTED_SYNTAX.pattern": "Unsupported pattern type '{type}'",
+	E_UNDEFINED_VARIABLE: "{name} is not defined",
+	E_UNINITIALIZED_VARIABLE: "Cannot access '{name}' before initialization",
+	E_ASSIGNMENT_NOT_ALLOWED: "Assignment to '{target}' is not allowed, only local let variables can be assigned",
+	E_CONSTANT_ASSIGNMENT: "Assignment to constant variable.",
+	E_MEMBER_NOT_ALLOWED: "Access to '{key}' is not allowed",
+	E_MUTABLE_METHOD: "Mutable method is not allowed",
+	E_FUNCTION_CONSTRUCTOR: "Function constructor is not allowed",
+	"E_FUNCTION_CONSTRUCTOR.new": "Cannot use new with Function constructor",
+	E_INDIRECT_INVOCATION: "Indirect invocation functions cannot be passed as arguments or bound",
+	"E_INDIRECT_INVOCATION.reader": "'{name}' reads members under the member access policy, it cannot be passed as an argument or bound",
+	"E_INDIRECT_INVOCATION.creator": "'{name}' creates objects checked by the evaluator, it cannot be passed as an argument or bound",
+	E_UNANNOTATED_FUNCTION: "Function '{name}' has no purity annotation",
+	E_CONSTRUCTOR_NOT_ALLOWED: "Constructor '{name}' is not allowed",
+	E_READONLY_CONTEXT: "Cannot modify a read-only context value",
+	E_NOT_A_FUNCTION: "{callee} is not a function",
+	E_PROPERTY_READ: "Cannot read property '{key}' of {object}",
+	E_NOT_ITERABLE: "{type} is not iterable",
+	E_NOT_DESTRUCTURABLE: "Cannot destructure '{value}' as it is {value}.",
+	E_INVALID_ARGUMENTS: "CreateListFromArrayLike called on non-object",
+	"E_INVALID_ARGUMENTS.length": "Too many arguments in function call",
+	"E_INVALID_ARGUMENTS.toFixed": "toFixed() digits argument must be between 0 and 100",
+	"E_LIMIT_EXCEEDED.maxSteps": "Evaluation exceeded the limit of {limit} steps",
+	"E_LIMIT_EXCEEDED.timeoutMs": "Evaluation timed out after {limit}ms",
+	"E_LIMIT_EXCEEDED.maxStringLength": "String length exceeds the limit of {limit}",
+	"E_LIMIT_EXCEEDED.maxArrayLength": "Array length exceeds the limit of {limit}",
+	"E_LIMIT_EXCEEDED.maxObjectKeys": "Object key count exceeds the limit of {limit}",
+	E_INVALID_TEMPLATE: "Template must be a string",
+	"E_INVALID_OPTION.arithmetic": "Arithmetic must be float or decimal",
+	"E_INVALID_OPTION.purity": "Purity of '{name}' must be one of {policies}",
+	"E_INVALID_OPTION.pluginBinding": "Plugin '{plugin}' redefines '{key}'",
+	"E_INVALID_OPTION.pluginFunction": "Plugin '{plugin}' function '{key}' is not a function",
+	"E_INVALID_OPTION.pluginPolicyTarget": "Plugin '{plugin}' has a policy for unknown function '{key}'",
+	"E_INVALID_OPTION.pluginPolicy": "Plugin '{plugin}' policy of '{key}' must be one of {policies}",
+	"E_INVALID_OPTION.decimalPrecision": "Decimal precision must be a non-negative integer",
+	"E_INVALID_OPTION.decimalRounding": "Decimal rounding must be one of {modes}",
+	"E_INVALID_OPTION.decimalOutput": "Decimal output must be number or string",
+	"E_INVALID_OPTION.overloadTest": "Operator overload requires a test function",
+	"E_INVALID_OPTION.overloadBinary": "Binary operator '{operator}' cannot be overloaded",
+	"E_INVALID_OPTION.overloadUnary": "Unary operator '{operator}' cannot be overloaded",
+	W_UNCLOSED_EXPRESSION: "Warning: the expression starting at position {position} is not closed",
+	EXPLAIN_NOT_EVALUATED: "not evaluated",
+};
+
+/** @type {MessageCatalog} */
+const zhCN = {
+	E_SYNTAX: "语法错误：{message}",
+	E_UNSUPPORTED_SYNTAX: "'{syntax}' 不是有效的语法",
+	"E_UNSUPPORTED_SYNTAX.this": "不允许使用 'this' 关键字",
+	"E_UNSUPPORTED_SYNTAX.delete": "不允许使用 delete 运算符",
+	"E_UNSUPPORTED_SYNTAX.declaration": "不支持 '{kind}' 声明，请使用 const 或 let",
+	"E_UNSUPPORTED_SYNTAX.generator": "不支持生成器方法",
+	"E_UNSUPPORTED_SYNTAX.operator": "不支持的运算符：{operator}",
+	"E_UNSUPPORTED_SYNTAX.pattern": "不支持的模式类型 '{type}'",
+	E_UNDEFINED_VARIABLE: "{name} 未定义",
+	E_UNINITIALIZED_VARIABLE: "不能在初始化之前访问 '{name}'",
+	E_ASSIGNMENT_NOT_ALLOWED: "不允许对 '{target}' 赋值，只能对局部 let 变量赋值",
+	E_CONSTANT_ASSIGNMENT: "不能对常量赋值。",
+	E_MEMBER_NOT_ALLOWED: "不允许访问 '{key}'",
+	E_MUTABLE_METHOD: "不允许调用可变方法",
+	E_FUNCTION_CONSTRUCTOR: "不允许使用 Function 构造函数",
+	"E_FUNCTION_CONSTRUCTOR.new": "不能对 Function 构造函数使用 new",
+	E_INDIRECT_INVOCATION: "间接调用函数不能作为参数传递或被绑定",
+	"E_INDIRECT_INVOCATION.reader": "'{name}' 按成员访问策略读取成员，不能作为参数传递或被绑定",
+	"E_INDIRECT_INVOCATION.creator": "'{name}' 创建的对象需要由求值器检查，不能作为参数传递或被绑定",
+	E_UNANNOTATED_FUNCTION: "函数 '{name}' 没有纯度标注",
+	E_CONSTRUCTOR_NOT_ALLOWED: "不允许使用构造函数 '{name}'",
+	E_READONLY_CONTEXT: "不能修改只读的上下文值",
+	E_NOT_A_FUNCTION: "{callee} 不是函数",
+	E_PROPERTY_READ: "无法读取 {object} 的属性 '{key}'",
+	E_NOT_ITERABLE: "{type} 不可迭代",
+	E_NOT_DESTRUCTURABLE: "无法解构 '{value}'，因为它是 {value}。",
+	E_INVALID_ARGUMENTS: "参数列表必须是对象",
+	"E_INVALID_ARGUMENTS.length": "函数调用的参数过多",
+	"E_INVALID_ARGUMENTS.toFixed": "toFixed() 的位数参数必须在 0 到 100 之间",
+	"E_LIMIT_EXCEEDED.maxSteps": "求值超出了 {limit} 步的限制",
+	"E_LIMIT_EXCEEDED.timeoutMs": "求值在 {limit} 毫秒后超时",
+	"E_LIMIT_EXCEEDED.maxStringLength": "字符串长度超出了 {limit} 的限制",
+	"E_LIMIT_EXCEEDED.maxArrayLength": "数组长度超出了 {limit} 的限制",
+	"E_LIMIT_EXCEEDED.maxObjectKeys": "对象键数量超出了 {limit} 的限制",
+	E_INVALID_TEMPLATE: "模板必须是字符串",
+	"E_INVALID_OPTION.arithmetic": "算术模式必须是 float 或 decimal",
+	"E_INVALID_OPTION.purity": "'{name}' 的纯度必须是 {policies} 之一",
+	"E_INVALID_OPTION.pluginBinding": "插件 '{plugin}' 重复定义了 '{key}'",
+	"E_INVALID_OPTION.pluginFunction": "插件 '{plugin}' 的函数 '{key}' 不是函数",
+	"E_INVALID_OPTION.pluginPolicyTarget": "插件 '{plugin}' 为未知函数 '{key}' 声明了策略",
+	"E_INVALID_OPTION.pluginPolicy": "插件 '{plugin}' 中 '{key}' 的策略必须是 {policies} 之一",
+	"E_INVALID_OPTION.decimalPrecision": "小数精度必须是非负整数",
+	"E_INVALID_OPTION.decimalRounding": "小数舍入模式必须是 {modes} 之一",
+	"E_INVALID_OPTION.decimalOutput": "小数输出必须是 number 或 string",
+	"E_INVALID_OPTION.overloadTest": "运算符重载需要 test 函数",
+	"E_INVALID_OPTION.overloadBinary": "二元运算符 '{operator}' 不能被重载",
+	"E_INVALID_OPTION.overloadUnary": "一元运算符 '{operator}' 不能被重载",
+	W_UNCLOSED_EXPRESSION: "警告：在位置 {position} 开始的表达式未正确结束",
+	EXPLAIN_NOT_EVALUATED: "未求值",
+};
+
+/** The built-in locales, other locales fall back to English */
+const LOCALES = { en, "zh-CN": zhCN };
+
+/**
+ * @typedef {(key: string, params?: Record<string, unknown>) => string} MessageFormatter
+ */
+
+/**
+ * Creates the formatter of the messages of a locale. Custom messages take precedence over the locale,
+ * and the keys missing from both use the English message.
+ *
+ * @param {string} [locale="en"] - A built-in locale, `en` or `zh-CN`
+ * @param {MessageCatalog} [messages] - Custom messages, e.g. the translations of a rule editor
+ * @returns {MessageFormatter}
+ * @example
+ * const format = createMessageFormatter('zh-CN');
+ * format('E_UNDEFINED_VARIABLE', { name: 'x' }) // returns 'x 未定义'
+ */
+export function createMessageFormatter(locale = "en", messages) {
+	const localeMessages = Object.hasOwn(LOCALES, locale) ? LOCALES[locale] : en;
+
+	return (key, params = {}) => {
+		const message = (messages && Object.hasOwn(messages, key) ? messages[key] : undefined) ?? localeMessages[key] ?? en[key];
+		return message.replace(/\{(\w+)\}/g, (placeholder, name) => (Object.hasOwn(params, name) ? String(params[name]) : placeholder));
+	};
+}
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+import { createMessageFormatter } from "./messages.js";
+import { PURITY } from "./purity.js";
+import { TemplateParser } from "./TemplateParser.js";
+
+describe("createMessageFormatter", () => {
+	test("should replace the placeholders with the parameters", () => {
+		const format = createMessageFormatter();
+		assert.equal(format("E_PROPERTY_READ", { key: "name", object: null }), "Cannot read property 'name' of null");
+		assert.equal(format("E_NOT_A_FUNCTION"), "{callee} is not a function");
+	});
+
+	test("should fall back to the English messages", () => {
+		assert.equal(createMessageFormatter("fr")("E_UNDEFINED_VARIABLE", { name: "x" }), "x is not defined");
+		assert.equal(createMessageFormatter("zh-CN", { E_MUTABLE_METHOD: "Méthode mutable" })("E_READONLY_CONTEXT"), "不能修改只读的上下文值");
+	});
+});
+
+describe("locale option", () => {
+	test("should throw the messages of the locale", () => {
+		const options = { locale: "zh-CN" };
+		assert.throws(() => Evaluator.evaluate("total + 1", {}, options), { message: "total 未定义", code: "E_UNDEFINED_VARIABLE" });
+		assert.throws(() => Evaluator.evaluate("items.push(1)", { items: [] }, options), { message: "不允许调用可变方法" });
+		assert.throws(() => Evaluator.evaluate("1 +", {}, options), { message: "语法错误：Unexpected token (1:3)", code: "E_SYNTAX" });
+		assert.throws(() => Evaluator.compile("a.b.c", options)({ a: {} }), { message: "无法读取 undefined 的属性 'c'" });
+		assert.throws(() => Evaluator.evaluate("'a'.repeat(10)", {}, { ...options, maxStringLength: 5 }), {
+			message: "字符串长度超出了 5 的限制",
+			limit: "maxStringLength",
+		});
+		assert.throws(() => Evaluator.evaluate("(1 / 3).toFixed(101)", {}, { ...options, arithmetic: "decimal" }), {
+			name: "RangeError",
+			message: "toFixed() 的位数参数必须在 0 到 100 之间",
+			code: "E_INVALID_ARGUMENTS",
+		});
+		const counter = {
+			count: 0,
+			increment() {
+				this.count++;
+			},
+		};
+		assert.throws(() => Evaluator.evaluate("counter.increment()", { counter }, { ...options, readonlyContext: true }), {
+			message: "不能修改只读的上下文值",
+			code: "E_READONLY_CONTEXT",
+		});
+	});
+
+	test("should reject async evaluations with the messages of the locale", async () => {
+		await assert.rejects(Evaluator.evaluateAsync("await this.x", {}, { locale: "zh-CN" }), { message: "不允许使用 'this' 关键字" });
+	});
+
+	test("should throw the option errors in the locale", () => {
+		const options = { locale: "zh-CN" };
+		assert.throws(() => new Evaluator({}, { ...options, arithmetic: "exact" }), {
+			name: "TypeError",
+			message: "算术模式必须是 float 或 decimal",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => new Evaluator({}, { ...options, arithmetic: "decimal", decimal: { output: "bigint" } }), {
+			message: "小数输出必须是 number 或 string",
+		});
+		assert.throws(() => new Evaluator({}, { ...options, operators: [{ test: () => true, unary: { "!": (a) => a } }] }), {
+			message: "一元运算符 '!' 不能被重载",
+		});
+		assert.throws(() => new Evaluator({}, { ...options, plugins: [{ name: "bad", policy: { helper: "pure" } }] }), {
+			message: "插件 'bad' 为未知函数 'helper' 声明了策略",
+		});
+		const log = () => {};
+		log[PURITY] = "safe";
+		assert.throws(() => Evaluator.evaluate("log()", { log }, { ...options, strictPurity: true }), {
+			name: "TypeError",
+			message: "'log' 的纯度必须是 pure, impure, mutating 之一",
+		});
+	});
+
+	test("should report the diagnostics in the locale", () => {
+		assert.deepEqual(
+			Evaluator.validate("[3, 1].sort() + x", { locale: "zh-CN", variables: [] }).map((diagnostic) => diagnostic.message),
+			["不允许调用可变方法", "x 未定义"],
+		);
+	});
+});
+
+describe("messages option", () => {
+	test("should take precedence over the locale", () => {
+		const messages = {
+			E_UNDEFINED_VARIABLE: "Unknown field {name}",
+			"E_UNSUPPORTED_SYNTAX.this": "Rules cannot use this",
+		};
+		assert.throws(() => Evaluator.evaluate("price * qty", { price: 1 }, { locale: "zh-CN", messages }), {
+			message: "Unknown field qty",
+			code: "E_UNDEFINED_VARIABLE",
+		});
+		assert.deepEqual(Evaluator.validate("this.a", { messages }), [
+			{ message: "Rules cannot use this", code: "E_UNSUPPORTED_SYNTAX", start: 0, end: 4, severity: "error" },
+		]);
+		// Variants without a custom message use the message of the locale
+		assert.throws(() => Evaluator.evaluate("delete a.b", { a: {} }, { locale: "zh-CN", messages }), { message: "不允许使用 delete 运算符" });
+		assert.throws(() => new Evaluator({}, { messages: { "E_INVALID_OPTION.arithmetic": "Unknown arithmetic" }, arithmetic: "exact" }), {
+			message: "Unknown arithmetic",
+		});
+	});
+
+	test("should apply to the template parser", () => {
+		assert.throws(() => TemplateParser.parse(1, { locale: "zh-CN" }), { message: "模板必须是字符串", code: "E_INVALID_TEMPLATE" });
+		assert.throws(() => TemplateParser.parse(1, { messages: { E_INVALID_TEMPLATE: "Not a template" } }), { message: "Not a template" });
+	});
+});
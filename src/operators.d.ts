@@ -0,0 +1,14 @@
+export interface OperatorOverload {
+	/**
+	 * 判断值是否属于该类型，任一操作数满足时使用重载
+	 */
+	test: (value: unknown) => boolean;
+	/**
+	 * 二元运算符的实现，`!==` 与 `!=` 未定义时由 `===` 与 `==` 取反得到
+	 */
+	binary?: Partial<Record<string, (left: any, right: any) => unknown>>;
+	/**
+	 * 一元运算符 `-`、`+`、`~` 的实现
+	 */
+	unary?: Partial<Record<"-" | "+" | "~", (value: any) => unknown>>;
+}
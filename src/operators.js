@@ -0,0 +1,97 @@
+import { ERROR_CODES, EvaluatorTypeError } from "./errors.js";
+import { createMessageFormatter } from "./messages.js";
+
+export const BINARY_OPERATION_MAP = {
+	"+": (a, b) => a + b,
+	"-": (a, b) => a - b,
+	"*": (a, b) => a * b,
+	"**": (a, b) => a ** b,
+	"==": (a, b) => a == b,
+	"===": (a, b) => a === b,
+	"!=": (a, b) => a != b,
+	"!==": (a, b) => a !== b,
+	">": (a, b) => a > b,
+	">=": (a, b) => a >= b,
+	"<": (a, b) => a < b,
+	"<=": (a, b) => a <= b,
+	"%": (a, b) => a % b,
+	"/": (a, b) => a / b,
+	"|": (a, b) => a | b,
+	"&": (a, b) => a & b,
+	"^": (a, b) => a ^ b,
+	"<<": (a, b) => a << b,
+	">>": (a, b) => a >> b,
+	">>>": (a, b) => a >>> b,
+	in: (a, b) => a in b,
+	instanceof: (a, b) => a instanceof b,
+};
+
+/** Unary operators that can be overloaded */
+const OVERLOADABLE_UNARY_OPERATORS = ["-", "+", "~"];
+
+/** Binary operators derived from the negation of another overloaded operator when not overloaded themselves */
+const NEGATED_OPERATORS = { "!==": "===", "!=": "==" };
+
+/**
+ * @typedef {Object} OperatorOverload
+ * @property {(value: unknown) => boolean} test - Whether a value is handled by this overload
+ * @property {Record<string, (left: any, right: any) => unknown>} [binary] - Binary operator implementations, e.g. `+` or `<`
+ * @property {Record<string, (value: any) => unknown>} [unary] - Unary operator implementations (`-`, `+`, `~`)
+ */
+
+/** @type {WeakMap<Array, OperatorOverload[]>} */
+const OVERLOADS = new WeakMap();
+
+/**
+ * Validates the `operators` option of an evaluator and completes the negated equality operators.
+ * The result is cached per operators array.
+ * @param {OperatorOverload[]} operators
+ * @param {import('./messages.js').MessageFormatter} [formatMessage] - The formatter of the error messages
+ * @returns {OperatorOverload[]}
+ * @example
+ * const [overload] = getOperatorOverloads([{ test: (v) => v instanceof Money, binary: { '===': (a, b) => a.equals(b) } }]);
+ * overload.binary['!=='](a, b) // returns !a.equals(b)
+ */
+export function getOperatorOverloads(operators, formatMessage = createMessageFormatter()) {
+	const cached = OVERLOADS.get(operators);
+	if (cached) return cached;
+
+	const overloads = operators.map((overload) => {
+		if (typeof overload.test !== "function") {
+			throw new EvaluatorTypeError(formatMessage("E_INVALID_OPTION.overloadTest"), ERROR_CODES.INVALID_OPTION);
+		}
+
+		const binary = { ...overload.binary };
+		const unary = { ...overload.unary };
+
+		for (const op of Object.keys(binary)) {
+			if (!Object.hasOwn(BINARY_OPERATION_MAP, op) || op === "in" || op === "instanceof") {
+				throw new EvaluatorTypeError(
+					formatMessage("E_INVALID_OPTION.overloadBinary", { operator: op }),
+					ERROR_CODES.INVALID_OPTION,
+				);
+			}
+		}
+
+		for (const op of Object.keys(unary)) {
+			if (!OVERLOADABLE_UNARY_OPERATORS.includes(op)) {
+				throw new EvaluatorTypeError(
+					formatMessage("E_INVALID_OPTION.overloadUnary", { operator: op }),
+					ERROR_CODES.INVALID_OPTION,
+				);
+			}
+		}
+
+		for (const [op, negated] of Object.entries(NEGATED_OPERATORS)) {
+			if (!binary[op] && binary[negated]) {
+				const equals = binary[negated];
+				binary[op] = (left, right) => !equals(left, right);
+			}
+		}
+
+		return { test: overload.test, binary, unary };
+	});
+
+	OVERLOADS.set(operators, overloads);
+	return overloads;
+}
@@ -0,0 +1,26 @@
+/**
+ * 函数策略
+ * - `pure`: 无副作用，相同参数总是返回相同结果
+ * - `impure`: 可以调用，但结果可能变化（默认）
+ * - `mutating`: 会修改数据，禁止在表达式中调用
+ */
+export type FunctionPolicy = "pure" | "impure" | "mutating";
+
+export interface EvaluatorPlugin {
+	/**
+	 * 插件名称，用于错误信息
+	 */
+	name: string;
+	/**
+	 * 辅助函数
+	 */
+	functions?: Record<string, (...args: any[]) => unknown>;
+	/**
+	 * 全局变量
+	 */
+	globals?: Record<string, unknown>;
+	/**
+	 * 辅助函数的策略，默认为 `impure`
+	 */
+	policy?: Record<string, FunctionPolicy>;
+}
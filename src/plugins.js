@@ -0,0 +1,100 @@
+import { ERROR_CODES, EvaluatorTypeError } from "./errors.js";
+import { createMessageFormatter } from "./messages.js";
+
+/**
+ * @typedef {"pure" | "impure" | "mutating"} FunctionPolicy
+ *
+ * @typedef {Object} EvaluatorPlugin
+ * @property {string} name - The name of the plugin, used in error messages
+ * @property {Record<string, Function>} [functions] - Named helper functions
+ * @property {Record<string, unknown>} [globals] - Named values
+ * @property {Record<string, FunctionPolicy>} [policy] - The policy of the helper functions, `impure` by default
+ */
+
+export const FUNCTION_POLICIES = ["pure", "impure", "mutating"];
+
+/** @type {WeakMap<Array, { scope: object, purity: Map<Function, FunctionPolicy> }>} */
+const PLUGIN_SCOPES = new WeakMap();
+
+/**
+ * Defines a read-only binding of a plugin, names must be unique across the plugins of an evaluator.
+ * @param {object} scope
+ * @param {EvaluatorPlugin} plugin
+ * @param {string} key
+ * @param {*} value
+ * @param {import('./messages.js').MessageFormatter} formatMessage
+ */
+function defineBinding(scope, plugin, key, value, formatMessage) {
+	if (Object.hasOwn(scope, key)) {
+		throw new EvaluatorTypeError(
+			formatMessage("E_INVALID_OPTION.pluginBinding", { plugin: plugin.name, key }),
+			ERROR_CODES.INVALID_OPTION,
+		);
+	}
+
+	Object.defineProperty(scope, key, {
+		value,
+		writable: false,
+		enumerable: true,
+		configurable: false,
+	});
+}
+
+/**
+ * Creates the scope holding the functions and globals of a list of plugins, together with the
+ * policy of their functions. The result is cached per plugins array.
+ *
+ * @param {EvaluatorPlugin[]} plugins - The `plugins` option of an evaluator
+ * @param {import('./messages.js').MessageFormatter} [formatMessage] - The formatter of the error messages
+ * @returns {{ scope: object, purity: Map<Function, FunctionPolicy> }}
+ * @example
+ * const { scope } = getPluginScope([{ name: 'math', functions: { double: (n) => n * 2 }, policy: { double: 'pure' } }]);
+ * scope.double(2) // returns 4
+ */
+export function getPluginScope(plugins, formatMessage = createMessageFormatter()) {
+	const cached = PLUGIN_SCOPES.get(plugins);
+	if (cached) return cached;
+
+	const scope = Object.create(null);
+	const purity = new Map();
+
+	for (const plugin of plugins) {
+		const { functions = {}, globals = {}, policy = {} } = plugin;
+
+		for (const key of Object.keys(functions)) {
+			if (typeof functions[key] !== "function") {
+				throw new EvaluatorTypeError(
+					formatMessage("E_INVALID_OPTION.pluginFunction", { plugin: plugin.name, key }),
+					ERROR_CODES.INVALID_OPTION,
+				);
+			}
+
+			defineBinding(scope, plugin, key, functions[key], formatMessage);
+			purity.set(functions[key], policy[key] ?? "impure");
+		}
+
+		for (const key of Object.keys(policy)) {
+			if (!Object.hasOwn(functions, key)) {
+				throw new EvaluatorTypeError(
+					formatMessage("E_INVALID_OPTION.pluginPolicyTarget", { plugin: plugin.name, key }),
+					ERROR_CODES.INVALID_OPTION,
+				);
+			}
+
+			if (!FUNCTION_POLICIES.includes(policy[key])) {
+				throw new EvaluatorTypeError(
+					formatMessage("E_INVALID_OPTION.pluginPolicy", { plugin: plugin.name, key, policies: FUNCTION_POLICIES.join(", ") }),
+					ERROR_CODES.INVALID_OPTION,
+				);
+			}
+		}
+
+		for (const key of Object.keys(globals)) {
+			defineBinding(scope, plugin, key, globals[key], formatMessage);
+		}
+	}
+
+	const result = { scope: Object.freeze(scope), purity };
+	PLUGIN_SCOPES.set(plugins, result);
+	return result;
+}
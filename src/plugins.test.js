@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+import { getPluginScope } from "./plugins.js";
+
+const moneyPlugin = {
+	name: "money",
+	functions: {
+		formatMoney: (value) => `$${value.toFixed(2)}`,
+		pluralize: (count, word) => (count === 1 ? word : `${word}s`),
+		resetLedger: () => true,
+	},
+	globals: { CURRENCY: "USD" },
+	policy: { formatMoney: "pure", pluralize: "pure", resetLedger: "mutating" },
+};
+
+describe("Plugins", () => {
+	test("should expose plugin functions and globals", () => {
+		const evaluator = new Evaluator({ total: 3, items: 2 }, { plugins: [moneyPlugin] });
+		assert.equal(evaluator.evaluate("formatMoney(total) + ' ' + CURRENCY"), "$3.00 USD");
+		assert.equal(evaluator.evaluate("`${items} ${pluralize(items, 'item')}`"), "2 items");
+	});
+
+	test("should let user variables shadow plugin bindings", () => {
+		const evaluator = new Evaluator({ CURRENCY: "EUR" }, { plugins: [moneyPlugin] });
+		assert.equal(evaluator.evaluate("CURRENCY"), "EUR");
+	});
+
+	test("should let plugin bindings shadow built-in globals", () => {
+		const evaluator = new Evaluator({}, { plugins: [{ name: "json", globals: { JSON: "shadowed" } }] });
+		assert.equal(evaluator.evaluate("JSON"), "shadowed");
+	});
+
+	test("should block functions marked as mutating", () => {
+		const evaluator = new Evaluator({}, { plugins: [moneyPlugin] });
+		assert.throws(() => evaluator.evaluate("resetLedger()"), { message: "Mutable method is not allowed" });
+		assert.throws(() => evaluator.evaluate("resetLedger.call(null)"), { message: "Mutable method is not allowed" });
+	});
+
+	test("should record the policy of plugin functions", () => {
+		const { purity } = getPluginScope([moneyPlugin, { name: "date", functions: { now: () => Date.now() } }]);
+		assert.equal(purity.get(moneyPlugin.functions.formatMoney), "pure");
+		assert.equal(purity.get(moneyPlugin.functions.resetLedger), "mutating");
+		assert.equal(purity.size, 4);
+	});
+
+	test("should reject conflicting and invalid plugins", () => {
+		assert.throws(() => getPluginScope([moneyPlugin, { name: "other", globals: { CURRENCY: "EUR" } }]), {
+			name: "TypeError",
+			message: "Plugin 'other' redefines 'CURRENCY'",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => getPluginScope([{ name: "bad", functions: { helper: 1 } }]), {
+			name: "TypeError",
+			message: "Plugin 'bad' function 'helper' is not a function",
+		});
+		assert.throws(() => getPluginScope([{ name: "bad", policy: { helper: "pure" } }]), {
+			name: "TypeError",
+			message: "Plugin 'bad' has a policy for unknown function 'helper'",
+			code: "E_INVALID_OPTION",
+		});
+		assert.throws(() => getPluginScope([{ name: "bad", functions: { helper() {} }, policy: { helper: "safe" } }]), {
+			name: "TypeError",
+			message: "Plugin 'bad' policy of 'helper' must be one of pure, impure, mutating",
+			code: "E_INVALID_OPTION",
+		});
+	});
+
+	test("should cache the scope per plugins array", () => {
+		const plugins = [moneyPlugin];
+		assert.equal(getPluginScope(plugins), getPluginScope(plugins));
+		assert.ok(Object.isFrozen(getPluginScope(plugins).scope));
+	});
+
+	test("should apply plugins to compiled and async evaluations", async () => {
+		const options = { plugins: [moneyPlugin] };
+		assert.equal(Evaluator.compile("formatMoney(n)", options)({ n: 1 }), "$1.00");
+		assert.equal(await Evaluator.evaluateAsync("formatMoney(await n)", { n: Promise.resolve(2) }, options), "$2.00");
+	});
+});
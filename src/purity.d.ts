@@ -0,0 +1,13 @@
+/**
+ * 纯度标注使用的 Symbol
+ * - 函数上的值为该函数的策略
+ * - 类或对象上的值为方法名到策略的映射，类的标注同时作用于静态方法与原型上的方法
+ * @example
+ * ```js
+ * class Cart {
+ *   static [PURITY] = { total: "pure", clear: "mutating" };
+ * }
+ * formatPrice[PURITY] = "pure";
+ * ```
+ */
+export declare const PURITY: unique symbol;
@@ -0,0 +1,184 @@
+import globals from "globals";
+import { ERROR_CODES, EvaluatorTypeError } from "./errors.js";
+import { createMessageFormatter } from "./messages.js";
+import { FUNCTION_POLICIES } from "./plugins.js";
+
+/**
+ * The well-known symbol of purity annotations. On a function, its value is the policy of the function.
+ * On a class or an object, its value maps the names of its methods to their policy; the annotations of
+ * a class apply to its static methods and to the methods of its prototype.
+ *
+ * @example
+ * class Cart {
+ *   static [PURITY] = { total: 'pure', clear: 'mutating' };
+ * }
+ * formatPrice[PURITY] = 'pure';
+ */
+export const PURITY = Symbol.for("ecma-evaluator.purity");
+
+/**
+ * Throws when a value is not a function policy.
+ * @param {unknown} policy
+ * @param {string} name - The name of the annotated function, for the error message
+ * @param {import('./messages.js').MessageFormatter} [formatMessage] - The formatter of the error message
+ */
+export function checkPolicy(policy, name, formatMessage = createMessageFormatter()) {
+	if (!FUNCTION_POLICIES.includes(policy)) {
+		throw new EvaluatorTypeError(
+			formatMessage("E_INVALID_OPTION.purity", { name, policies: FUNCTION_POLICIES.join(", ") }),
+			ERROR_CODES.INVALID_OPTION,
+		);
+	}
+}
+
+/**
+ * The objects the built-in functions are reached from: the built-in globals, and the iterators and
+ * generators whose prototypes are not exposed by a global.
+ * @returns {object[]}
+ */
+function getBuiltinRoots() {
+	const roots = Object.keys(globals.builtin)
+		.filter((name) => name in globalThis && name !== "eval" && name !== "globalThis")
+		.map((name) => globalThis[name]);
+
+	return roots.concat(
+		[][Symbol.iterator](),
+		new Map().entries(),
+		new Set().values(),
+		""[Symbol.iterator](),
+		"".matchAll(/(?:)/g),
+		(function* () {})(),
+		(async function* () {})(),
+		async () => {},
+	);
+}
+
+const NATIVE_SOURCE = /\{\s*\[native code\]\s*\}\s*$/;
+
+/** @type {WeakSet<Function> | undefined} */
+let builtinFunctions;
+
+/**
+ * Whether a function is one of the built-ins of the language, e.g. `Math.max` or `Array.prototype.map`.
+ * Bound functions and proxies are not built-ins, although their source also reads `[native code]`.
+ * The built-ins are collected on first use by walking the properties and prototypes of the built-in globals.
+ * @param {Function} func
+ * @returns {boolean}
+ */
+export function isBuiltinFunction(func) {
+	if (!builtinFunctions) {
+		builtinFunctions = new WeakSet();
+		const visited = new Set();
+		const pending = getBuiltinRoots();
+
+		while (pending.length > 0) {
+			const value = pending.pop();
+			if ((typeof value !== "object" && typeof value !== "function") || value === null || visited.has(value)) continue;
+			visited.add(value);
+
+			// Functions assigned to the built-ins by the host are not native
+			if (typeof value === "function" && NATIVE_SOURCE.test(Function.prototype.toString.call(value))) {
+				builtinFunctions.add(value);
+			}
+
+			pending.push(Object.getPrototypeOf(value));
+			for (const key of Reflect.ownKeys(value)) {
+				const { value: property, get, set } = /** @type {PropertyDescriptor} */ (Reflect.getOwnPropertyDescriptor(value, key));
+				pending.push(property, get, set);
+			}
+		}
+	}
+
+	return builtinFunctions.has(func);
+}
+
+/**
+ * Reads an own property without invoking getters.
+ * @param {object} object
+ * @param {PropertyKey} key
+ */
+function getOwnValue(object, key) {
+	return Object.getOwnPropertyDescriptor(object, key)?.value;
+}
+
+/**
+ * @typedef {Object} DeclaredPolicy
+ * @property {import('./plugins.js').FunctionPolicy} policy
+ * @property {"function" | "class" | "object"} source - Where the policy is declared: on the function itself, by a class
+ * for its static methods and the methods of its prototype, or by an object for its own methods
+ */
+
+/**
+ * Creates the resolver of the policies declared with `PURITY` for a function: its own annotation, or the annotation
+ * of its name on the object holding it in the prototype chain of the `this` value of the call. The resolved
+ * policies are cached by the resolver, each evaluator has its own.
+ *
+ * The annotations of an object are only read from the objects of the host, an expression could otherwise build
+ * an object annotating a host function as pure. The annotations of a class are only read for its own prototype.
+ *
+ * @param {(holder: object) => boolean} [isHostObject] - Whether an object is provided by the host, rather than created by the expression
+ * @param {import('./messages.js').MessageFormatter} [formatMessage] - The formatter of the errors of invalid annotations
+ * @returns {(func: Function, target?: *) => DeclaredPolicy | undefined} Resolves the policy of a function called with a `this` value
+ * @example
+ * const resolvePolicy = createPolicyResolver();
+ * resolvePolicy(cart.clear, cart) // returns { policy: 'mutating', source: 'class' }
+ */
+export function createPolicyResolver(isHostObject = () => true, formatMessage = createMessageFormatter()) {
+	/** @type {WeakMap<Function, DeclaredPolicy>} */
+	const declared = new WeakMap();
+	/**
+	 * Objects whose annotated methods have been indexed in `declared`
+	 * @type {WeakSet<object>}
+	 */
+	const indexed = new WeakSet();
+
+	/**
+	 * Indexes the annotated methods of an object, the annotations are read from its own `PURITY`
+	 * property, or from its constructor's for the prototype of a class.
+	 * @param {object} holder
+	 */
+	const indexHolder = (holder) => {
+		indexed.add(holder);
+		if (!isHostObject(holder)) return;
+
+		const constructor = getOwnValue(holder, "constructor");
+		const own = getOwnValue(holder, PURITY);
+		const isPrototype = typeof constructor === "function" && getOwnValue(constructor, "prototype") === holder;
+		const annotations = own ?? (isPrototype ? getOwnValue(constructor, PURITY) : undefined);
+		/** @type {DeclaredPolicy["source"]} */
+		const source = own === undefined || typeof holder === "function" ? "class" : "object";
+
+		if (annotations === null || typeof annotations !== "object") return;
+
+		for (const name of Object.keys(annotations)) {
+			checkPolicy(annotations[name], name, formatMessage);
+
+			// Getters are annotated by the name of their property
+			const descriptor = Object.getOwnPropertyDescriptor(holder, name);
+			const method = typeof descriptor?.value === "function" ? descriptor.value : descriptor?.get;
+			if (typeof method === "function" && !declared.has(method)) {
+				declared.set(method, { policy: annotations[name], source });
+			}
+		}
+	};
+
+	return (func, target) => {
+		const policy = getOwnValue(func, PURITY);
+		if (typeof policy === "string") {
+			checkPolicy(policy, func.name, formatMessage);
+			return { policy, source: "function" };
+		}
+
+		if (!declared.has(func)) {
+			for (
+				let holder = target;
+				(typeof holder === "object" && holder !== null) || typeof holder === "function";
+				holder = Object.getPrototypeOf(holder)
+			) {
+				if (!indexed.has(holder)) indexHolder(holder);
+			}
+		}
+
+		return declared.get(func);
+	};
+}
@@ -0,0 +1,186 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+import { createPolicyResolver, PURITY } from "./purity.js";
+
+const MUTABLE_METHOD = { message: "Mutable method is not allowed" };
+
+class Cart {
+	static [PURITY] = { total: "pure", clear: "mutating", empty: "pure" };
+
+	items = [{ price: 2 }, { price: 3 }];
+
+	static empty() {
+		return new Cart();
+	}
+
+	total() {
+		return this.items.reduce((sum, item) => sum + item.price, 0);
+	}
+
+	clear() {
+		this.items = [];
+	}
+
+	describe() {
+		return `${this.items.length} items`;
+	}
+}
+
+class GiftCart extends Cart {
+	wrap() {
+		return "wrapped";
+	}
+}
+
+const formatPrice = (value) => `$${value}`;
+formatPrice[PURITY] = "pure";
+
+const createContext = () => ({
+	cart: new Cart(),
+	gift: new GiftCart(),
+	Cart,
+	formatPrice,
+	user: {
+		[PURITY]: { greet: "pure", rename: "mutating" },
+		name: "Ada",
+		greet() {
+			return `Hello ${this.name}`;
+		},
+		rename(name) {
+			this.name = name;
+		},
+	},
+	log: () => undefined,
+});
+
+describe("Purity annotations", () => {
+	test("should read the policy of functions, classes and objects", () => {
+		const { cart, gift, user } = createContext();
+		const resolvePolicy = createPolicyResolver();
+		assert.deepEqual(resolvePolicy(formatPrice), { policy: "pure", source: "function" });
+		assert.deepEqual(resolvePolicy(cart.clear, cart), { policy: "mutating", source: "class" });
+		assert.deepEqual(resolvePolicy(gift.total, gift), { policy: "pure", source: "class" });
+		assert.deepEqual(resolvePolicy(Cart.empty, Cart), { policy: "pure", source: "class" });
+		assert.deepEqual(resolvePolicy(user.rename, user), { policy: "mutating", source: "object" });
+		assert.equal(resolvePolicy(cart.describe, cart), undefined);
+	});
+
+	test("should block methods annotated as mutating", () => {
+		const context = createContext();
+		for (const expression of ["cart.clear()", "gift.clear()", "user.rename('Bob')", "Reflect.apply(cart.clear, cart, [])", "cart.clear.call(cart)"]) {
+			assert.throws(() => Evaluator.evaluate(expression, context), MUTABLE_METHOD, expression);
+			assert.throws(() => Evaluator.compile(expression)(context), MUTABLE_METHOD, expression);
+		}
+		assert.equal(context.cart.items.length, 2);
+		assert.equal(context.user.name, "Ada");
+	});
+
+	test("should call methods annotated as pure", () => {
+		const context = createContext();
+		assert.equal(Evaluator.evaluate("formatPrice(cart.total())", context), "$5");
+		assert.equal(Evaluator.evaluate("Cart.empty().total() + gift.total()", context), 10);
+		assert.equal(Evaluator.evaluate("user.greet()", context), "Hello Ada");
+	});
+
+	test("should let the purity option override annotations", () => {
+		const context = createContext();
+		const purity = new Map([
+			[Cart.prototype.total, "mutating"],
+			[context.log, "pure"],
+		]);
+		assert.throws(() => Evaluator.evaluate("cart.total()", context, { purity }), MUTABLE_METHOD);
+		assert.equal(Evaluator.evaluate("log()", context, { purity, strictPurity: true }), undefined);
+	});
+
+	test("should reject invalid policies", () => {
+		const context = createContext();
+		assert.throws(() => new Evaluator(context, { purity: new Map([[context.log, "safe"]]) }), {
+			name: "TypeError",
+			message: "Purity of 'log' must be one of pure, impure, mutating",
+			code: "E_INVALID_OPTION",
+		});
+
+		const invalid = { [PURITY]: { run: "sometimes" }, run: () => 1 };
+		assert.throws(() => Evaluator.evaluate("invalid.run()", { invalid }), {
+			message: "Purity of 'run' must be one of pure, impure, mutating",
+			code: "E_INVALID_OPTION",
+		});
+	});
+
+	test("should ignore the annotations of the objects created by the expression", () => {
+		const context = {
+			user: {
+				name: "Ada",
+				setName(name) {
+					this.name = name;
+				},
+			},
+			host: { runs: 0, danger: () => context.host.runs++ },
+			Cart,
+		};
+		const annotate = "[Symbol.for('ecma-evaluator.purity')]: { danger: 'pure', setName: 'pure', f: 'pure' }";
+		for (const expression of [
+			`({ ${annotate}, f: host.danger }).f()`,
+			`({ ${annotate}, danger: host.danger }).danger()`,
+			`[({ ${annotate}, danger: host.danger })][0].danger()`,
+			`Object.fromEntries([[Symbol.for('ecma-evaluator.purity'), { f: 'pure' }], ['f', host.danger]]).f()`,
+			`Object.create(null, { [Symbol.for('ecma-evaluator.purity')]: { value: { f: 'pure' } }, f: { value: host.danger } }).f()`,
+			"({ constructor: Cart, f: host.danger }).f()",
+		]) {
+			for (const options of [{ strictPurity: true }, { strictPurity: true, readonlyContext: true }]) {
+				assert.throws(() => Evaluator.evaluate(expression, context, options), { code: "E_UNANNOTATED_FUNCTION" }, expression);
+				assert.throws(() => Evaluator.compile(expression, options)(context), { code: "E_UNANNOTATED_FUNCTION" }, expression);
+			}
+		}
+		assert.throws(() => Evaluator.evaluate("[[['f', host.danger]]].map(Object.fromEntries)", context), { code: "E_INDIRECT_INVOCATION" });
+		assert.equal(context.host.runs, 0);
+
+		// The annotation neither changes the context through the read-only proxy nor applies to later evaluations
+		const options = { readonlyContext: true };
+		assert.throws(() => Evaluator.evaluate(`({ ${annotate}, setName: user.setName }).setName('x') || user.setName('pwned')`, context, options), {
+			code: "E_READONLY_CONTEXT",
+		});
+		assert.equal(context.user.name, "Ada");
+		assert.throws(() => Evaluator.evaluate("host.danger()", context, { strictPurity: true }), { code: "E_UNANNOTATED_FUNCTION" });
+		assert.equal(context.host.runs, 0);
+	});
+
+	describe("Strict purity", () => {
+		const options = { strictPurity: true };
+
+		test("should reject host functions without policy", () => {
+			const context = createContext();
+			for (const expression of ["cart.describe()", "gift.wrap()", "log()", "[1].forEach(log)", "cart.describe.bind(cart)"]) {
+				assert.throws(() => Evaluator.evaluate(expression, context, options), { message: /has no purity annotation$/ }, expression);
+				assert.throws(() => Evaluator.compile(expression, options)(context), { message: /has no purity annotation$/ }, expression);
+			}
+			assert.throws(() => Evaluator.evaluate("log()", context, options), { message: "Function 'log' has no purity annotation" });
+		});
+
+		test("should reject bound host functions and proxies of host functions", () => {
+			const { log } = createContext();
+			const context = { record: log.bind(null), relay: new Proxy(log, {}) };
+			for (const expression of ["record()", "relay()", "[1].forEach(record)"]) {
+				assert.throws(() => Evaluator.evaluate(expression, context, options), { message: /has no purity annotation$/ }, expression);
+			}
+			assert.equal(Evaluator.evaluate("Math.max.bind(null, 1)(2) + ((x) => x).bind(null)(3)", {}, options), 5);
+		});
+
+		test("should call built-ins, annotated functions and expression functions", async () => {
+			const context = createContext();
+			assert.equal(Evaluator.evaluate("formatPrice(Math.max(cart.total(), 1))", context, options), "$5");
+			assert.equal(Evaluator.evaluate("({ double(x) { return x * 2; } }).double(gift.total())", context, options), 10);
+			assert.deepEqual(Evaluator.compile("cart.items.map(item => item.price)", options)(context), [2, 3]);
+			assert.equal(await Evaluator.evaluateAsync("(async () => user.greet())()", context, options), "Hello Ada");
+		});
+
+		test("should accept plugin functions and read-only context methods", () => {
+			const plugins = [{ name: "text", functions: { upper: (value) => value.toUpperCase() } }];
+			const context = { ...createContext(), tags: new Set(["a"]) };
+			assert.equal(Evaluator.evaluate("upper(user.greet())", context, { ...options, plugins }), "HELLO ADA");
+			assert.equal(Evaluator.evaluate("tags.has('a') && cart.total()", context, { ...options, readonlyContext: true }), 5);
+		});
+	});
+});
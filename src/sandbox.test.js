@@ -0,0 +1,379 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { Evaluator } from "./Evaluator.js";
+import { PURITY } from "./purity.js";
+
+const FUNCTION_CONSTRUCTOR = { message: "Function constructor is not allowed" };
+const NEW_FUNCTION = { message: "Cannot use new with Function constructor" };
+const MUTABLE_METHOD = { message: "Mutable method is not allowed" };
+const INDIRECT_INVOCATION = { message: "Indirect invocation functions cannot be passed as arguments or bound" };
+
+/**
+ * Asserts that an expression is rejected by both the interpreter and the compiler.
+ * @param {string} expression
+ * @param {Object} context
+ * @param {Object} expected - The expected error
+ * @param {Object} [options] - Evaluator options
+ */
+function assertBlocked(expression, context, expected, options) {
+	assert.throws(() => new Evaluator(context, options).evaluate(expression), expected, expression);
+	assert.throws(() => Evaluator.compile(expression, options)(context), expected, expression);
+}
+
+describe("Sandbox Escapes", () => {
+	describe("Function constructors", () => {
+		test("should block Function reached through Reflect", () => {
+			assertBlocked("Reflect.construct(Function, ['return globalThis'])", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("Reflect.apply(Function, null, ['return globalThis'])", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("Reflect.construct(Date, [], Function)", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("Reflect.get(globalThis, 'Function')", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("globalThis.Function('return 1')", {}, FUNCTION_CONSTRUCTOR);
+		});
+
+		test("should block Function reached through call, apply and bind", () => {
+			assertBlocked("Function.call(null, 'return globalThis')", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("Function.prototype.call.call(Function, null, 'return globalThis')", {}, FUNCTION_CONSTRUCTOR, {
+				allowMembers: ["prototype"],
+			});
+			assertBlocked("fn.call.call(fn.apply, fn.constructor, [null, ['return globalThis']])", { fn: () => 1 }, FUNCTION_CONSTRUCTOR, {
+				allowMembers: ["constructor"],
+			});
+			assertBlocked("fn.bind.call(fn.constructor, null, 'return globalThis')", { fn: () => 1 }, FUNCTION_CONSTRUCTOR, {
+				allowMembers: ["constructor"],
+			});
+		});
+
+		test("should block the constructors of async and generator functions", () => {
+			const options = { allowMembers: ["constructor"] };
+			assertBlocked("(async () => {}).constructor('return globalThis')", {}, FUNCTION_CONSTRUCTOR, options);
+			assertBlocked("gen.constructor('yield globalThis')", { gen: function* () {} }, FUNCTION_CONSTRUCTOR, options);
+			assertBlocked("agen.constructor('yield globalThis')", { agen: async function* () {} }, FUNCTION_CONSTRUCTOR, options);
+			assertBlocked(
+				"Object.getOwnPropertyDescriptor(Object.getPrototypeOf(async () => {}), 'constructor').value('return 1')",
+				{},
+				FUNCTION_CONSTRUCTOR,
+				options,
+			);
+			assertBlocked("Reflect.construct(F, ['return 1'])", { F: (async () => {}).constructor }, FUNCTION_CONSTRUCTOR);
+			assertBlocked("Reflect.apply(Reflect.construct, null, list)", { list: [(function* () {}).constructor, ["yield 1"]] }, NEW_FUNCTION);
+			assertBlocked("Reflect.apply(Reflect.construct, null, list)", { list: [Date, [], Function] }, NEW_FUNCTION);
+		});
+
+		test("should block Function constructors held in variables or context values", () => {
+			assertBlocked("(() => { const F = Function; return new F('return 1'); })()", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("F('return 1')", { F: Function }, FUNCTION_CONSTRUCTOR);
+			assertBlocked("obj.F('return 1')", { obj: { F: Function } }, FUNCTION_CONSTRUCTOR);
+			assertBlocked("list.find(() => true)", { list: [Function] }, FUNCTION_CONSTRUCTOR);
+			assertBlocked("list.map((F) => F('return 1'))", { list: [Function] }, FUNCTION_CONSTRUCTOR);
+		});
+
+		test("should block Function constructors handed to native callbacks", () => {
+			assertBlocked("['return globalThis'].map(Function)", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("Array.from(['return 1'], F)", { F: (async () => {}).constructor }, FUNCTION_CONSTRUCTOR);
+			assertBlocked("list.map(...fns)", { list: ["return 1"], fns: [Function] }, FUNCTION_CONSTRUCTOR);
+		});
+
+		test("should block the descriptors of denied members", () => {
+			assertBlocked("Object.getOwnPropertyDescriptor(Object.getPrototypeOf(fn), 'constructor')", { fn: () => 1 }, {
+				message: "Access to 'constructor' is not allowed",
+			});
+			assertBlocked("Object.getOwnPropertyDescriptors(Object.getPrototypeOf(fn))", { fn: () => 1 }, {
+				message: /^Access to '\w+' is not allowed$/,
+			});
+			assertBlocked("Reflect.get({}, 'constructor')", {}, { message: "Access to 'constructor' is not allowed" });
+			assertBlocked("Reflect.get({}, { toString: () => '__proto__' })", {}, { message: "Access to '__proto__' is not allowed" });
+		});
+
+		test("should block the member readers handed to native code or bound", () => {
+			assertBlocked("['constructor', '__proto__'].map(Reflect.get.bind(null, {}))", {}, {
+				code: "E_INDIRECT_INVOCATION",
+				message: "'get' reads members under the member access policy, it cannot be passed as an argument or bound",
+			});
+			assertBlocked("['constructor'].map(Object.getOwnPropertyDescriptor.bind(null, Object.getPrototypeOf(x => x)))", {}, {
+				code: "E_INDIRECT_INVOCATION",
+			});
+			assertBlocked("['constructor'].reduce(Object.getOwnPropertyDescriptor, Object.getPrototypeOf(x => x))", {}, {
+				code: "E_INDIRECT_INVOCATION",
+			});
+			assertBlocked("[Object.getPrototypeOf(x => x)].map(Object.getOwnPropertyDescriptors)", {}, { code: "E_INDIRECT_INVOCATION" });
+		});
+	});
+
+	describe("Mutable methods", () => {
+		test("should block mutable methods invoked indirectly", () => {
+			const options = { allowMembers: ["prototype"] };
+			assertBlocked("Reflect.apply(Array.prototype.push, arr, [1])", { arr: [] }, MUTABLE_METHOD, options);
+			assertBlocked("fn.call.call(Array.prototype.push, arr, 1)", { arr: [], fn: () => 1 }, MUTABLE_METHOD, options);
+			assertBlocked("Reflect.apply(Reflect.apply, null, [Array.prototype.push, arr, [1]])", { arr: [] }, MUTABLE_METHOD, options);
+			assertBlocked("arr.push.bind(arr)", { arr: [] }, MUTABLE_METHOD);
+			assertBlocked("Reflect.apply(Object.assign, null, [obj, { a: 2 }])", { obj: { a: 1 } }, MUTABLE_METHOD);
+		});
+
+		test("should block mutable methods handed to native callbacks", () => {
+			assertBlocked("[1, 2].forEach(other.push, other)", { other: [] }, MUTABLE_METHOD);
+			assertBlocked("[[obj, { a: 2 }]].map((pair) => pair).forEach(Object.assign)", { obj: { a: 1 } }, MUTABLE_METHOD);
+		});
+
+		test("should not modify the context", () => {
+			const context = { arr: [1], obj: { a: 1 } };
+			for (const expression of ["Reflect.apply(arr.push, arr, [2])", "arr.push.call(arr, 2)", "arr.push.apply(arr, [2])", "[2].forEach(arr.push, arr)"]) {
+				assert.throws(() => new Evaluator(context).evaluate(expression), MUTABLE_METHOD, expression);
+			}
+			assert.deepEqual(context, { arr: [1], obj: { a: 1 } });
+		});
+	});
+
+	describe("Invokers", () => {
+		test("should block invokers handed to native code or bound", () => {
+			assertBlocked("[Function, ['return globalThis']].reduce(Reflect.construct)", {}, FUNCTION_CONSTRUCTOR);
+			assertBlocked("[fns, ['return globalThis']].reduce(Reflect.construct)", { fns: 1 }, INDIRECT_INVOCATION);
+			assertBlocked("Reflect.construct.bind(null)", {}, INDIRECT_INVOCATION);
+			assertBlocked("fn.call.bind(fn)", { fn: () => 1 }, INDIRECT_INVOCATION);
+			assertBlocked("list.map(fn.call, fn)", { list: [1], fn: () => 1 }, INDIRECT_INVOCATION);
+		});
+
+		test("should invoke a copy of array-like argument lists", () => {
+			let reads = 0;
+			const args = {
+				length: 1,
+				get 0() {
+					return reads++ ? Function : "harmless";
+				},
+			};
+			assert.equal(new Evaluator({ args }).evaluate("Reflect.apply(String, null, args)"), "harmless");
+			assert.equal(reads, 1);
+		});
+
+		test("should keep legitimate indirect calls working", () => {
+			const context = { add: (a, b) => a + b, list: [3, 1, 2] };
+			assert.equal(Evaluator.evaluate("add.call(null, 1, 2)", context), 3);
+			assert.equal(Evaluator.evaluate("add.apply(null, [1, 2])", context), 3);
+			assert.equal(Evaluator.evaluate("add.bind(null, 1)(2)", context), 3);
+			assert.equal(Evaluator.evaluate("Reflect.apply(Math.max, null, list)", context), 3);
+			assert.deepEqual(Evaluator.evaluate("Reflect.construct(Date, [0]).getTime()", context), 0);
+			assert.deepEqual(Evaluator.evaluate("list.toSorted().map(String)", context), ["1", "2", "3"]);
+		});
+	});
+
+	describe("Prototype pollution", () => {
+		test("should reject __proto__ prototype setters in object literals", () => {
+			const expected = { message: "Access to '__proto__' is not allowed" };
+			assertBlocked("({ __proto__: { polluted: true } })", {}, expected);
+			assertBlocked("({ '__proto__': { polluted: true } })", {}, expected);
+			assert.equal({}.polluted, undefined);
+		});
+
+		test("should set the prototype when __proto__ is allowed", () => {
+			const options = { allowMembers: ["__proto__"] };
+			const obj = Evaluator.evaluate("({ __proto__: base, a: 1 })", { base: { inherited: true } }, options);
+			assert.equal(obj.inherited, true);
+			assert.deepEqual(Object.keys(obj), ["a"]);
+			assert.equal(Object.getPrototypeOf(Evaluator.evaluate("({ __proto__: null })", {}, options)), null);
+			assert.equal(Object.getPrototypeOf(Evaluator.evaluate("({ __proto__: 1 })", {}, options)), Object.prototype);
+		});
+
+		test("should define computed and shorthand __proto__ keys as own properties", () => {
+			for (const expression of ["({ ['__proto__']: value })", "(() => { const __proto__ = value; return { __proto__ }; })()"]) {
+				const obj = Evaluator.evaluate(expression, { value: { polluted: true } });
+				assert.equal(Object.getPrototypeOf(obj), Object.prototype, expression);
+				assert.deepEqual(Object.getOwnPropertyDescriptor(obj, "__proto__").value, { polluted: true }, expression);
+				assert.equal(obj.polluted, undefined, expression);
+			}
+		});
+
+		test("should copy spread properties without invoking setters", () => {
+			const source = JSON.parse('{ "__proto__": { "polluted": true }, "a": 1 }');
+			for (const evaluate of [(e, c) => Evaluator.evaluate(e, c), (e, c) => Evaluator.compile(e)(c)]) {
+				const obj = evaluate("({ ...source })", { source });
+				assert.equal(Object.getPrototypeOf(obj), Object.prototype);
+				assert.equal(obj.polluted, undefined);
+				assert.deepEqual(Object.keys(obj), ["__proto__", "a"]);
+			}
+
+			let calls = 0;
+			const obj = Evaluator.evaluate("({ set a(v) { log(v); }, ...source })", { source, log: () => calls++ });
+			assert.equal(calls, 0);
+			assert.equal(Object.getOwnPropertyDescriptor(obj, "a").value, 1);
+		});
+
+		test("should replace accessors with data properties", () => {
+			let calls = 0;
+			const obj = Evaluator.evaluate("({ set a(v) { log(v); }, a: 1 })", { log: () => calls++ });
+			assert.equal(calls, 0);
+			assert.equal(obj.a, 1);
+		});
+
+		test("should copy rest elements without invoking setters", () => {
+			const source = JSON.parse('{ "__proto__": { "polluted": true }, "a": 1 }');
+			const rest = Evaluator.evaluate("(({ a, ...rest }) => rest)(source)", { source });
+			assert.equal(Object.getPrototypeOf(rest), Object.prototype);
+			assert.deepEqual(Object.keys(rest), ["__proto__"]);
+		});
+
+		test("should keep spread and rest working in async evaluations", async () => {
+			const source = JSON.parse('{ "__proto__": { "polluted": true } }');
+			const obj = await Evaluator.evaluateAsync("({ ...(await source), b: 2 })", { source: Promise.resolve(source) });
+			assert.equal(obj.polluted, undefined);
+			assert.equal(obj.b, 2);
+		});
+	});
+
+	describe("Null prototype objects", () => {
+		const options = { nullPrototype: true };
+
+		test("should build object literals and rest elements without prototype", async () => {
+			const context = { source: { a: 1, b: 2 } };
+			for (const expression of ["({ a: 1, ...source })", "(({ a, ...rest }) => rest)(source)"]) {
+				assert.equal(Object.getPrototypeOf(Evaluator.evaluate(expression, context, options)), null, expression);
+				assert.equal(Object.getPrototypeOf(Evaluator.compile(expression, options)(context)), null, expression);
+			}
+			assert.equal(Object.getPrototypeOf(await Evaluator.evaluateAsync("({ a: await 1 })", {}, options)), null);
+		});
+
+		test("should keep the values and key order", () => {
+			const obj = Evaluator.evaluate("({ b: 1, a: [{ c: 2 }], ['__proto__']: 3 })", {}, options);
+			assert.deepEqual(Object.keys(obj), ["b", "a", "__proto__"]);
+			assert.equal(Object.getPrototypeOf(obj.a[0]), null);
+			assert.equal(JSON.stringify(obj), '{"b":1,"a":[{"c":2}],"__proto__":3}');
+		});
+
+		test("should not expose Object.prototype members", () => {
+			assert.equal(Evaluator.evaluate("'toString' in {}", {}, options), false);
+			assert.equal(Evaluator.evaluate("({}).hasOwnProperty", {}, options), undefined);
+		});
+	});
+
+	describe("Read-only context", () => {
+		const options = { readonlyContext: true };
+		const READONLY = { name: "TypeError", message: "Cannot modify a read-only context value" };
+
+		class Cart {
+			items = [{ name: "pen", price: 2 }];
+			hits = 0;
+
+			get count() {
+				this.hits++;
+				return this.items.length;
+			}
+
+			add(item) {
+				this.items.push(item);
+			}
+
+			clear() {
+				this.items = [];
+			}
+
+			total() {
+				return this.items.reduce((sum, item) => sum + item.price, 0);
+			}
+		}
+
+		const createContext = () => ({
+			cart: new Cart(),
+			user: { name: "Ada", tags: ["admin"], setName(name) { this.name = name; } },
+			settings: Object.freeze({ theme: { dark: true } }),
+			map: new Map([["a", { n: 1 }]]),
+			date: new Date(0),
+			re: /a/g,
+		});
+
+		test("should reject methods and getters that mutate context objects", () => {
+			for (const expression of ["cart.clear()", "user.setName('Bob')", "cart.count", "cart.add({ price: 1 })", "Reflect.apply(cart.clear, cart, [])"]) {
+				assertBlocked(expression, createContext(), READONLY, options);
+			}
+		});
+
+		test("should reject mutations of nested and returned values", () => {
+			const context = createContext();
+			context.get = () => context.user;
+			context.bump = (item) => item.n++;
+			for (const expression of ["(u => u.setName('Bob'))(get())", "Object.values(user)[2].call(user, 'Bob')", "bump(map.get('a'))"]) {
+				assert.throws(() => Evaluator.evaluate(expression, context, options), READONLY, expression);
+			}
+			assert.throws(() => Evaluator.evaluate("user.tags.concat([]).map(t => user.setName(t))", context, options), READONLY);
+			assert.throws(() => Evaluator.evaluate("[settings.theme].map(t => Object.values(user).at(-1).apply(t, ['x']))", context, options), READONLY);
+		});
+
+		test("should read context values", async () => {
+			const context = createContext();
+			assert.equal(Evaluator.evaluate("cart.total()", context, options), 2);
+			assert.deepEqual(Evaluator.evaluate("Object.keys(user)", context, options), ["name", "tags", "setName"]);
+			assert.deepEqual(Evaluator.evaluate("[...user.tags, 'dev'].toSorted()", context, options), ["admin", "dev"]);
+			assert.equal(Evaluator.evaluate("settings.theme.dark && JSON.stringify(settings)", context, options), '{"theme":{"dark":true}}');
+			assert.equal(Evaluator.evaluate("map.get('a').n + map.size + [...map.keys()].length", context, options), 3);
+			assert.equal(Evaluator.evaluate("date.getTime()", context, options), 0);
+			assert.deepEqual(Evaluator.compile("[re.test('aa'), re.lastIndex]", options)(context), [true, 0]);
+			assert.equal(await Evaluator.evaluateAsync("(await Promise.resolve(user)).name", context, options), "Ada");
+		});
+
+		test("should run the methods and getters declared pure on the objects with private fields", () => {
+			class Account {
+				static [PURITY] = { getOwner: "pure", balance: "pure" };
+				#owner = "Ada";
+				#balance = 10;
+
+				getOwner() {
+					return { name: this.#owner };
+				}
+
+				get balance() {
+					return this.#balance;
+				}
+
+				getId() {
+					return this.#owner.length;
+				}
+			}
+			const context = { account: new Account() };
+
+			assert.equal(Evaluator.evaluate("account.getOwner().name + account.balance", context, options), "Ada10");
+			// Their results are read-only
+			const owner = Evaluator.evaluate("account.getOwner()", context, options);
+			assert.throws(() => (owner.name = "Bob"), READONLY);
+			// Private fields are not readable through the proxy of the object
+			assert.throws(() => Evaluator.evaluate("account.getId()", context, options), { name: "TypeError", message: /private member/ });
+		});
+
+		test("should run the methods declared pure by plain objects on the proxy", () => {
+			const user = {
+				[PURITY]: { setName: "pure" },
+				name: "Ada",
+				setName(name) {
+					this.name = name;
+				},
+			};
+			const context = { user };
+
+			assert.throws(() => Evaluator.evaluate("user.setName('Bob')", context, options), READONLY);
+			assert.equal(user.name, "Ada");
+		});
+
+		test("should leave the context unchanged", () => {
+			const context = createContext();
+			const snapshot = JSON.stringify(context);
+			for (const expression of ["cart.count", "cart.clear()", "user.setName('Bob')"]) {
+				assert.throws(() => Evaluator.evaluate(expression, context, options), READONLY, expression);
+			}
+			Evaluator.evaluate("re.exec('aa')", context, options);
+
+			// Results read from the context stay read-only for the caller
+			const item = Evaluator.evaluate("map.get('a')", context, options);
+			assert.deepEqual(item, { n: 1 });
+			assert.throws(() => item.n++, READONLY);
+			assert.equal(JSON.stringify(context), snapshot);
+			assert.equal(context.re.lastIndex, 0);
+		});
+	});
+
+	describe("Async evaluation", () => {
+		test("should apply the same checks", async () => {
+			await assert.rejects(Evaluator.evaluateAsync("Reflect.construct(await F, ['return 1'])", { F: Promise.resolve(1) }), {
+				name: "TypeError",
+			});
+			await assert.rejects(Evaluator.evaluateAsync("Reflect.apply(arr.push, arr, [await one])", { arr: [], one: Promise.resolve(1) }), MUTABLE_METHOD);
+			await assert.rejects(Evaluator.evaluateAsync("(await list).map(Function)", { list: Promise.resolve(["return 1"]) }), FUNCTION_CONSTRUCTOR);
+		});
+	});
+});